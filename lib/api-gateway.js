@@ -0,0 +1,331 @@
+const {addObjectProperty, isObject} = require('./attributes')
+const {createError, createResponse} = require('./responses')
+
+/**
+ * HTTP status codes by error type (see createError) or error name, other errors are 500s
+ */
+const ERROR_STATUS_CODES = {
+  ConditionalCheckFailedError: 409,
+  TransactionCanceledError: 409,
+  ResourceInUseError: 409,
+  VersionConflictError: 409,
+  ResourceNotFoundError: 404,
+  ValidationError: 400,
+  LimitExceededError: 400,
+  SchemaValidationError: 400,
+  SyntaxError: 400,
+  ItemSizeExceededError: 413,
+  ThrottlingError: 429,
+  ServiceUnavailableError: 503
+}
+
+/**
+ * Returns the HTTP status code that describes the passed error to API callers:
+ *     409 ConditionalCheckFailed, cancelled transactions, version conflicts and resources in use
+ *     404 resources (tables, indexes) that don't exist
+ *     400 validation errors, schema validation errors, limits exceeded and SyntaxErrors (e.g. a request body that
+ *         isn't JSON)
+ *     413 items over the size limit
+ *     429 throttling (or the throttlingStatusCode option, e.g. 503)
+ *     503 DynamoDB being unavailable
+ *     500 everything else
+ * An error with a numeric "status" or "statusCode" between 400 and 599 of its own, e.g. an HTTP error thrown by the
+ * handler, keeps it.
+ * @param error Error
+ * @param options Object
+ *                  throttlingStatusCode: Number defaults to 429
+ * @returns {Number}
+ */
+const errorStatusCode = (error, options = {}) => {
+  let type = createError(error || {}).type
+  let statusCode = ERROR_STATUS_CODES[type] || ERROR_STATUS_CODES[error && error.name]
+  if (statusCode === 429 && options.throttlingStatusCode) {
+    return options.throttlingStatusCode
+  }
+  if (statusCode) {
+    return statusCode
+  }
+  let own = error ? error.statusCode || error.status : undefined
+  return typeof own === 'number' && own >= 400 && own < 600 ? own : 500
+}
+
+/**
+ * Returns the CORS headers for a response
+ * @param cors Boolean|Object true allows every origin, or {origin, methods, headers, exposeHeaders, credentials, maxAge}
+ *             where origin is "*", an origin or an array of allowed origins
+ * @param requestOrigin String the Origin header of the request, needed to allow one origin out of several
+ * @param preflight Boolean adds the headers of a response to an OPTIONS request
+ * @returns {Object}
+ */
+const corsHeaders = (cors, requestOrigin, preflight = false) => {
+  if (!cors) {
+    return {}
+  }
+  let settings = isObject(cors) ? cors : {}
+  let origin = settings.origin || '*'
+  let headers = {}
+  if (Array.isArray(origin)) {
+    if (!origin.includes(requestOrigin)) {
+      return {}
+    }
+    headers['Access-Control-Allow-Origin'] = requestOrigin
+    headers['Vary'] = 'Origin'
+  } else {
+    headers['Access-Control-Allow-Origin'] = origin
+  }
+  if (settings.credentials) {
+    headers['Access-Control-Allow-Credentials'] = 'true'
+  }
+  if (settings.exposeHeaders) {
+    headers['Access-Control-Expose-Headers'] = [].concat(settings.exposeHeaders).join(',')
+  }
+  if (preflight) {
+    headers['Access-Control-Allow-Methods'] = [].concat(settings.methods || ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']).join(',')
+    headers['Access-Control-Allow-Headers'] = [].concat(settings.headers || ['Content-Type', 'Authorization']).join(',')
+    if (settings.maxAge !== undefined) {
+      headers['Access-Control-Max-Age'] = settings.maxAge.toString()
+    }
+  }
+  return headers
+}
+
+/**
+ * Returns the header of a request regardless of its case, API Gateway keeps the case the client sent
+ * @param event Object
+ * @param name String
+ * @returns {*} String or undefined
+ */
+const getRequestHeader = (event, name) => {
+  let headers = (event && event.headers) || {}
+  let key = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase())
+  return key ? headers[key] : undefined
+}
+
+/**
+ * Returns "2.0" for events of HTTP APIs using payload format version 2.0, "1.0" otherwise
+ * @param event Object
+ * @returns {String}
+ */
+const payloadVersion = (event) => event && event.version === '2.0' ? '2.0' : '1.0'
+
+/**
+ * Creates a response object for a Lambda proxy integration, the way createResponse does, with headers and binary
+ * bodies:
+ *     - objects and arrays are sent as JSON with an "application/json" Content-Type
+ *     - strings are sent as they are, as "text/plain" unless the contentType option says otherwise
+ *     - Buffers are sent base64-encoded with isBase64Encoded, as "application/octet-stream" by default
+ *     - undefined bodies are sent empty
+ * Example:
+ *     createApiResponse(201, {id: 'abc'}, {cors: true, headers: {Location: '/planets/abc'}})
+ *
+ *     returns:
+ *     {
+ *       statusCode: 201,
+ *       headers: {'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*', Location: '/planets/abc'},
+ *       body: '{"id":"abc"}',
+ *       isBase64Encoded: false
+ *     }
+ * @param statusCode Number
+ * @param body {*}
+ * @param options Object
+ *                  headers: Object more headers, array values are sent as multiValueHeaders (1.0) or joined (2.0)
+ *                  contentType: String
+ *                  cors: Boolean|Object see corsHeaders
+ *                  requestOrigin: String the Origin header of the request
+ *                  version: String the payload format, "1.0" (default) or "2.0"
+ *                  cookies: Array Set-Cookie values, for the 2.0 payload format
+ * @returns {Object}
+ */
+const createApiResponse = (statusCode, body, options = {}) => {
+  let binary = Buffer.isBuffer(body)
+  let response = binary
+    ? {statusCode: statusCode, body: body.toString('base64')}
+    : createResponse(statusCode, body === undefined ? '' : body)
+  let contentType = options.contentType ||
+    (binary ? 'application/octet-stream' : typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json')
+  let headers = body === undefined && !options.contentType ? {} : {'Content-Type': contentType}
+  Object.assign(headers, corsHeaders(options.cors, options.requestOrigin))
+  let multiValueHeaders = {}
+  Object.keys(options.headers || {}).map((name) => {
+    let value = options.headers[name]
+    if (Array.isArray(value) && options.version !== '2.0') {
+      addObjectProperty(multiValueHeaders, name, value.map((v) => v.toString()))
+    } else {
+      addObjectProperty(headers, name, [].concat(value).join(','))
+    }
+  })
+  response.headers = headers
+  if (Object.keys(multiValueHeaders).length > 0) {
+    response.multiValueHeaders = multiValueHeaders
+  }
+  response.isBase64Encoded = binary
+  if (options.version === '2.0' && options.cookies) {
+    response.cookies = options.cookies
+  }
+  return response
+}
+
+/**
+ * Returns the JSON error envelope sent for an error:
+ *     {error: {status, type, code, message, retryable, requestId, errors}}
+ * Messages of 500 errors are replaced by "Internal server error" unless exposeErrors is set, so internals don't leak.
+ * Schema validation errors list their problems in "errors".
+ * @param error Error
+ * @param options Object
+ *                  statusCode: Number defaults to errorStatusCode(error)
+ *                  exposeErrors: Boolean send the messages of 500 errors too
+ *                  requestId: String e.g. context.awsRequestId
+ * @returns {Object}
+ */
+const createErrorBody = (error, options = {}) => {
+  let details = createError(error || {})
+  let statusCode = options.statusCode || errorStatusCode(error, options)
+  let body = {
+    status: statusCode,
+    type: details.type === 'Generic Error' ? (error && error.name) || 'Error' : details.type,
+    message: statusCode === 500 && !options.exposeErrors ? 'Internal server error' : details.message || (error && error.message)
+  }
+  if (details.code || (error && typeof error.code === 'string')) {
+    body.code = details.code || error.code
+  }
+  if (details.retryable !== undefined) {
+    body.retryable = details.retryable
+  }
+  if (options.requestId) {
+    body.requestId = options.requestId
+  }
+  if (error && Array.isArray(error.errors) && statusCode < 500) {
+    body.errors = error.errors
+  }
+  return {error: body}
+}
+
+/**
+ * Creates the response for an error: the status code from errorStatusCode, a JSON error envelope (see
+ * createErrorBody), and the CORS headers. 5xx errors are logged with console.error, or the log option.
+ * @param error Error
+ * @param options Object createApiResponse and createErrorBody options, and
+ *                  log: Function|Boolean logs 5xx errors, false turns logging off
+ * @returns {Object}
+ */
+const createErrorResponse = (error, options = {}) => {
+  let statusCode = options.statusCode || errorStatusCode(error, options)
+  if (statusCode >= 500 && options.log !== false) {
+    (typeof options.log === 'function' ? options.log : console.error)(error)
+  }
+  let headers = Object.assign({}, options.headers)
+  let retryAfter = statusCode === 429 || statusCode === 503 ? options.retryAfter : undefined
+  if (retryAfter !== undefined) {
+    headers['Retry-After'] = retryAfter.toString()
+  }
+  return createApiResponse(statusCode, createErrorBody(error, Object.assign({}, options, {statusCode: statusCode})),
+    Object.assign({}, options, {headers: headers, contentType: 'application/json'}))
+}
+
+/**
+ * Returns a boolean value that is true if the passed handler result is already a proxy response
+ * @param result {*}
+ * @returns {boolean}
+ */
+const isApiResponse = (result) => isObject(result) && typeof result.statusCode === 'number'
+
+/**
+ * Turns what a handler returned into a response: a proxy response is completed with the CORS headers, undefined
+ * becomes a 204 and anything else a 200 with the result as its body
+ * @param result {*}
+ * @param options Object createApiResponse options
+ * @returns {Object}
+ */
+const toApiResponse = (result, options) => {
+  if (isApiResponse(result)) {
+    return Object.assign({}, result, {
+      headers: Object.assign(corsHeaders(options.cors, options.requestOrigin), options.headers, result.headers)
+    })
+  }
+  return createApiResponse(result === undefined ? 204 : 200, result, options)
+}
+
+/**
+ * Returns the options of a response to the passed event
+ * @param event Object
+ * @param context Object
+ * @param options Object
+ * @returns {Object}
+ */
+const requestOptions = (event, context, options) => {
+  return Object.assign({}, options, {
+    version: options.version || payloadVersion(event),
+    requestOrigin: getRequestHeader(event, 'Origin'),
+    requestId: context && context.awsRequestId
+  })
+}
+
+/**
+ * Returns a boolean value that is true if the event is a CORS preflight request
+ * @param event Object
+ * @returns {boolean}
+ */
+const isPreflight = (event) => {
+  let method = event && (event.httpMethod || (event.requestContext && event.requestContext.http && event.requestContext.http.method))
+  return method === 'OPTIONS'
+}
+
+/**
+ * Wraps an async handler for a Lambda proxy integration: the handler gets (event, context) and returns the response
+ * body, a response made with createApiResponse, or undefined for a 204. Errors it throws become error responses
+ * (see createErrorResponse). The payload format version is detected from the event, and CORS preflight requests
+ * are answered without calling the handler when the cors option is set.
+ * Example:
+ *     exports.handler = createApiHandler(async (event) => {
+ *       let planet = await model.get({id: event.pathParameters.id})
+ *       if (!planet) {
+ *         throw Object.assign(new Error('No such planet'), {statusCode: 404})
+ *       }
+ *       return planet
+ *     }, {cors: true})
+ * @param handler Function async (event, context)
+ * @param options Object createErrorResponse and createApiResponse options
+ * @returns {Function} async (event, context)
+ */
+const createApiHandler = (handler, options = {}) => async (event, context) => {
+  let responseOptions = requestOptions(event, context, options)
+  if (options.cors && isPreflight(event)) {
+    return {
+      statusCode: 204,
+      headers: corsHeaders(options.cors, responseOptions.requestOrigin, true),
+      body: ''
+    }
+  }
+  try {
+    return toApiResponse(await handler(event, context), responseOptions)
+  } catch (err) {
+    return createErrorResponse(err, responseOptions)
+  }
+}
+
+/**
+ * Constructs and returns a Node-style (err, data) callback that answers a Lambda proxy integration through its
+ * callback: data is sent like createApiHandler sends results, errors as error responses with the status codes of
+ * errorStatusCode. Use it instead of apiCallHandler, which sends every error as a 501.
+ * Example:
+ *     exports.handler = (event, context, callback) => {
+ *       client.get(params, createApiCallback(callback, {event: event, cors: true}))
+ *     }
+ * @param callback Function the Lambda callback
+ * @param options Object createErrorResponse and createApiResponse options, and
+ *                  event: Object the request event, to detect the payload format version and the Origin header
+ *                  context: Object the Lambda context, its awsRequestId goes into error envelopes
+ * @returns {Function} (err, data)
+ */
+const createApiCallback = (callback, options = {}) => (err, data) => {
+  let responseOptions = requestOptions(options.event, options.context, options)
+  callback(null, err ? createErrorResponse(err, responseOptions) : toApiResponse(data, responseOptions))
+}
+
+exports.errorStatusCode = errorStatusCode
+exports.corsHeaders = corsHeaders
+exports.createApiResponse = createApiResponse
+exports.createErrorBody = createErrorBody
+exports.createErrorResponse = createErrorResponse
+exports.createApiHandler = createApiHandler
+exports.createApiCallback = createApiCallback
@@ -0,0 +1,1143 @@
+/**
+ * Adds a new property with the name of the passed key parameter and a value of the passed value parameter.
+ * @param object Object
+ * @param key String
+ * @param value *
+ * @returns {Object}
+ */
+const addObjectProperty = (object, key, value) => {
+  return Object.defineProperty(object, key, {value: value, enumerable: true, configurable: true, writable: true})
+}
+
+/**
+ * Returns the size in bytes of the string
+ * @param s String
+ * @returns * Number or undefined if a string isn't provided
+ */
+const byteCount = (s) => {
+  return typeof s === 'string'
+    ? encodeURIComponent(s).replace(/%([0-9A-F]{2})/g, (match, g) => String.fromCharCode(Number.parseInt(`0x${g}`))).length
+    : undefined
+}
+
+/**
+ * Returns the size of the string in kilobytes
+ * @param s String
+ * @returns * Number or undefined if a string isn't provided
+ */
+const kilobyteCount = (s) => {
+  return typeof s === 'string' ? toKilobyte(byteCount(s)) : undefined
+}
+
+/**
+ * Converts a value in bytes to Kilobytes
+ * @param n Number a value that represents the amount of bytes
+ * @returns {*} Number or undefined if a number isn't provided
+ */
+const toKilobyte = (n) => {
+  return typeof n === 'number' ? (n / 1024).toFixed(2) * 1 : undefined
+}
+
+/**
+ * Returns the size of a generic object, as AWS would count it when stored under the passed attribute name
+ * @param name String
+ * @param o {*}
+ * @returns {*} Number
+ */
+const getObjectSize = (name, o) => {
+  let attribute = createAttribute(o)
+  return attribute === undefined ? 0 : byteCount(name) + attributeSizeCount(attribute)
+}
+
+/**
+ * Returns the size of a number as AWS counts it: 1 byte per two significant digits (leading and trailing zeroes
+ * are trimmed) plus 1 byte, and an extra byte for negative numbers
+ * @param n Number or String the number content of a N attribute
+ * @returns {*} Number
+ */
+const significantDigitsSizeCount = (n) => {
+  let s = n.toString().trim().toLowerCase()
+  let mantissa = s.replace(/^[-+]/, '').split('e')[0]
+  let digits = mantissa.replace('.', '').replace(/^0+/, '').replace(/0+$/, '')
+  return Math.ceil(digits.length / 2) + 1 + (s.startsWith('-') ? 1 : 0)
+}
+
+/**
+ * Returns the size of the value of an AWS DynamoDB attribute object (the attribute name is not included).
+ * When a breakdown object is passed the size of every nested attribute is added to it, keyed by its path.
+ * Sizing rules:
+ *     S           UTF-8 encoded length
+ *     N           see significantDigitsSizeCount
+ *     B           length of the raw (not base 64 encoded) bytes
+ *     BOOL, NULL  1 byte
+ *     SS, NS, BS  sum of the sizes of the set elements
+ *     M, L        3 bytes plus 1 byte for each element plus the size of the elements (and names for maps)
+ * @param attribute Object
+ * @param path Array property names leading to the attribute, used for the breakdown keys
+ * @param breakdown Object optional
+ * @param delimiter String joins the breakdown paths, defaults to "."
+ * @returns {*} Number
+ */
+const attributeSizeCount = (attribute, path = [], breakdown, delimiter = '.') => {
+  let attributeKeyCode = Object.keys(attribute)[0]
+  let value = attribute[attributeKeyCode]
+  let size = 0
+  let addChild = (key, child, nameSize) => {
+    let childPath = path.concat(key)
+    let childSize = nameSize + attributeSizeCount(child, childPath, breakdown, delimiter)
+    if (breakdown) {
+      addObjectProperty(breakdown, childPath.join(delimiter), childSize)
+    }
+    size += 1 + childSize
+  }
+  switch (attributeKeyCode) {
+    case 'S':
+      size = byteCount(value)
+      break
+    case 'N':
+      size = significantDigitsSizeCount(value)
+      break
+    case 'B':
+      size = toBuffer(value).length
+      break
+    case 'BOOL':
+    case 'NULL':
+      size = 1
+      break
+    case 'SS':
+      value.map((e) => { size += byteCount(e) })
+      break
+    case 'NS':
+      value.map((e) => { size += significantDigitsSizeCount(e) })
+      break
+    case 'BS':
+      value.map((e) => { size += toBuffer(e).length })
+      break
+    case 'M':
+      size = 3
+      Object.keys(value).map((k) => addChild(k, value[k], byteCount(k)))
+      break
+    case 'L':
+      size = 3
+      value.map((e, i) => addChild(i.toString(), e, 0))
+      break
+  }
+  return size
+}
+
+/**
+ * Calculates the size of the passed item following the AWS DynamoDB item size rules, together with the
+ * capacity units needed to read and write it and the size of every attribute by path.
+ * Example:
+ *     calculateItemSize({id: 'abc', tags: ['a', 'b']})
+ *
+ *     returns:
+ *     {
+ *       bytes: 16,
+ *       kilobytes: 0.02,
+ *       readCapacityUnits: {stronglyConsistent: 1, eventuallyConsistent: 0.5, transactional: 2},
+ *       writeCapacityUnits: {standard: 1, transactional: 2},
+ *       attributes: {'id': 5, 'tags.0': 1, 'tags.1': 1, 'tags': 11}
+ *     }
+ * @param item Object either a regular property-based object or an AWS item object (an object of attribute objects)
+ * @param options Object
+ *                  marshalled: Boolean whether the item is an AWS item object, detected when not set
+ *                  delimiter: String joins the attribute paths, defaults to "."
+ *                  any createAttribute option, used to convert a regular object before sizing it
+ * @returns {*} Object or undefined if an object isn't provided
+ */
+const calculateItemSize = (item, options = {}) => {
+  if (!isObject(item) || isArray(item)) {
+    return undefined
+  }
+  let delimiter = options.delimiter || '.'
+  let keys = Object.keys(item)
+  let marshalled = typeof options.marshalled === 'boolean' ? options.marshalled : isAttributeMap(item)
+  let attributes = {}
+  let bytes = 0
+  keys.map((k) => {
+    let attribute = marshalled ? item[k] : createAttribute(item[k], options)
+    if (attribute !== undefined) {
+      let size = byteCount(k) + attributeSizeCount(attribute, [k], attributes, delimiter)
+      addObjectProperty(attributes, k, size)
+      bytes += size
+    }
+  })
+  let readUnits = Math.max(1, Math.ceil(bytes / 4096))
+  let writeUnits = Math.max(1, Math.ceil(bytes / 1024))
+  return {
+    bytes: bytes,
+    kilobytes: toKilobyte(bytes),
+    readCapacityUnits: {stronglyConsistent: readUnits, eventuallyConsistent: readUnits / 2, transactional: readUnits * 2},
+    writeCapacityUnits: {standard: writeUnits, transactional: writeUnits * 2},
+    attributes: attributes
+  }
+}
+
+/**
+ * Calculates the size (in KB) of the passed item and returns the size as AWS would determine it
+ * For example, if BatchWriteItem writes a 500 byte item and a 3.5 KB item, DynamoDB will calculate the size
+ * as 5 KB (1 KB + 4 KB), not 4 KB (500 bytes + 3.5 KB)
+ *
+ * @param item Object a regular property-based object or an AWS item object
+ */
+const itemSizeCount = (item) => {
+  if (item instanceof Object) {
+    let keys = Object.keys(item)
+    if (keys.length > 0) {
+      return Math.ceil(calculateItemSize(item).bytes / 1024)
+    }
+  }
+  return undefined
+}
+
+/**
+ * Sums up the size of the passed object and returns the total
+ * @param name String
+ * @param o Object
+ * @returns {*} Number
+ */
+const objectSizeCount = (name, o) => {
+  return getObjectSize(name, o)
+}
+
+/**
+ * Sums up the size of the passed array and returns the total
+ * @param name String
+ * @param a Array
+ * @returns {*} Number
+ */
+const arraySizeCount = (name, a) => {
+  return getObjectSize(name, a)
+}
+
+/**
+ * Returns the size of a string item (for AWS capactity unit consumption)
+ * @param name String
+ * @param s String
+ * @returns {*} Number
+ */
+const stringSizeCount = (name, s) => {
+  return byteCount(name) + byteCount(s.toString())
+}
+
+/**
+ * Returns the size of a number item (for AWS capactity unit consumption)
+ * @param name String
+ * @param n Number
+ * @returns {*} Number
+ */
+const numberSizeCount = (name, n) => {
+  return byteCount(name) + significantDigitsSizeCount(n)
+}
+
+/**
+ * Returns the size of a binary/byte array item (for AWS capactity unit consumption)
+ * @param name String
+ * @param b Buffer, TypedArray, ArrayBuffer or base 64 encoded String
+ * @returns {*} Number
+ */
+const binarySizeCOunt = (name, b) => {
+  return byteCount(name) + toBuffer(b).length
+}
+
+/**
+ * Returns the size of a boolean or null item (for AWS capactity unit consumption)
+ * @param name String
+ * @param nb Null or Boolean
+ * @returns {*} Number
+ */
+const nullBoolSizeCount = (name, nb) => {
+  return (nb === null || typeof nb === 'boolean') ? byteCount(name) + 1 : 0
+}
+
+/**
+ * Encodes a string into a base 64 byte array value
+ * @param s String
+ * @returns {*} byte array string or undefined
+ */
+const base64Encode = (s) => {
+  return typeof s === 'string'
+    ? Buffer.from(encodeURIComponent(s).replace(/%([0-9A-F]{2})/g, (match, p1) => {
+      return String.fromCharCode(Number.parseInt(`0x${p1}`))
+    })).toString('base64')
+    : undefined
+}
+
+/**
+ * Decodes a base 64 encoded byte array back to a string
+ * @param s String in Base64 format
+ * @returns {*} String or undefined
+ */
+const base64Decode = (s) => {
+  return typeof s === 'string'
+    ? decodeURIComponent(Buffer.from(s, 'base64')
+      .toString()
+      .split('')
+      .map((c) => '%' + `00${c.charCodeAt(0).toString(16)}`.slice(-2)).join(''))
+    : undefined
+}
+
+/**
+ * Constructs and returns an AWS DynamoDB Set that can be used for API calls.
+ * When a Set or an Array is passed as the only argument the set type (SS, NS or BS) is inferred from its content.
+ * @param type String "SS", "NS" or "BS", or the set content when the type should be inferred
+ * @param setContent Array
+ * @returns {Object}
+ */
+const createSet = (type, setContent) => {
+  if (typeof type !== 'string') {
+    return createSetAttribute(type)
+  }
+  return Object.defineProperty({}, type, {
+    configurable: true,
+    enumerable: true,
+    writable: true,
+    value: setContent
+  })
+}
+
+/**
+ * Infers the set type of the passed Set (or Array) and returns the matching SS, NS or BS attribute object.
+ * Throws a TypeError for empty sets and sets mixing strings, numbers and binary values, DynamoDB accepts neither.
+ * @param s Set or Array
+ * @param options Object see createAttribute
+ * @returns {Object}
+ */
+const createSetAttribute = (s, options = {}) => {
+  let values = Array.from(s)
+  if (values.length === 0) {
+    throw new TypeError('DynamoDB does not support empty sets')
+  }
+  if (values.every((v) => typeof v === 'string' || v instanceof String)) {
+    return createSet('SS', values.map((v) => options.trimStrings ? v.trim() : v.toString()))
+  }
+  if (values.every((v) => typeof v === 'bigint' || ((typeof v === 'number' || v instanceof Number) && isFinite(v)))) {
+    return createSet('NS', values.map((v) => v.toString()))
+  }
+  if (values.every((v) => typeof v !== 'string' && isBinary(v))) {
+    return createSet('BS', values.map((v) => toBuffer(v)))
+  }
+  throw new TypeError('DynamoDB sets must contain only strings, only numbers or only binary values')
+}
+
+/**
+ * Constructs and returns an AWS DynamoDB attribute object that can be used for API calls.
+ * @param o {*}
+ * @param options Object
+ *                  emptyStrings: String what to do with empty strings, "null" (default) creates a NULL attribute,
+ *                                "keep" creates an empty S attribute and "remove" leaves them out of maps and lists
+ *                  removeUndefined: Boolean leaves undefined values out of maps and lists instead of creating NULL
+ *                                   attributes, default false
+ *                  trimStrings: Boolean trims whitespace from strings before storing them, default false
+ *                  dates: String how Date values are stored, "iso" (default) as an ISO 8601 S attribute, "epoch" as
+ *                         a N attribute in seconds (usable as a TTL attribute) or "epochMillis" in milliseconds
+ * @returns {*} Object, Null attribute object, or undefined if the value should be removed
+ */
+const createAttribute = (o, options = {}) => {
+  let newProperty = {}
+  let emptyStrings = options.emptyStrings || 'null'
+  let addString = (s) => {
+    let value = options.trimStrings ? s.trim() : s
+    if (value.length > 0 || emptyStrings === 'keep') {
+      addObjectProperty(newProperty, 'S', value)
+    } else if (emptyStrings === 'remove') {
+      newProperty = undefined
+    }
+  }
+  switch (typeof o) {
+    case 'string':
+      addString(o)
+      break
+    case 'number':
+      if (isFinite(o)) {
+        addObjectProperty(newProperty, 'N', o.toString())
+      }
+      break
+    case 'bigint':
+      addObjectProperty(newProperty, 'N', o.toString())
+      break
+    case 'boolean':
+      addObjectProperty(newProperty, 'BOOL', o)
+      break
+    case 'undefined':
+      if (options.removeUndefined) {
+        newProperty = undefined
+      }
+      break
+    case 'object':
+      // array, object, null, or Class-based
+      if (o === null) {
+        addObjectProperty(newProperty, 'NULL', true)
+      } else if (o instanceof Array) {
+        let newPropertyValue = []
+        o.map((i) => {
+          let attribute = createAttribute(i, options)
+          if (attribute !== undefined) {
+            newPropertyValue.push(attribute)
+          }
+        })
+        addObjectProperty(newProperty, 'L', newPropertyValue)
+      } else if (o instanceof String) {
+        addString(o.valueOf())
+      } else if (o instanceof Number) {
+        if (isFinite(o)) {
+          addObjectProperty(newProperty, 'N', o.toString())
+        }
+      } else if (o instanceof Boolean) {
+        addObjectProperty(newProperty, 'BOOL', o.valueOf())
+      } else if (Buffer.isBuffer(o) || ArrayBuffer.isView(o) || o instanceof ArrayBuffer) {
+        addObjectProperty(newProperty, 'B', toBuffer(o))
+      } else if (o instanceof Set) {
+        newProperty = createSetAttribute(o, options)
+      } else if (o instanceof Date) {
+        if (isFinite(o.getTime())) {
+          switch (options.dates) {
+            case 'epoch':
+              addObjectProperty(newProperty, 'N', Math.floor(o.getTime() / 1000).toString())
+              break
+            case 'epochMillis':
+              addObjectProperty(newProperty, 'N', o.getTime().toString())
+              break
+            default:
+              addObjectProperty(newProperty, 'S', o.toISOString())
+          }
+        }
+      } else {
+        Object.assign(newProperty, object2Map(o, options))
+      }
+      break
+  }
+  if (newProperty === undefined) {
+    return undefined
+  }
+  return Object.keys(newProperty).length > 0 ? newProperty : createAttribute(null)
+}
+
+/**
+ * Constructs and returns an AWS DynamoDB map object that can be used for API calls.
+ * ES Map objects are converted as well, using the string value of each key.
+ * @param o Object
+ * @param options Object see createAttribute
+ * @returns {Object} or Null attribute object
+ */
+const object2Map = (o, options = {}) => {
+  if (typeof o === 'object' && o !== null) {
+    let mapValue = {}
+    let entries = o instanceof Map ? Array.from(o.entries()) : Object.keys(o).map((k) => [k, o[k]])
+    entries.map((entry) => {
+      let newProperty = createAttribute(entry[1], options)
+      if (newProperty) {
+        Object.defineProperty(mapValue, entry[0].toString(), {
+          configurable: true,
+          enumerable: true,
+          writable: true,
+          value: newProperty
+        })
+      }
+    })
+    if (Object.keys(mapValue).length > 0) {
+      return {'M': mapValue}
+    }
+  }
+  return createAttribute(null)
+}
+
+/**
+ * Returns a boolean value that is true if the passed value can be used as binary attribute content
+ * (a Buffer, TypedArray, ArrayBuffer or a base 64 encoded string)
+ * @param b {*}
+ * @returns {boolean}
+ */
+const isBinary = (b) => {
+  return typeof b === 'string' || Buffer.isBuffer(b) || ArrayBuffer.isView(b) || b instanceof ArrayBuffer
+}
+
+/**
+ * Returns a boolean value that is true if the parameter passed is an AWS DynamoDB attribute object, such as
+ * {S: 'value'}, {N: '1'}, {M: {...}}, {L: [...]}, {SS: [...]}, etc.
+ * Map and list attributes are checked all the way down.
+ * @param a {*}
+ * @returns {boolean}
+ */
+const isAttribute = (a) => {
+  if (!isObject(a) || isArray(a)) {
+    return false
+  }
+  let keys = Object.keys(a)
+  if (keys.length !== 1) {
+    return false
+  }
+  let value = a[keys[0]]
+  switch (keys[0]) {
+    case 'S':
+      return typeof value === 'string'
+    case 'N':
+      return typeof value === 'string' || typeof value === 'number'
+    case 'B':
+      return isBinary(value)
+    case 'BOOL':
+      return typeof value === 'boolean'
+    case 'NULL':
+      return value === true
+    case 'M':
+      return isObject(value) && !isArray(value) && Object.keys(value).every((k) => isAttribute(value[k]))
+    case 'L':
+      return isArray(value) && value.every((e) => isAttribute(e))
+    case 'SS':
+    case 'NS':
+      return isArray(value) && value.every((e) => typeof e === 'string' || typeof e === 'number')
+    case 'BS':
+      return isArray(value) && value.every((e) => isBinary(e))
+  }
+  return false
+}
+
+/**
+ * Returns a boolean value that is true if the parameter passed is an AWS item object, an object where every
+ * property is an attribute object (as returned by getItem, query, scan, etc.)
+ * @param item {*}
+ * @returns {boolean}
+ */
+const isAttributeMap = (item) => {
+  if (!isObject(item) || isArray(item)) {
+    return false
+  }
+  let keys = Object.keys(item)
+  return keys.length > 0 && keys.every((k) => isAttribute(item[k]))
+}
+
+/**
+ * Converts the content of a N attribute into a Javascript value.
+ * @param n String the number as DynamoDB sends it
+ * @param numbers String "number" (default), "string" or "bigint".
+ *                "bigint" returns a Number when it can be represented exactly, a BigInt for integers beyond
+ *                Number.MAX_SAFE_INTEGER and the original string for decimals with too many significant digits.
+ * @returns {*} Number, String or BigInt
+ */
+const parseNumber = (n, numbers = 'number') => {
+  let s = n.toString()
+  if (numbers === 'string') {
+    return s
+  }
+  let value = Number(s)
+  if (numbers === 'bigint') {
+    if (/^-?\d+$/.test(s)) {
+      return Number.isSafeInteger(value) ? value : BigInt(s)
+    }
+    let significantDigits = s.replace(/^-/, '').replace(/e.*$/i, '').replace('.', '').replace(/^0+/, '').length
+    return significantDigits > 15 ? s : value
+  }
+  return value
+}
+
+/**
+ * Converts binary attribute content into a Buffer.
+ * @param b Buffer, TypedArray, ArrayBuffer or base 64 encoded String
+ * @returns {Buffer}
+ */
+const toBuffer = (b) => {
+  if (typeof b === 'string') {
+    return Buffer.from(b, 'base64')
+  }
+  if (b instanceof ArrayBuffer) {
+    return Buffer.from(b)
+  }
+  return Buffer.isBuffer(b) ? b : Buffer.from(b.buffer, b.byteOffset, b.byteLength)
+}
+
+/**
+ * Converts an AWS DynamoDB attribute object back into a regular Javascript value.
+ * @param attribute Object an attribute object, e.g. {S: 'value'} or {M: {...}}
+ * @param options Object
+ *                  numbers: String "number" (default), "string" or "bigint", see parseNumber
+ *                  sets: String "array" (default) returns SS/NS/BS attributes as arrays, "set" returns Set objects
+ * @returns {*} the Javascript value or undefined if an attribute object isn't provided
+ */
+const parseAttribute = (attribute, options = {}) => {
+  if (!isAttribute(attribute)) {
+    console.warn('improper arguments supplied to parseAttribute')
+    return undefined
+  }
+  let attributeKeyCode = Object.keys(attribute)[0]
+  let value = attribute[attributeKeyCode]
+  let toSet = (a) => options.sets === 'set' ? new Set(a) : a
+  switch (attributeKeyCode) {
+    case 'S':
+    case 'BOOL':
+      return value
+    case 'NULL':
+      return null
+    case 'N':
+      return parseNumber(value, options.numbers)
+    case 'B':
+      return toBuffer(value)
+    case 'M':
+      let mapValue = {}
+      Object.keys(value).map((k) => addObjectProperty(mapValue, k, parseAttribute(value[k], options)))
+      return mapValue
+    case 'L':
+      return value.map((e) => parseAttribute(e, options))
+    case 'SS':
+      return toSet(value.slice())
+    case 'NS':
+      return toSet(value.map((e) => parseNumber(e, options.numbers)))
+    case 'BS':
+      return toSet(value.map((e) => toBuffer(e)))
+  }
+}
+
+/**
+ * Converts an AWS DynamoDB item (an object of attribute objects, as returned by getItem, query, scan, etc.)
+ * back into a regular Javascript object. The output of object2Map ({M: {...}}) is accepted as well.
+ * @param item Object
+ * @param options Object see parseAttribute
+ * @returns {*} Object or undefined if an item isn't provided
+ */
+const map2Object = (item, options = {}) => {
+  if (!isObject(item) || isArray(item)) {
+    console.warn('improper arguments supplied to map2Object')
+    return undefined
+  }
+  if (isAttribute(item) && item.hasOwnProperty('M')) {
+    return parseAttribute(item, options)
+  }
+  let o = {}
+  Object.keys(item).map((k) => {
+    let value = parseAttribute(item[k], options)
+    if (value !== undefined) {
+      addObjectProperty(o, k, value)
+    }
+  })
+  return o
+}
+
+/**
+ * Returns either the object passed if it's something or null
+ * @param o {*}
+ * @returns {*} or null
+ */
+const objectOrNull = (o) => {
+  return !o ? null : o
+}
+
+/**
+ * Returns either the object passed if it's not null, or an attribute equaling the NULL item attribute value
+ * @param o {*}
+ * @returns {*} or a NULL attribute object
+ */
+const attributeOrNull = (a) => {
+  return !a ? createAttribute(null) : a
+}
+
+/**
+ * Returns a boolean value that is true if the parameter passed is a property-based object
+ * @param o {*}
+ * @returns {boolean}
+ */
+const isObject = (o) => {
+  return (typeof o === 'object' && o instanceof Object)
+}
+
+/**
+ * Returns a boolean value that is true if the parameter passed is an array object
+ * @param a {*}
+ * @returns {boolean}
+ */
+const isArray = (a) => {
+  return (typeof a === 'object' && a instanceof Array)
+}
+
+/**
+ * Returns an object with property names that match the top-level property names of the passed object, but where
+ * each value is an array of sub-level property names.
+ * Example:
+ *     given:
+ *     {
+ *       property1: 'value1',
+ *       property2: [1,2,3],
+ *       property3: {
+ *         property3_1: 'v3.1',
+ *         property3_2: {
+ *           property3_2_1: {
+ *             pickle: 'rick',
+ *             morty: {
+ *               versions: [
+ *                 {universe: '31c-12', hasVirginity: true},
+ *                 {universe: '31c-13', hasVirginity: true},
+ *                 {universe: '31c-14', hasVirginity: true},
+ *                 {universe: '31d-10', hasVirginity: true},
+ *                 {universe: '31d-43', hasVirginity: true},
+ *                 {universe: '38q-27', hasVirginity: false},
+ *                 {universe: '47z-02', hasVirginity: true}
+ *               ]
+ *             }
+ *           }
+ *         },
+ *         property3_3: 101
+ *       },
+ *       property4: {
+ *         property4_1: 'baz'
+ *       }
+ *     }
+ *
+ *     returns:
+ *     {
+ *       property1: [],
+ *       property2: [
+ *         {'0': []},
+ *         {'1': []},
+ *         {'2': []},
+ *       ],
+ *       property3: [
+ *           {'property3_1': []},
+ *           {
+ *             'property3_2': [
+ *               {
+ *                 'property3_2_1': [
+ *                   {'pickle': []},
+ *                   {
+ *                     'morty': [
+ *                       {
+ *                         versions: [
+ *                           {
+ *                             universe: [],
+ *                             hasVirginity: []
+ *                           }
+ *                         ]
+ *                       }
+ *                     ]
+ *                   }
+ *                 ]
+ *               }
+ *             ],
+ *             'property3_3': []
+ *           }
+ *       ],
+ *       property4: [
+ *           'property4_1': []
+ *       ]
+ *     }
+ * @param o Object
+ * @returns {{}}
+ */
+const getPropertyPaths = (o) => {
+  let pathsObject = {}
+  Object.entries(o).map((prop) => {
+    let pathsArray = []
+    let pKey = prop[0]
+    let pValue = prop[1]
+    if (isArray(pValue)) {
+      pValue.map((p, i) => {
+        let subValue = p
+        if (isObject(p[1])) {
+          subValue = getPropertyPaths(addObjectProperty({}, i.toString(), p))
+        }
+        pathsArray.push(getPropertyPaths(addObjectProperty({}, i.toString(), subValue)))
+      })
+    } else if (isObject(pValue)) {
+      Object.entries(pValue).map((p) => pathsArray.push(getPropertyPaths(addObjectProperty({}, p[0], p[1]))))
+    }
+    addObjectProperty(pathsObject, pKey, pathsArray)
+  })
+  return pathsObject
+}
+
+/**
+ * Uses the passed property paths object and the array of strings to return a delimited string of valid
+ * child-descending property names.
+ * @param paths Object A paths object generated from the getPropertyPaths function
+ * @param propertyNames Array
+ * @param delimiter String defaults to "."
+ * @returns String or undefined
+ */
+const toStringPath = (paths, propertyNames, delimiter = '.') => {
+  let pathCheck = isObject(paths)
+  let arrayCheck = pathCheck && isArray(propertyNames)
+  let allStringsCheck = arrayCheck && propertyNames.every((e) => typeof e === 'string')
+  let legitFirstCheck = allStringsCheck && paths.hasOwnProperty(propertyNames[0])
+  if (legitFirstCheck) {
+    let p = paths[propertyNames[0]]
+    propertyNames.reduce((previousProperty, currentProperty) => {
+      if (p !== null) {
+        let nextPathObject = p.find((e) => e.hasOwnProperty(currentProperty))
+        let shouldAssignNextProperty = nextPathObject &&
+        nextPathObject[currentProperty] instanceof Array
+          ? nextPathObject[currentProperty].length > 0
+          : nextPathObject.hasOwnProperty(currentProperty)
+        p = shouldAssignNextProperty ? nextPathObject[currentProperty] : null
+      }
+      return currentProperty
+    })
+    if (p !== null) {
+      return propertyNames.join(delimiter)
+    }
+  }
+}
+
+/**
+ * Uses the passed property paths object and delimited string of property names to return a valid array of
+ * child-descenting property names.
+ * @param paths Object A paths object generated from the getPropertyPaths function
+ * @param propertyString String A string of delimited sequential property names
+ * @param delimiter String default "."
+ * @returns Array or undefined
+ */
+const toArrayPath = (paths, propertyString, delimiter = '.') => {
+  let pathsCheck = isObject(paths)
+  let propertyPathCheck = pathsCheck && typeof propertyString === 'string'
+  let properties = propertyString.split(delimiter)
+  let legitFirstCheck = propertyPathCheck && paths.hasOwnProperty(properties[0])
+  if (legitFirstCheck) {
+    let p = paths[properties[0]]
+    properties.reduce((previousProperty, currentProperty) => {
+      if (p !== null) {
+        let nextPathObject = p.find((e) => e.hasOwnProperty(currentProperty))
+        p = nextPathObject && nextPathObject.hasOwnProperty(currentProperty) ? nextPathObject[currentProperty] : null
+      }
+      return currentProperty
+    })
+    if (p !== null) {
+      return properties
+    }
+  }
+}
+
+/**
+ * Checks if the passed object has a property at the given path
+ * @param item Object A regular property-based object
+ * @param pathChain Array|String array of property names in child-descending order
+ * @param delimiter String delimiting character for the split function, defaults to "."
+ * @returns {boolean}
+ */
+const hasPropertyAtPath = (item, pathChain, delimiter = '.') => {
+  let path = pathChain instanceof Array
+    ? pathChain
+    : (typeof pathChain === 'string' && typeof delimiter === 'string') ? pathChain.split(delimiter) : false
+
+  if (!path) {
+    console.warn('improper arguments supplied to hasPropertyAtPath')
+    return false
+  }
+
+  if (path.length === 1) {
+    return item.hasOwnProperty(path[0])
+  }
+
+  let propertyFound = false
+  path.map((p, i) => {
+    if (item.hasOwnProperty(p)) {
+      propertyFound = hasPropertyAtPath(item[p], path.slice(i + 1))
+    }
+  })
+  return propertyFound
+}
+
+/**
+ * Checks if the passed item has an attribute at the given path
+ * @param item Object an AWS item object
+ * @param path Array array of property names in child-descending order
+ *                   Examples:
+ *                       "path.to.a.sub.object"
+ *                       ["path","to","a","sub","object"]
+ *                       "person.employees.5.firstName"
+ * @param delimiter String delimiting character for the split function, defaults to "."
+ * @returns {boolean}
+ */
+const hasAttributeAtPath = (item, path, delimiter = '.') => {
+  return getAttributeAtPath(item, path, delimiter) !== false
+}
+
+/**
+ * Returns the attribute in the passed AWS item at the given path.
+ * @param item Object an AWS item object
+ * @param path Array array of property names in child-descending order
+ *                   Examples:
+ *                       "path.to.a.sub.object"
+ *                       ["path","to","a","sub","object"]
+ *                       "person.employees.5.firstName"
+ * @param delimiter String delimiting character for the split function, defaults to "."
+ * @returns {*} An attribute or false if not found
+ */
+const getAttributeAtPath = (item, path, delimiter = '.', options = {}) => {
+  let localPath = path instanceof Array
+    ? (path.every((e) => typeof e === 'string')) ? path.slice() : false
+    : (typeof path === 'string' && typeof delimiter === 'string') ? path.split(delimiter) : false
+  let objectCheck = isObject(item)
+  let pathCheck = (objectCheck && localPath !== false)
+  let legitFirstCheck = item.hasOwnProperty(localPath[0])
+  if (!pathCheck || !objectCheck || !legitFirstCheck) {
+    console.warn('improper arguments supplied to getAttributePath')
+    console.warn(`pathCheck: ${pathCheck}, objectCheck: ${objectCheck}, legitFirstCheck: ${legitFirstCheck}`)
+    return false
+  }
+
+  let attributeFound = item
+  let returnAttribute = item
+  localPath.map((current, i) => {
+    if (attributeFound.hasOwnProperty(current)) {
+      let currentAttribute = attributeFound[current]
+      returnAttribute = currentAttribute
+      let attributeKeys = Object.keys(currentAttribute)
+      if (attributeKeys.length > 0 && attributeKeys.length < 2) {
+        let attributeKeyCode = attributeKeys[0]
+        switch (attributeKeyCode) {
+          case 'S':
+          case 'N':
+          case 'B':
+          case 'NULL':
+          case 'BOOL':
+            attributeFound = attributeFound[current]
+            break
+          case 'M':
+            attributeFound = attributeFound[current][attributeKeyCode]
+            break
+          case 'L':
+          case 'SS':
+          case 'NS':
+          case 'BS':
+            let nextPath = localPath.slice(i + 1)
+            let indexValue = localPath[i + 1]
+            if (nextPath.length > 1) {
+              if (isFinite(indexValue) && indexValue < attributeFound[current][attributeKeyCode].length) {
+                attributeFound = currentAttribute[attributeKeyCode]
+              }
+            } else if (nextPath.length <= 1) {
+              attributeFound = currentAttribute[attributeKeyCode]
+            }
+            break
+        }
+      }
+    } else if ((i + 1) === localPath.length) {
+      returnAttribute = false
+    }
+  })
+  return returnAttribute
+}
+
+/**
+ * Escapes the escape character and the delimiter in a composite key value
+ * @param value String
+ * @param delimiter String
+ * @returns String
+ */
+const escapeKeyValue = (value, delimiter) => {
+  return value.split('\\').join('\\\\').split(delimiter).join(`\\${delimiter}`)
+}
+
+/**
+ * Splits a composite key on the delimiters that aren't escaped and unescapes every part
+ * @param key String
+ * @param delimiter String
+ * @returns Array
+ */
+const splitKey = (key, delimiter) => {
+  let parts = ['']
+  for (let i = 0; i < key.length; i++) {
+    if (key[i] === '\\' && i + 1 < key.length) {
+      parts[parts.length - 1] += key[++i]
+    } else if (key.startsWith(delimiter, i)) {
+      parts.push('')
+      i += delimiter.length - 1
+    } else {
+      parts[parts.length - 1] += key[i]
+    }
+  }
+  return parts
+}
+
+/**
+ * Constructs and returns a composite key template, for keys like "USER#123" or "ORDER#2026-10-19#abc".
+ * A template is made of delimited segments that are either literal or a {field}. Field values have the
+ * delimiter (and the "\" escape character) escaped, so any value can be parsed back.
+ * Example:
+ *     const orderKey = createKeyTemplate('ORDER#{date}#{id}')
+ *     orderKey.format({date: '2026-10-19', id: 'abc'})  // 'ORDER#2026-10-19#abc'
+ *     orderKey.parse('ORDER#2026-10-19#abc')            // {date: '2026-10-19', id: 'abc'}
+ *     orderKey.prefix({date: '2026-10-19'})             // 'ORDER#2026-10-19#'
+ *     orderKey.between({date: '2026-10-01'}, {date: '2026-10-31'})
+ *     // {between: ['ORDER#2026-10-01#', 'ORDER#2026-10-31#\u{10FFFF}']}
+ * The beginsWith and between ranges can be used as the sortKey option of a createModel query, or with the
+ * beginsWith and between conditions.
+ * @param template String
+ * @param delimiter String defaults to "#"
+ * @returns {{template: String, fields: Array, format: Function, parse: Function, matches: Function,
+ *            prefix: Function, beginsWith: Function, between: Function}}
+ */
+const createKeyTemplate = (template, delimiter = '#') => {
+  if (typeof template !== 'string' || template.length === 0 || typeof delimiter !== 'string' || delimiter.length === 0) {
+    throw new TypeError('A key template needs a template string and a delimiter')
+  }
+  let segments = template.split(delimiter).map((s) => {
+    let field = s.match(/^\{(\w+)\}$/)
+    if (!field && /[{}]/.test(s)) {
+      throw new TypeError(`Invalid key template "${template}": fields must be whole segments like {name}`)
+    }
+    return field ? {field: field[1]} : {literal: s}
+  })
+  let fields = segments.filter((s) => s.field).map((s) => s.field)
+  let valueOf = (values, field) => {
+    let value = isObject(values) ? values[field] : undefined
+    return value === undefined || value === null ? undefined : escapeKeyValue(value.toString(), delimiter)
+  }
+  let keyTemplate = {
+    template: template,
+    fields: fields,
+    /**
+     * Returns the key for the field values, throws a TypeError when one is missing
+     */
+    format: (values) => {
+      return segments.map((s) => {
+        if (s.literal !== undefined) {
+          return s.literal
+        }
+        let value = valueOf(values, s.field)
+        if (value === undefined) {
+          throw new TypeError(`Key template "${template}" needs a value for ${s.field}`)
+        }
+        return value
+      }).join(delimiter)
+    },
+    /**
+     * Returns the field values of a key, or undefined if the key doesn't match the template
+     */
+    parse: (key) => {
+      let parts = typeof key === 'string' ? splitKey(key, delimiter) : []
+      if (parts.length !== segments.length) {
+        return undefined
+      }
+      let values = {}
+      let matching = segments.every((s, i) => {
+        if (s.literal !== undefined) {
+          return s.literal === parts[i]
+        }
+        addObjectProperty(values, s.field, parts[i])
+        return true
+      })
+      return matching ? values : undefined
+    },
+    /**
+     * Returns true if the key matches the template
+     */
+    matches: (key) => keyTemplate.parse(key) !== undefined,
+    /**
+     * Returns the start of the key up to the first field without a value, ending with the delimiter when not
+     * complete, so "ORDER#1" doesn't match "ORDER#10"
+     */
+    prefix: (values = {}) => {
+      let parts = []
+      let complete = segments.every((s) => {
+        let part = s.literal !== undefined ? s.literal : valueOf(values, s.field)
+        if (part !== undefined) {
+          parts.push(part)
+        }
+        return part !== undefined
+      })
+      return complete ? parts.join(delimiter) : parts.concat('').join(delimiter)
+    },
+    /**
+     * Returns the {beginsWith} sort key range of the keys starting with the prefix of the field values
+     */
+    beginsWith: (values) => ({beginsWith: keyTemplate.prefix(values)}),
+    /**
+     * Returns the {between: [from, to]} sort key range from the first key starting with the prefix of the "from"
+     * values to the last key starting with the prefix of the "to" values
+     */
+    between: (from, to) => {
+      let upper = keyTemplate.prefix(to)
+      let complete = fields.every((f) => valueOf(to, f) !== undefined)
+      return {between: [keyTemplate.prefix(from), complete ? upper : `${upper}\u{10FFFF}`]}
+    }
+  }
+  return keyTemplate
+}
+
+/**
+ * Returns a copy of the item with its entity type set, for items of different types sharing a table
+ * @param item Object
+ * @param type String
+ * @param attribute String defaults to "entityType"
+ * @returns {Object}
+ */
+const tagEntityType = (item, type, attribute = 'entityType') => {
+  return addObjectProperty(Object.assign({}, item), attribute, type)
+}
+
+/**
+ * Splits the items of a query over a mixed partition into an object of arrays by entity type. The type is read
+ * from the type attribute, or found by matching a key attribute against key templates. Items of no known type
+ * are put in the "unknown" array.
+ * Example:
+ *     splitByEntityType(items, {keyAttribute: 'SK', templates: {user: userKey, order: orderKey}})
+ *     // {user: [...], order: [...], unknown: []}
+ * @param items Array regular objects or AWS item objects
+ * @param options Object
+ *                  attribute: String the type attribute, defaults to "entityType"
+ *                  keyAttribute: String the key attribute matched against the templates
+ *                  templates: Object key templates (or template strings) by entity type
+ *                  unknown: String the property of items of no known type, defaults to "unknown"
+ * @returns {Object}
+ */
+const splitByEntityType = (items, options = {}) => {
+  let attribute = options.attribute || 'entityType'
+  let unknown = options.unknown || 'unknown'
+  let templates = options.templates || {}
+  let types = Object.keys(templates).map((type) => {
+    let template = typeof templates[type] === 'string' ? createKeyTemplate(templates[type]) : templates[type]
+    return {type: type, template: template}
+  })
+  let stringValue = (value) => isObject(value) && typeof value.S === 'string' ? value.S : value
+  let split = addObjectProperty({}, unknown, [])
+  types.map((t) => addObjectProperty(split, t.type, []))
+  items.map((item) => {
+    let type = stringValue(item[attribute])
+    if (typeof type !== 'string' && options.keyAttribute) {
+      let key = stringValue(item[options.keyAttribute])
+      let match = types.find((t) => t.template.matches(key))
+      type = match ? match.type : undefined
+    }
+    if (typeof type !== 'string') {
+      type = unknown
+    }
+    if (!split.hasOwnProperty(type)) {
+      addObjectProperty(split, type, [])
+    }
+    split[type].push(item)
+  })
+  return split
+}
+
+exports.addObjectProperty = addObjectProperty
+exports.byteCount = byteCount
+exports.kilobyteCount = kilobyteCount
+exports.calculateItemSize = calculateItemSize
+exports.itemSizeCount = itemSizeCount
+exports.attributeSizeCount = attributeSizeCount
+exports.objectSizeCount = objectSizeCount
+exports.arraySizeCount = arraySizeCount
+exports.stringSizeCount = stringSizeCount
+exports.numberSizeCount = numberSizeCount
+exports.binarySizeCOunt = binarySizeCOunt
+exports.nullBoolSizeCount = nullBoolSizeCount
+exports.base64Encode = base64Encode
+exports.base64Decode = base64Decode
+exports.createSet = createSet
+exports.createAttribute = createAttribute
+exports.object2Map = object2Map
+exports.isAttribute = isAttribute
+exports.isAttributeMap = isAttributeMap
+exports.parseAttribute = parseAttribute
+exports.map2Object = map2Object
+exports.objectOrNull = objectOrNull
+exports.attributeOrNull = attributeOrNull
+exports.isObject = isObject
+exports.isArray = isArray
+exports.getPropertyPaths = getPropertyPaths
+exports.toStringPath = toStringPath
+exports.toArrayPath = toArrayPath
+exports.hasPropertyAtPath = hasPropertyAtPath
+exports.hasAttributeAtPath = hasAttributeAtPath
+exports.getAttributeAtPath = getAttributeAtPath
+exports.createKeyTemplate = createKeyTemplate
+exports.tagEntityType = tagEntityType
+exports.splitByEntityType = splitByEntityType
@@ -0,0 +1,169 @@
+const {classifyError, isRetryableError} = require('./errors')
+
+/**
+ * Returns the delay before the next attempt, using exponential backoff with "full jitter": a random delay between
+ * 0 and baseDelay * 2^attempt, capped at maxDelay.
+ * @param attempt Number how many attempts were already retried, starting at 0
+ * @param options Object
+ *                  baseDelay: Number milliseconds, defaults to 50
+ *                  maxDelay: Number milliseconds, defaults to 5000
+ *                  jitter: Boolean defaults to true, false always waits the full exponential delay
+ * @returns {Number} milliseconds
+ */
+const backoffDelay = (attempt, options = {}) => {
+  let baseDelay = typeof options.baseDelay === 'number' ? options.baseDelay : 50
+  let maxDelay = typeof options.maxDelay === 'number' ? options.maxDelay : 5000
+  let delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt))
+  return options.jitter === false ? delay : Math.floor(Math.random() * delay)
+}
+
+/**
+ * Returns a Promise that resolves after the passed number of milliseconds
+ * @param ms Number
+ * @returns {Promise}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Runs the passed task function for every element of the list, with at most "concurrency" tasks running at once.
+ * Resolves to the results in list order, rejects with the first error.
+ * @param list Array
+ * @param concurrency Number
+ * @param task Function (element, index) => Promise
+ * @returns {Promise}
+ */
+const mapConcurrent = (list, concurrency, task) => {
+  let results = new Array(list.length)
+  let next = 0
+  let worker = async () => {
+    while (next < list.length) {
+      let i = next++
+      results[i] = await task(list[i], i)
+    }
+  }
+  let workers = []
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, list.length)); i++) {
+    workers.push(worker())
+  }
+  return Promise.all(workers).then(() => results)
+}
+
+/**
+ * Constructs and returns a retry budget: a token bucket shared by the calls of a retry policy, so a failing
+ * dependency isn't hammered with retries. Every retry takes retryCost tokens and every call that succeeds puts
+ * successRefill tokens back, up to the capacity. Without enough tokens left, failures aren't retried.
+ * @param options Object
+ *                  capacity: Number defaults to 500
+ *                  retryCost: Number defaults to 5
+ *                  successRefill: Number defaults to 1
+ * @returns {{acquire: Function, release: Function, available: Function}}
+ */
+const createRetryBudget = (options = {}) => {
+  let capacity = typeof options.capacity === 'number' ? options.capacity : 500
+  let retryCost = typeof options.retryCost === 'number' ? options.retryCost : 5
+  let successRefill = typeof options.successRefill === 'number' ? options.successRefill : 1
+  let tokens = capacity
+  return {
+    /**
+     * Takes the tokens of one retry, returns false when there aren't enough left
+     */
+    acquire: () => {
+      if (tokens < retryCost) {
+        return false
+      }
+      tokens -= retryCost
+      return true
+    },
+    /**
+     * Puts the tokens of a successful call back
+     */
+    release: () => {
+      tokens = Math.min(capacity, tokens + successRefill)
+    },
+    available: () => tokens
+  }
+}
+
+/**
+ * Constructs and returns a retry policy: which errors are retried, how often and how long to wait in between.
+ * Share one policy between calls to share its retry budget.
+ * @param options Object
+ *                  maxAttempts: Number attempts including the first one, defaults to 5
+ *                  baseDelay, maxDelay, jitter: see backoffDelay
+ *                  budget: Object a createRetryBudget budget, or createRetryBudget options, no budget when not set
+ *                  isRetryable: Function err => Boolean, defaults to isRetryableError
+ *                  onRetry: Function called with (err, attempt, delay) before every retry
+ * @returns {{maxAttempts: Number, shouldRetry: Function, delay: Function, succeeded: Function, run: Function}}
+ */
+const createRetryPolicy = (options = {}) => {
+  let maxAttempts = typeof options.maxAttempts === 'number' ? options.maxAttempts : 5
+  let isRetryable = typeof options.isRetryable === 'function' ? options.isRetryable : isRetryableError
+  let budget = options.budget && typeof options.budget.acquire === 'function'
+    ? options.budget
+    : options.budget ? createRetryBudget(options.budget) : undefined
+  let policy = {
+    maxAttempts: maxAttempts,
+    budget: budget,
+    /**
+     * Returns true if the failed attempt (counted from 0) should be retried, taking the tokens of the retry
+     */
+    shouldRetry: (err, attempt) => {
+      return attempt + 1 < maxAttempts && isRetryable(err) && (!budget || budget.acquire())
+    },
+    delay: (attempt) => backoffDelay(attempt, options),
+    succeeded: () => {
+      if (budget) {
+        budget.release()
+      }
+    },
+    /**
+     * Calls fn(attempt) until it resolves, retrying the failures the policy allows. Rejects with the last error,
+     * classified with classifyError, with the number of attempts made as its "attempts" property.
+     */
+    run: async (fn) => {
+      let attempt = 0
+      while (true) {
+        try {
+          let result = await fn(attempt)
+          policy.succeeded()
+          return result
+        } catch (err) {
+          if (!policy.shouldRetry(err, attempt)) {
+            let error = classifyError(err)
+            if (error instanceof Error) {
+              error.attempts = attempt + 1
+            }
+            throw error
+          }
+          let delay = policy.delay(attempt)
+          if (typeof options.onRetry === 'function') {
+            options.onRetry(err, attempt + 1, delay)
+          }
+          await sleep(delay)
+          attempt++
+        }
+      }
+    }
+  }
+  return policy
+}
+
+/**
+ * Calls the passed function until it resolves, retrying retryable DynamoDB errors with exponential backoff and jitter
+ * Example:
+ *     withRetry(() => client.put(params).promise(), {maxAttempts: 3, onRetry: (err) => console.warn(err.code)})
+ * @param fn Function (attempt) => Promise
+ * @param options Object see createRetryPolicy, or a policy returned by it
+ * @returns {Promise}
+ */
+const withRetry = (fn, options = {}) => {
+  let policy = typeof options.run === 'function' ? options : createRetryPolicy(options)
+  return policy.run(fn)
+}
+
+exports.backoffDelay = backoffDelay
+exports.sleep = sleep
+exports.mapConcurrent = mapConcurrent
+exports.createRetryBudget = createRetryBudget
+exports.createRetryPolicy = createRetryPolicy
+exports.withRetry = withRetry
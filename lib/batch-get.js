@@ -0,0 +1,136 @@
+const {isArray, isObject} = require('./attributes')
+const {createRetryPolicy, mapConcurrent, sleep} = require('./backoff')
+const {callOperation, isDocumentClient, marshallItem, unmarshallItem} = require('./client')
+const {classifyError, ThrottlingError} = require('./errors')
+const {buildProjection} = require('./projection-expression')
+
+const BATCH_GET_LIMIT = 100
+
+/**
+ * Returns a string that identifies a key regardless of the order of its attributes
+ * @param key Object a key in AWS item object form
+ * @returns {String}
+ */
+const keyId = (key) => JSON.stringify(Object.keys(key).sort().map((k) => [k, key[k]]))
+
+/**
+ * Reads any number of items, from any number of tables, with batchGet (DocumentClient) or batchGetItem (low-level
+ * client) calls:
+ *     - duplicate keys are only read once
+ *     - keys are split into calls of at most 100 keys
+ *     - UnprocessedKeys and throttling errors are retried with exponential backoff and jitter
+ * Items come back in the order of the keys, with null for keys that have no item. Items read with the low-level
+ * client are unmarshalled.
+ * Example:
+ *     batchGet(client, {
+ *       planets: [{id: 'kepler-22b'}, {id: 'pluto'}],
+ *       moons: {keys: [{id: 'io'}], projection: ['id', 'radius'], consistentRead: true}
+ *     })
+ *
+ *     resolves to:
+ *     {planets: [{id: 'kepler-22b', radius: 2.4}, null], moons: [{id: 'io', radius: 1821}]}
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param requestItems Object by table name, an array of keys or {keys, projection, consistentRead}, where the
+ *                     projection is an array of paths (see buildProjection)
+ * @param options Object
+ *                  concurrency: Number calls in flight at once, defaults to 4
+ *                  maxRetries: Number retries of a call before rejecting, defaults to 8
+ *                  baseDelay, maxDelay: Number backoff milliseconds, default to 50 and 5000
+ *                  budget: Object a createRetryBudget budget shared with other calls
+ *                  retryPolicy: Object a createRetryPolicy policy, replaces maxRetries, baseDelay, maxDelay and budget
+ *                  unmarshall: Boolean unmarshall items read with the low-level client, defaults to true
+ *                  attributeOptions: Object createAttribute options used to marshall keys for the low-level client
+ *                  parseOptions: Object parseAttribute options used to unmarshall items
+ * @returns {Promise} resolves to arrays of items (or null) by table name, rejects with the (classified) error of a call that
+ *                    can't be retried, or that still leaves keys unprocessed after the last retry
+ */
+const batchGet = async (client, requestItems, options = {}) => {
+  if (!isObject(requestItems) || isArray(requestItems)) {
+    throw new TypeError('batchGet takes an object of key arrays by table name')
+  }
+  let documentClient = isDocumentClient(client)
+  let unmarshall = !documentClient && options.unmarshall !== false
+  let policy = options.retryPolicy ||
+    createRetryPolicy(Object.assign({}, options, {maxAttempts: (typeof options.maxRetries === 'number' ? options.maxRetries : 8) + 1}))
+  let tables = {}
+  let entries = []
+  Object.keys(requestItems).map((tableName) => {
+    let request = isArray(requestItems[tableName]) ? {keys: requestItems[tableName]} : requestItems[tableName]
+    let keys = request.keys.map((k) => documentClient ? k : marshallItem(k, options.attributeOptions))
+    let keyNames = keys.length > 0 ? Object.keys(keys[0]) : []
+    let table = {ids: keys.map(keyId), keyNames: keyNames, hiddenKeyNames: [], items: new Map(), params: {}}
+    if (request.projection) {
+      // the key attributes are needed to match items to keys, they're removed again when not asked for
+      table.hiddenKeyNames = keyNames.filter((k) => !request.projection.includes(k))
+      let projection = buildProjection(request.projection.concat(table.hiddenKeyNames))
+      table.params.ProjectionExpression = projection.ProjectionExpression
+      table.params.ExpressionAttributeNames = projection.ExpressionAttributeNames
+    }
+    if (request.consistentRead) {
+      table.params.ConsistentRead = true
+    }
+    tables[tableName] = table
+    keys.map((key, i) => {
+      if (table.ids.indexOf(table.ids[i]) === i) {
+        entries.push({tableName: tableName, key: key})
+      }
+    })
+  })
+  let batches = []
+  for (let i = 0; i < entries.length; i += BATCH_GET_LIMIT) {
+    batches.push(entries.slice(i, i + BATCH_GET_LIMIT))
+  }
+  let readBatch = async (batch) => {
+    let pending = batch
+    let attempt = 0
+    while (pending.length > 0) {
+      let requests = {}
+      pending.map((e) => {
+        requests[e.tableName] = requests[e.tableName] || Object.assign({Keys: []}, tables[e.tableName].params)
+        requests[e.tableName].Keys.push(e.key)
+      })
+      let response
+      try {
+        response = await callOperation(client, 'batchGet', {RequestItems: requests})
+      } catch (err) {
+        if (!policy.shouldRetry(err, attempt)) {
+          throw classifyError(err)
+        }
+        await sleep(policy.delay(attempt++))
+        continue
+      }
+      policy.succeeded()
+      Object.keys(response.Responses || {}).map((tableName) => {
+        let table = tables[tableName]
+        response.Responses[tableName].map((item) => {
+          let key = {}
+          table.keyNames.map((k) => { key[k] = item[k] })
+          let result = Object.assign({}, item)
+          table.hiddenKeyNames.map((k) => delete result[k])
+          table.items.set(keyId(key), unmarshall ? unmarshallItem(result, options.parseOptions) : result)
+        })
+      })
+      pending = []
+      Object.keys(response.UnprocessedKeys || {}).map((tableName) => {
+        response.UnprocessedKeys[tableName].Keys.map((key) => pending.push({tableName: tableName, key: key}))
+      })
+      if (pending.length > 0) {
+        // unprocessed keys were throttled, their retries take from the attempts and the budget of the policy
+        if (!policy.shouldRetry(new ThrottlingError(`${pending.length} keys were left unprocessed`), attempt)) {
+          throw new Error(`${pending.length} keys still unprocessed after ${attempt} retries`)
+        }
+        await sleep(policy.delay(attempt++))
+      }
+    }
+  }
+  await mapConcurrent(batches, options.concurrency || 4, readBatch)
+  let result = {}
+  Object.keys(tables).map((tableName) => {
+    let table = tables[tableName]
+    result[tableName] = table.ids.map((id) => table.items.has(id) ? table.items.get(id) : null)
+  })
+  return result
+}
+
+exports.BATCH_GET_LIMIT = BATCH_GET_LIMIT
+exports.batchGet = batchGet
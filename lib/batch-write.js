@@ -0,0 +1,166 @@
+const {calculateItemSize, isArray, isObject} = require('./attributes')
+const {createRetryPolicy, mapConcurrent, sleep} = require('./backoff')
+const {callOperation, isDocumentClient, marshallItem} = require('./client')
+const {classifyError, isRetryableError, ThrottlingError} = require('./errors')
+const {ITEM_SIZE_LIMIT} = require('./item-size-guard')
+
+const BATCH_WRITE_LIMIT = 25
+const BATCH_WRITE_SIZE_LIMIT = 16 * 1024 * 1024
+
+/**
+ * Normalizes one write request: {put: item}, {delete: key}, {PutRequest: {Item}} or {DeleteRequest: {Key}}.
+ * Items and keys are marshalled for the low-level client.
+ * @param request Object
+ * @param documentClient Boolean
+ * @param attributeOptions Object createAttribute options
+ * @returns {Object} {PutRequest: {Item}} or {DeleteRequest: {Key}}
+ */
+const toWriteRequest = (request, documentClient, attributeOptions) => {
+  let convert = (o) => documentClient ? o : marshallItem(o, attributeOptions)
+  if (isObject(request) && (request.PutRequest || request.put)) {
+    return {PutRequest: {Item: convert(request.PutRequest ? request.PutRequest.Item : request.put)}}
+  }
+  if (isObject(request) && (request.DeleteRequest || request.delete)) {
+    return {DeleteRequest: {Key: convert(request.DeleteRequest ? request.DeleteRequest.Key : request.delete)}}
+  }
+  throw new TypeError('Write requests take the form {put: item}, {delete: key}, {PutRequest: {Item}} or {DeleteRequest: {Key}}')
+}
+
+/**
+ * Groups {tableName, request} entries into the RequestItems parameter of a batchWrite call
+ * @param entries Array
+ * @returns {Object}
+ */
+const toRequestItems = (entries) => {
+  let requestItems = {}
+  entries.map((e) => {
+    requestItems[e.tableName] = (requestItems[e.tableName] || []).concat(e.request)
+  })
+  return requestItems
+}
+
+/**
+ * Writes any number of put and delete requests, for any number of tables, with batchWrite (DocumentClient) or
+ * batchWriteItem (low-level client) calls:
+ *     - requests are split into batches of at most 25 requests and 16 MB
+ *     - UnprocessedItems and throttling errors are retried with exponential backoff and jitter
+ *     - at most "concurrency" batches are in flight at once
+ * Items over the 400 KB item limit, requests rejected by DynamoDB and requests still unprocessed after the last
+ * retry are reported as failed instead of rejecting the Promise.
+ * Example:
+ *     batchWrite(client, {
+ *       planets: [{put: {id: 'kepler-22b', radius: 2.4}}, {delete: {id: 'pluto'}}],
+ *       moons: [{PutRequest: {Item: {id: 'io'}}}]
+ *     }, {onProgress: (progress) => console.log(`${progress.processed}/${progress.total}`)})
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param requestItems Object arrays of write requests by table name
+ * @param options Object
+ *                  concurrency: Number batches in flight at once, defaults to 4
+ *                  maxRetries: Number retries of a batch before its requests are reported as failed, defaults to 8
+ *                  baseDelay, maxDelay: Number backoff milliseconds, default to 50 and 5000
+ *                  budget: Object a createRetryBudget budget shared with other calls
+ *                  retryPolicy: Object a createRetryPolicy policy, replaces maxRetries, baseDelay, maxDelay and budget
+ *                  returnConsumedCapacity: String "TOTAL" (default), "INDEXES" or "NONE"
+ *                  onProgress: Function called after every batch with {processed, failed, total}
+ *                  attributeOptions: Object createAttribute options used to marshall items for the low-level client
+ * @returns {Promise} resolves to {processed, failed: [{tableName, request, error}], consumedCapacity, batches, retries}
+ *                    where errors are classified with classifyError, consumedCapacity holds the capacity units consumed by table name and batches counts
+ *                    the calls made, retries included
+ */
+const batchWrite = async (client, requestItems, options = {}) => {
+  if (!isObject(requestItems) || isArray(requestItems)) {
+    throw new TypeError('batchWrite takes an object of write request arrays by table name')
+  }
+  let documentClient = isDocumentClient(client)
+  let policy = options.retryPolicy ||
+    createRetryPolicy(Object.assign({isRetryable: isRetryableError}, options, {
+      maxAttempts: (typeof options.maxRetries === 'number' ? options.maxRetries : 8) + 1
+    }))
+  let result = {processed: 0, failed: [], consumedCapacity: {}, batches: 0, retries: 0}
+  let batches = []
+  let batch = []
+  let batchSize = 0
+  let total = 0
+  Object.keys(requestItems).map((tableName) => {
+    requestItems[tableName].map((r) => {
+      let request = toWriteRequest(r, documentClient, options.attributeOptions)
+      let item = request.PutRequest ? request.PutRequest.Item : request.DeleteRequest.Key
+      let size = calculateItemSize(item, {marshalled: !documentClient}).bytes
+      total++
+      if (size > ITEM_SIZE_LIMIT) {
+        result.failed.push({tableName: tableName, request: request, error: new RangeError(`Item size of ${size} bytes exceeds the ${ITEM_SIZE_LIMIT} byte limit`)})
+        return
+      }
+      let requestSize = size + Buffer.byteLength(tableName)
+      if (batch.length === BATCH_WRITE_LIMIT || batchSize + requestSize > BATCH_WRITE_SIZE_LIMIT) {
+        batches.push(batch)
+        batch = []
+        batchSize = 0
+      }
+      batch.push({tableName: tableName, request: request})
+      batchSize += requestSize
+    })
+  })
+  if (batch.length > 0) {
+    batches.push(batch)
+  }
+  let progress = () => {
+    if (typeof options.onProgress === 'function') {
+      options.onProgress({processed: result.processed, failed: result.failed.length, total: total})
+    }
+  }
+  let addConsumedCapacity = (consumedCapacity) => {
+    (consumedCapacity || []).map((c) => {
+      result.consumedCapacity[c.TableName] = (result.consumedCapacity[c.TableName] || 0) + (c.CapacityUnits || 0)
+    })
+  }
+  let writeBatch = async (entries) => {
+    let pending = entries
+    let attempt = 0
+    while (pending.length > 0) {
+      let response
+      try {
+        result.batches++
+        response = await callOperation(client, 'batchWrite', {
+          RequestItems: toRequestItems(pending),
+          ReturnConsumedCapacity: options.returnConsumedCapacity || 'TOTAL'
+        })
+      } catch (err) {
+        if (!policy.shouldRetry(err, attempt)) {
+          let error = classifyError(err)
+          pending.map((e) => result.failed.push(Object.assign({error: error}, e)))
+          progress()
+          return
+        }
+        result.retries++
+        await sleep(policy.delay(attempt++))
+        continue
+      }
+      policy.succeeded()
+      addConsumedCapacity(response.ConsumedCapacity)
+      let unprocessed = []
+      Object.keys(response.UnprocessedItems || {}).map((tableName) => {
+        response.UnprocessedItems[tableName].map((request) => unprocessed.push({tableName: tableName, request: request}))
+      })
+      result.processed += pending.length - unprocessed.length
+      // unprocessed requests were throttled, their retries take from the attempts and the budget of the policy
+      if (unprocessed.length > 0 &&
+        !policy.shouldRetry(new ThrottlingError(`${unprocessed.length} requests were left unprocessed`), attempt)) {
+        let error = new Error(`Still unprocessed after ${attempt} retries`)
+        unprocessed.map((e) => result.failed.push(Object.assign({error: error}, e)))
+        unprocessed = []
+      }
+      progress()
+      pending = unprocessed
+      if (pending.length > 0) {
+        result.retries++
+        await sleep(policy.delay(attempt++))
+      }
+    }
+  }
+  await mapConcurrent(batches, options.concurrency || 4, writeBatch)
+  return result
+}
+
+exports.BATCH_WRITE_LIMIT = BATCH_WRITE_LIMIT
+exports.batchWrite = batchWrite
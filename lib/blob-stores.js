@@ -0,0 +1,63 @@
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Blob stores hold attribute values that are too large to stay in a DynamoDB item (see offloadItem).
+ * Any object with the following functions can be used as a blob store, e.g. a thin wrapper around S3:
+ *     put(key, data)  stores the Buffer data under the key, returns a Promise
+ *     get(key)        returns a Promise resolving to the Buffer stored under the key
+ *     delete(key)     removes the data stored under the key, returns a Promise
+ */
+
+/**
+ * Constructs and returns a blob store that keeps everything in memory, good for tests.
+ * @returns {{put: Function, get: Function, delete: Function, keys: Function}}
+ */
+const createMemoryBlobStore = () => {
+  let blobs = new Map()
+  return {
+    put: (key, data) => {
+      blobs.set(key, Buffer.from(data))
+      return Promise.resolve()
+    },
+    get: (key) => {
+      return blobs.has(key)
+        ? Promise.resolve(Buffer.from(blobs.get(key)))
+        : Promise.reject(new Error(`Blob ${key} not found`))
+    },
+    delete: (key) => {
+      blobs.delete(key)
+      return Promise.resolve()
+    },
+    keys: () => Array.from(blobs.keys())
+  }
+}
+
+/**
+ * Constructs and returns a blob store that keeps every blob as a file in the passed directory.
+ * The directory is created when the first blob is stored.
+ * @param directory String
+ * @returns {{put: Function, get: Function, delete: Function}}
+ */
+const createFileBlobStore = (directory) => {
+  let blobPath = (key) => path.join(directory, encodeURIComponent(key))
+  return {
+    put: (key, data) => {
+      return fs.promises.mkdir(directory, {recursive: true})
+        .then(() => fs.promises.writeFile(blobPath(key), data))
+    },
+    get: (key) => {
+      return fs.promises.readFile(blobPath(key))
+    },
+    delete: (key) => {
+      return fs.promises.unlink(blobPath(key)).catch((err) => {
+        if (err.code !== 'ENOENT') {
+          throw err
+        }
+      })
+    }
+  }
+}
+
+exports.createMemoryBlobStore = createMemoryBlobStore
+exports.createFileBlobStore = createFileBlobStore
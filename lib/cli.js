@@ -0,0 +1,556 @@
+const fs = require('fs')
+const {calculateItemSize, isArray, isObject, itemSizeCount} = require('./attributes')
+const {callClient, marshallItem, unmarshallItem} = require('./client')
+const {classifyError, ConditionalCheckFailedError, ResourceInUseError, ResourceNotFoundError, TransactionCanceledError} = require('./errors')
+const {queryPage, scanPage} = require('./pagination')
+const {exportTable, importTable} = require('./table-data')
+const {createTable, deleteTable, describeTable, waitForTableActive, waitForTableDeleted} = require('./tables')
+
+/**
+ * The exit codes of the dynamodb-utils command
+ */
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  notFound: 3,
+  conflict: 4,
+  retryable: 5,
+  partial: 6
+}
+
+const BOOLEAN_FLAGS = ['all', 'consistent', 'deleted', 'descending', 'help', 'version', 'wait']
+
+const USAGE = `Usage: dynamodb-utils <command> [arguments] [options]
+
+Tables
+  describe-table <table>
+  create-table <table> --partition-key name[:S|N|B] [--sort-key name[:S|N|B]] [--billing-mode PROVISIONED
+                       --read n --write n] [--stream NEW_AND_OLD_IMAGES] [--ttl attribute]
+  create-table --definition <json>            a createTableParams definition
+  delete-table <table> [--no-wait]
+  wait-table <table> [--deleted] [--timeout ms] [--interval ms]
+
+Items
+  get-item <table> --key <json> [--projection expr] [--consistent]
+  put-item <table> --item <json> [--condition expr]
+  delete-item <table> --key <json> [--condition expr]
+  query <table> --key-condition expr [--filter expr] [--index name] [--descending]
+  scan <table> [--filter expr] [--index name] [--segments n]
+      query and scan: [--projection expr] [--limit n] [--cursor cursor] [--all] [--consistent]
+      expressions: [--names <json>] [--values <json>]
+  size --item <json>                          the size and capacity units of an item
+  size <table> --key <json>                   the same for a stored item
+
+Data
+  export <table> <file|-> [--format dynamodb-json|ndjson|csv] [--filter expr] [--segments n]
+  import <table> <file|-> [--format dynamodb-json|ndjson|csv] [--batch-size n] [--concurrency n]
+
+Options
+  --endpoint url     e.g. http://localhost:8000 for DynamoDB Local
+  --region name      defaults to AWS_REGION, or us-east-1
+  --output json|table
+  --help, --version
+
+<json> is a JSON string, @file to read a file, or - to read standard input. Items, keys and values are regular
+JSON objects, converted with createAttribute.
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 not found, 4 condition failed or conflict, 5 throttled, unavailable or timed
+out, 6 import with failed lines`
+
+/**
+ * Returns an error that exits with the usage exit code
+ * @param message String
+ * @returns {Error}
+ */
+const usageError = (message) => {
+  let err = new Error(message)
+  err.code = 'UsageError'
+  return err
+}
+
+/**
+ * Splits command line arguments into positional arguments and flags, "--no-x" sets the boolean flag x to false
+ * @param argv Array
+ * @returns {{args: Array, flags: Object}}
+ */
+const parseArgs = (argv) => {
+  let args = []
+  let flags = {}
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i]
+    if (!arg.startsWith('--') || arg === '--') {
+      args.push(arg)
+      continue
+    }
+    let name = arg.slice(2)
+    let value
+    if (name.includes('=')) {
+      value = name.slice(name.indexOf('=') + 1)
+      name = name.slice(0, name.indexOf('='))
+    } else if (name.startsWith('no-') && BOOLEAN_FLAGS.includes(name.slice(3))) {
+      name = name.slice(3)
+      value = false
+    } else if (BOOLEAN_FLAGS.includes(name)) {
+      value = true
+    } else if (i + 1 < argv.length) {
+      value = argv[++i]
+    } else {
+      throw usageError(`--${name} needs a value`)
+    }
+    flags[name.replace(/-([a-z])/g, (m, c) => c.toUpperCase())] = value
+  }
+  return {args: args, flags: flags}
+}
+
+/**
+ * Resolves to the text of standard input
+ * @param stdin stream.Readable
+ * @returns {Promise}
+ */
+const readStream = async (stdin) => {
+  let chunks = []
+  for await (let chunk of stdin) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk)
+  }
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+/**
+ * Resolves to the value of a JSON flag: a JSON string, @file or - for standard input
+ * @param value String
+ * @param name String the flag name, used in error messages
+ * @param io Object
+ * @returns {Promise}
+ */
+const readJson = async (value, name, io) => {
+  if (value === undefined) {
+    return undefined
+  }
+  let text = value
+  if (value === '-') {
+    text = await readStream(io.stdin)
+  } else if (value.startsWith('@')) {
+    text = await fs.promises.readFile(value.slice(1), 'utf8').catch((err) => {
+      throw usageError(`--${name}: ${err.message}`)
+    })
+  }
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    throw usageError(`--${name} is not valid JSON: ${err.message}`)
+  }
+}
+
+/**
+ * Resolves to a JSON flag that must hold an object
+ */
+const readObject = async (flags, name, io, required) => {
+  let o = await readJson(flags[name], name, io)
+  if (o === undefined && required) {
+    throw usageError(`--${name} is required`)
+  }
+  if (o !== undefined && (!isObject(o) || isArray(o))) {
+    throw usageError(`--${name} must be a JSON object`)
+  }
+  return o
+}
+
+/**
+ * Returns a number flag, or undefined
+ */
+const readNumber = (flags, name) => {
+  if (flags[name] === undefined) {
+    return undefined
+  }
+  let n = Number(flags[name])
+  if (!Number.isInteger(n) || n < 0) {
+    throw usageError(`--${name} must be a whole number`)
+  }
+  return n
+}
+
+/**
+ * Returns the table name argument
+ */
+const tableArgument = (args) => {
+  if (!args[0]) {
+    throw usageError('A table name is required')
+  }
+  return args[0]
+}
+
+/**
+ * Returns a key attribute definition from "name" or "name:type"
+ */
+const keyDefinition = (value) => {
+  if (value === undefined) {
+    return undefined
+  }
+  let parts = String(value).split(':')
+  if (!['S', 'N', 'B'].includes((parts[1] || 'S').toUpperCase())) {
+    throw usageError(`Key types are S, N or B, not ${parts[1]}`)
+  }
+  return {name: parts[0], type: (parts[1] || 'S').toUpperCase()}
+}
+
+/**
+ * Resolves to the expression parameters of the flags: ExpressionAttributeNames and marshalled
+ * ExpressionAttributeValues
+ */
+const expressionParams = async (flags, io) => {
+  let params = {}
+  let names = await readObject(flags, 'names', io)
+  let values = await readObject(flags, 'values', io)
+  if (names) {
+    params.ExpressionAttributeNames = names
+  }
+  if (values) {
+    params.ExpressionAttributeValues = marshallItem(values)
+  }
+  return params
+}
+
+/**
+ * Returns the exit code of an error
+ * @param err Error
+ * @returns {Number}
+ */
+const exitCodeOf = (err) => {
+  let error = classifyError(err)
+  if (error.code === 'UsageError') {
+    return EXIT_CODES.usage
+  }
+  if (error.code === 'TableWaitTimeout' || error.retryable) {
+    return EXIT_CODES.retryable
+  }
+  if (error instanceof ResourceNotFoundError || error.code === 'ResourceNotFoundException') {
+    return EXIT_CODES.notFound
+  }
+  if (error instanceof ConditionalCheckFailedError || error instanceof ResourceInUseError ||
+    error instanceof TransactionCanceledError) {
+    return EXIT_CODES.conflict
+  }
+  return EXIT_CODES.error
+}
+
+/**
+ * Converts a value into one JSON.stringify keeps: Buffers become base 64 strings, Sets arrays and BigInts strings
+ * @param value {*}
+ * @returns {*}
+ */
+const toOutput = (value) => {
+  if (Buffer.isBuffer(value)) {
+    return value.toString('base64')
+  }
+  if (value instanceof Set) {
+    return Array.from(value).map(toOutput)
+  }
+  if (typeof value === 'bigint') {
+    return value.toString()
+  }
+  if (isArray(value)) {
+    return value.map(toOutput)
+  }
+  if (isObject(value) && !(value instanceof Date)) {
+    let o = {}
+    Object.keys(value).map((k) => { o[k] = toOutput(value[k]) })
+    return o
+  }
+  return value
+}
+
+/**
+ * Formats rows of objects as a text table, with a column for every property
+ * @param rows Array
+ * @returns {String}
+ */
+const formatTable = (rows) => {
+  let columns = []
+  rows.map((row) => Object.keys(row).map((k) => {
+    if (!columns.includes(k)) {
+      columns.push(k)
+    }
+  }))
+  let cell = (v) => v === undefined ? '' : typeof v === 'string' ? v : JSON.stringify(v)
+  let cells = [columns].concat(rows.map((row) => columns.map((c) => cell(row[c]))))
+  let widths = columns.map((c, i) => Math.max(...cells.map((r) => r[i].length)))
+  let line = (r) => r.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd()
+  return [line(cells[0]), widths.map((w) => '-'.repeat(w)).join('  ')].concat(cells.slice(1).map(line)).join('\n')
+}
+
+/**
+ * Formats the result of a command for the output flag
+ * @param result {*}
+ * @param output String "json" or "table"
+ * @returns {String}
+ */
+const formatResult = (result, output) => {
+  let value = toOutput(result)
+  if (output !== 'table') {
+    return JSON.stringify(value, null, 2)
+  }
+  if (isObject(value) && isArray(value.items)) {
+    return value.items.length > 0 ? formatTable(value.items) : '(no items)'
+  }
+  if (isArray(value)) {
+    return formatTable(value.map((v) => isObject(v) ? v : {value: v}))
+  }
+  if (isObject(value)) {
+    return formatTable(Object.keys(value).map((k) => ({property: k, value: value[k]})))
+  }
+  return String(value)
+}
+
+/**
+ * Resolves to the query or scan results of the flags, one page unless --all is set
+ */
+const readPage = async (db, operation, tableName, flags, io) => {
+  let params = Object.assign({TableName: tableName}, await expressionParams(flags, io))
+  let expressions = {
+    keyCondition: 'KeyConditionExpression',
+    filter: 'FilterExpression',
+    projection: 'ProjectionExpression',
+    index: 'IndexName'
+  }
+  Object.keys(expressions).filter((f) => flags[f] !== undefined).map((f) => { params[expressions[f]] = flags[f] })
+  if (operation === 'query' && !params.KeyConditionExpression) {
+    throw usageError('query needs --key-condition')
+  }
+  if (flags.consistent) {
+    params.ConsistentRead = true
+  }
+  if (flags.descending) {
+    params.ScanIndexForward = false
+  }
+  let options = {
+    limit: flags.all ? undefined : (readNumber(flags, 'limit') || 25),
+    cursor: flags.cursor,
+    totalSegments: readNumber(flags, 'segments'),
+    parseOptions: {numbers: 'bigint'}
+  }
+  let page = await (operation === 'query' ? queryPage(db, params, options) : scanPage(db, params, options))
+  return {items: page.items, count: page.items.length, cursor: page.cursor}
+}
+
+/**
+ * Returns the outcome of a command: the result to print (nothing when undefined) and the exit code
+ */
+const outcome = (result, exitCode = EXIT_CODES.ok) => ({result: result, exitCode: exitCode})
+
+/**
+ * Returns the error of a missing table or item
+ */
+const notFound = (message) => {
+  let err = new Error(message)
+  err.code = 'ResourceNotFoundException'
+  return err
+}
+
+/**
+ * The commands, each resolves to an outcome
+ */
+const COMMANDS = {
+  'describe-table': async (db, args) => {
+    let tableName = tableArgument(args)
+    let table = await describeTable(db, tableName)
+    if (!table) {
+      throw notFound(`Table ${tableName} does not exist`)
+    }
+    return outcome(table)
+  },
+  'create-table': async (db, args, flags, io) => {
+    let definition = await readObject(flags, 'definition', io)
+    if (!definition) {
+      definition = {
+        tableName: tableArgument(args),
+        partitionKey: keyDefinition(flags.partitionKey),
+        sortKey: keyDefinition(flags.sortKey),
+        billingMode: flags.billingMode,
+        throughput: flags.read || flags.write
+          ? {read: readNumber(flags, 'read'), write: readNumber(flags, 'write')} : undefined,
+        stream: flags.stream,
+        ttl: flags.ttl
+      }
+    }
+    if (!definition.partitionKey) {
+      throw usageError('create-table needs --partition-key or a --definition')
+    }
+    let result = await createTable(db, definition, {timeout: readNumber(flags, 'timeout')})
+    return outcome({created: result.created, table: result.table})
+  },
+  'delete-table': async (db, args, flags) => {
+    let tableName = tableArgument(args)
+    if (flags.wait === false) {
+      await callClient(db, 'deleteTable', {TableName: tableName})
+      return outcome({deleted: true})
+    }
+    return outcome(await deleteTable(db, tableName, {timeout: readNumber(flags, 'timeout')}))
+  },
+  'wait-table': async (db, args, flags) => {
+    let tableName = tableArgument(args)
+    let options = {timeout: readNumber(flags, 'timeout'), interval: readNumber(flags, 'interval')}
+    if (flags.deleted) {
+      await waitForTableDeleted(db, tableName, options)
+      return outcome({tableName: tableName, deleted: true})
+    }
+    let table = await waitForTableActive(db, tableName, options)
+    return outcome({tableName: tableName, status: table.TableStatus})
+  },
+  'get-item': async (db, args, flags, io) => {
+    let params = {TableName: tableArgument(args), Key: marshallItem(await readObject(flags, 'key', io, true))}
+    if (flags.projection) {
+      Object.assign(params, {ProjectionExpression: flags.projection}, await expressionParams(flags, io))
+    }
+    if (flags.consistent) {
+      params.ConsistentRead = true
+    }
+    let response = await callClient(db, 'getItem', params)
+    if (!response.Item) {
+      throw notFound('Item not found')
+    }
+    return outcome(unmarshallItem(response.Item, {numbers: 'bigint'}))
+  },
+  'put-item': async (db, args, flags, io) => {
+    let item = await readObject(flags, 'item', io, true)
+    let params = {TableName: tableArgument(args), Item: marshallItem(item)}
+    if (flags.condition) {
+      Object.assign(params, {ConditionExpression: flags.condition}, await expressionParams(flags, io))
+    }
+    await callClient(db, 'putItem', params)
+    return outcome(item)
+  },
+  'delete-item': async (db, args, flags, io) => {
+    let params = {
+      TableName: tableArgument(args),
+      Key: marshallItem(await readObject(flags, 'key', io, true)),
+      ReturnValues: 'ALL_OLD'
+    }
+    if (flags.condition) {
+      Object.assign(params, {ConditionExpression: flags.condition}, await expressionParams(flags, io))
+    }
+    let response = await callClient(db, 'deleteItem', params)
+    return outcome({deleted: response.Attributes ? unmarshallItem(response.Attributes, {numbers: 'bigint'}) : null})
+  },
+  query: async (db, args, flags, io) => outcome(await readPage(db, 'query', tableArgument(args), flags, io)),
+  scan: async (db, args, flags, io) => outcome(await readPage(db, 'scan', tableArgument(args), flags, io)),
+  size: async (db, args, flags, io) => {
+    let item = await readObject(flags, 'item', io)
+    if (!item) {
+      let response = await callClient(db, 'getItem', {TableName: tableArgument(args), Key: marshallItem(await readObject(flags, 'key', io, true))})
+      if (!response.Item) {
+        throw notFound('Item not found')
+      }
+      item = response.Item
+    }
+    let size = calculateItemSize(item)
+    return outcome({
+      kilobytes: itemSizeCount(item),
+      bytes: size.bytes,
+      readCapacityUnits: size.readCapacityUnits,
+      writeCapacityUnits: size.writeCapacityUnits,
+      attributes: size.attributes
+    })
+  },
+  export: async (db, args, flags, io) => {
+    let tableName = tableArgument(args)
+    if (!args[1]) {
+      throw usageError('export needs a file name, or - for standard output')
+    }
+    let params = await expressionParams(flags, io)
+    if (flags.filter) {
+      params.FilterExpression = flags.filter
+    }
+    let result = await exportTable(db, tableName, args[1] === '-' ? io.stdout : args[1], {
+      format: flags.format,
+      params: params,
+      totalSegments: readNumber(flags, 'segments'),
+      pageSize: readNumber(flags, 'pageSize')
+    })
+    return outcome(args[1] === '-' ? undefined : result)
+  },
+  import: async (db, args, flags, io) => {
+    let tableName = tableArgument(args)
+    if (!args[1]) {
+      throw usageError('import needs a file name, or - for standard input')
+    }
+    let result = await importTable(db, tableName, args[1] === '-' ? io.stdin : args[1], {
+      format: flags.format,
+      batchSize: readNumber(flags, 'batchSize'),
+      concurrency: readNumber(flags, 'concurrency')
+    })
+    result.failed = result.failed.map((f) => ({line: f.line, error: f.error.message}))
+    return outcome(result, result.failed.length > 0 ? EXIT_CODES.partial : EXIT_CODES.ok)
+  }
+}
+
+/**
+ * Constructs the low-level client of the --endpoint and --region flags with the aws-sdk package. Local endpoints get
+ * placeholder credentials when none are configured, DynamoDB Local accepts any.
+ * @param flags Object
+ * @returns {AWS.DynamoDB}
+ */
+const createClient = (flags) => {
+  let AWS
+  try {
+    AWS = require('aws-sdk')
+  } catch (err) {
+    throw new Error('dynamodb-utils needs the aws-sdk package: npm install aws-sdk')
+  }
+  let options = {region: flags.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1'}
+  if (flags.endpoint) {
+    options.endpoint = flags.endpoint
+    if (!process.env.AWS_ACCESS_KEY_ID && !process.env.AWS_PROFILE) {
+      options.credentials = new AWS.Credentials('local', 'local')
+    }
+  }
+  return new AWS.DynamoDB(options)
+}
+
+/**
+ * Runs the dynamodb-utils command with the passed arguments, see USAGE
+ * Example:
+ *     runCli(['scan', 'planets', '--limit', '10', '--output', 'table']).then((code) => { process.exitCode = code })
+ * @param argv Array the arguments after the command name
+ * @param io Object
+ *                  stdin, stdout, stderr: streams, default to the ones of the process
+ *                  createClient: Function returns the AWS.DynamoDB client for the flags, e.g. createMemoryDynamoDB().db
+ * @returns {Promise} resolves to the exit code
+ */
+const runCli = async (argv, io = {}) => {
+  io = Object.assign({stdin: process.stdin, stdout: process.stdout, stderr: process.stderr, createClient: createClient}, io)
+  let print = (stream, text) => new Promise((resolve) => stream.write(text + '\n', resolve))
+  let flags = {}
+  try {
+    let parsed = parseArgs(argv)
+    flags = parsed.flags
+    let command = parsed.args[0]
+    if (flags.version) {
+      await print(io.stdout, require('../package.json').version)
+      return EXIT_CODES.ok
+    }
+    if (flags.help || !command) {
+      await print(flags.help ? io.stdout : io.stderr, USAGE)
+      return flags.help ? EXIT_CODES.ok : EXIT_CODES.usage
+    }
+    if (!COMMANDS.hasOwnProperty(command)) {
+      throw usageError(`Unknown command ${command}, see dynamodb-utils --help`)
+    }
+    if (flags.output && !['json', 'table'].includes(flags.output)) {
+      throw usageError('--output is json or table')
+    }
+    let done = await COMMANDS[command](io.createClient(flags), parsed.args.slice(1), flags, io)
+    if (done.result !== undefined) {
+      await print(io.stdout, formatResult(done.result, flags.output))
+    }
+    return done.exitCode
+  } catch (err) {
+    let code = exitCodeOf(err)
+    await print(io.stderr, `${code === EXIT_CODES.usage ? 'Usage error' : err.name || 'Error'}: ${err.message}`)
+    return code
+  }
+}
+
+exports.EXIT_CODES = EXIT_CODES
+exports.parseArgs = parseArgs
+exports.runCli = runCli
@@ -0,0 +1,116 @@
+const {addObjectProperty, createAttribute, isArray, isAttributeMap, isObject, map2Object} = require('./attributes')
+
+/**
+ * AWS.DynamoDB.DocumentClient function names and their AWS.DynamoDB (low-level client) counterparts
+ */
+const LOW_LEVEL_METHODS = {
+  get: 'getItem',
+  put: 'putItem',
+  update: 'updateItem',
+  delete: 'deleteItem',
+  query: 'query',
+  scan: 'scan',
+  batchWrite: 'batchWriteItem',
+  batchGet: 'batchGetItem',
+  transactWrite: 'transactWriteItems',
+  transactGet: 'transactGetItems'
+}
+
+/**
+ * Returns a boolean value that is true if the passed client is an AWS.DynamoDB.DocumentClient (or works like one)
+ * rather than the low-level AWS.DynamoDB client
+ * @param client Object
+ * @returns {boolean}
+ */
+const isDocumentClient = (client) => {
+  return typeof client.get === 'function' && typeof client.getItem !== 'function'
+}
+
+/**
+ * Calls a client function and returns a Promise for its response
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param method String
+ * @param params Object
+ * @returns {Promise}
+ */
+const callClient = (client, method, params) => {
+  return new Promise((resolve, reject) => {
+    if (typeof client[method] !== 'function') {
+      reject(new TypeError(`The client has no ${method} function`))
+      return
+    }
+    client[method](params, (err, data) => err ? reject(err) : resolve(data))
+  })
+}
+
+/**
+ * Calls a DocumentClient operation (get, put, update, delete, query, scan, batchWrite, batchGet, transactWrite or
+ * transactGet) on either kind of client, using the matching low-level function name when needed
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param operation String
+ * @param params Object
+ * @returns {Promise}
+ */
+const callOperation = (client, operation, params) => {
+  return callClient(client, isDocumentClient(client) ? operation : LOW_LEVEL_METHODS[operation], params)
+}
+
+/**
+ * Converts a regular property-based object into an AWS item object, undefined values are left out.
+ * AWS item objects are returned as they are.
+ * @param item Object
+ * @param options Object createAttribute options
+ * @returns {Object}
+ */
+const marshallItem = (item, options = {}) => {
+  if (isAttributeMap(item)) {
+    return item
+  }
+  let attributeMap = {}
+  Object.keys(item).map((k) => {
+    let attribute = createAttribute(item[k], Object.assign({removeUndefined: true}, options))
+    if (attribute !== undefined) {
+      addObjectProperty(attributeMap, k, attribute)
+    }
+  })
+  return attributeMap
+}
+
+/**
+ * Replaces AWS SDK v2 DocumentClient sets ({wrapperName: 'Set', values}) with Set objects, so createAttribute
+ * recognizes them instead of marshalling them as maps
+ * @param value {*}
+ * @returns {*}
+ */
+const toPlainSets = (value) => {
+  if (isObject(value) && value.wrapperName === 'Set' && isArray(value.values)) {
+    return new Set(value.values)
+  }
+  if (isArray(value)) {
+    return value.map(toPlainSets)
+  }
+  if (isObject(value) && !Buffer.isBuffer(value) && !(value instanceof Set) && Object.getPrototypeOf(value) === Object.prototype) {
+    let o = {}
+    Object.keys(value).map((k) => addObjectProperty(o, k, toPlainSets(value[k])))
+    return o
+  }
+  return value
+}
+
+/**
+ * Converts an AWS item object into a regular property-based object, the way the DocumentClient would
+ * @param item Object
+ * @param options Object parseAttribute options
+ * @returns {Object}
+ */
+const unmarshallItem = (item, options = {}) => {
+  return Object.keys(item).length === 0 ? {} : map2Object(item, options)
+}
+
+exports.LOW_LEVEL_METHODS = LOW_LEVEL_METHODS
+exports.isDocumentClient = isDocumentClient
+exports.callClient = callClient
+exports.callOperation = callOperation
+exports.marshallItem = marshallItem
+exports.toPlainSets = toPlainSets
+exports.unmarshallItem = unmarshallItem
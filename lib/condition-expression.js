@@ -0,0 +1,245 @@
+const {addObjectProperty, createAttribute, isArray, isAttribute, isObject} = require('./attributes')
+const {attributesEqual} = require('./expression-evaluator')
+const {createExpressionAttributes} = require('./expression-attributes')
+
+const NODE = Symbol('condition expression node')
+
+/**
+ * Default placeholder prefixes of buildCondition by expression parameter
+ */
+const CONDITION_PREFIXES = {
+  ConditionExpression: 'c',
+  FilterExpression: 'f',
+  KeyConditionExpression: 'k'
+}
+
+const ATTRIBUTE_TYPES = ['S', 'SS', 'N', 'NS', 'B', 'BS', 'BOOL', 'NULL', 'L', 'M']
+
+/**
+ * Constructs a node of a condition expression tree
+ * @param kind String "path", "size" or "condition"
+ * @param render Function (attributes) => String
+ * @returns {Object}
+ */
+const createNode = (kind, render) => {
+  return addObjectProperty({kind: kind, render: render}, NODE, true)
+}
+
+const isNode = (n, kind) => isObject(n) && n[NODE] === true && (!kind || n.kind === kind)
+
+/**
+ * Returns a boolean value that is true if the parameter passed is a condition built with this module
+ * @param c {*}
+ * @returns {boolean}
+ */
+const isCondition = (c) => isNode(c, 'condition')
+
+const toCondition = (c) => {
+  if (!isCondition(c)) {
+    throw new TypeError('Expected a condition, such as eq(path, value) or attributeExists(path)')
+  }
+  return c
+}
+
+/**
+ * Renders the left-hand side of a comparison: a path (string or array), ref(path) or size(path)
+ */
+const renderPath = (attributes, operand) => {
+  return isNode(operand) ? operand.render(attributes) : attributes.path(operand)
+}
+
+/**
+ * Renders the right-hand side of a comparison: ref(path), size(path) or a value
+ */
+const renderOperand = (attributes, operand) => {
+  return isNode(operand) ? operand.render(attributes) : attributes.value(operand)
+}
+
+/**
+ * Marks a path to be used as an operand where a value is expected, e.g. eq('price', ref('listPrice'))
+ * @param path Array|String
+ * @returns {Object}
+ */
+const ref = (path) => createNode('path', (a) => a.path(path))
+
+/**
+ * size(path) operand
+ * @param path Array|String
+ * @returns {Object}
+ */
+const size = (path) => createNode('size', (a) => `size(${a.path(path)})`)
+
+const comparison = (comparator) => (left, right) => {
+  return createNode('condition', (a) => `${renderPath(a, left)} ${comparator} ${renderOperand(a, right)}`)
+}
+
+/**
+ * left = right, left is a path, ref(path) or size(path), right is a value, ref(path) or size(path)
+ */
+const eq = comparison('=')
+const ne = comparison('<>')
+const lt = comparison('<')
+const lte = comparison('<=')
+const gt = comparison('>')
+const gte = comparison('>=')
+
+/**
+ * path BETWEEN low AND high
+ */
+const between = (path, low, high) => {
+  return createNode('condition', (a) => `${renderPath(a, path)} BETWEEN ${renderOperand(a, low)} AND ${renderOperand(a, high)}`)
+}
+
+/**
+ * path IN (value, ...), at most 100 values
+ */
+const isIn = (path, values) => {
+  if (!isArray(values) || values.length === 0 || values.length > 100) {
+    throw new TypeError('IN takes between 1 and 100 values')
+  }
+  return createNode('condition', (a) => `${renderPath(a, path)} IN (${values.map((v) => renderOperand(a, v)).join(', ')})`)
+}
+
+/**
+ * attribute_exists(path)
+ */
+const attributeExists = (path) => createNode('condition', (a) => `attribute_exists(${a.path(path)})`)
+
+/**
+ * attribute_not_exists(path)
+ */
+const attributeNotExists = (path) => createNode('condition', (a) => `attribute_not_exists(${a.path(path)})`)
+
+/**
+ * attribute_type(path, type), type is one of S, SS, N, NS, B, BS, BOOL, NULL, L or M
+ */
+const attributeType = (path, type) => {
+  if (!ATTRIBUTE_TYPES.includes(type)) {
+    throw new TypeError(`attribute_type takes one of ${ATTRIBUTE_TYPES.join(', ')}`)
+  }
+  return createNode('condition', (a) => `attribute_type(${a.path(path)}, ${a.value(type)})`)
+}
+
+/**
+ * begins_with(path, prefix)
+ */
+const beginsWith = (path, prefix) => {
+  return createNode('condition', (a) => `begins_with(${a.path(path)}, ${renderOperand(a, prefix)})`)
+}
+
+/**
+ * contains(path, operand), operand is a value or ref(path)
+ */
+const contains = (path, operand) => {
+  return createNode('condition', (a) => `contains(${a.path(path)}, ${renderOperand(a, operand)})`)
+}
+
+const logical = (operator) => (...conditions) => {
+  let list = (conditions.length === 1 && isArray(conditions[0]) ? conditions[0] : conditions).map(toCondition)
+  if (list.length === 0) {
+    throw new TypeError(`${operator} needs at least one condition`)
+  }
+  return list.length === 1
+    ? list[0]
+    : createNode('condition', (a) => list.map((c) => `(${c.render(a)})`).join(` ${operator} `))
+}
+
+/**
+ * (condition) AND (condition) ..., takes conditions as arguments or as one array
+ */
+const and = logical('AND')
+
+/**
+ * (condition) OR (condition) ..., takes conditions as arguments or as one array
+ */
+const or = logical('OR')
+
+/**
+ * NOT (condition)
+ */
+const not = (condition) => {
+  let c = toCondition(condition)
+  return createNode('condition', (a) => `NOT (${c.render(a)})`)
+}
+
+/**
+ * Returns the expression for the passed condition together with its ExpressionAttributeNames and
+ * ExpressionAttributeValues.
+ * Without a shared registry the placeholders get a prefix of their own for every kind of expression, "#c"/":c" for
+ * a ConditionExpression, "#f"/":f" for a FilterExpression and "#k"/":k" for a KeyConditionExpression, so they never
+ * collide with each other or with those of an UpdateExpression built on its own ("#n"/":v"), and the outputs can be
+ * combined with mergeExpressionParams.
+ * @param condition Object a condition, e.g. and(attributeNotExists('id'), gt('price', 10))
+ * @param options Object
+ *                  expression: String name of the expression parameter, "ConditionExpression" (default),
+ *                              "FilterExpression" or "KeyConditionExpression"
+ *                  attributes: Object an expression attributes registry shared with other expressions
+ *                  any createExpressionAttributes option
+ * @returns {Object}
+ */
+const buildCondition = (condition, options = {}) => {
+  let expression = options.expression || 'ConditionExpression'
+  let prefix = CONDITION_PREFIXES[expression] || 'c'
+  let attributes = options.attributes ||
+    createExpressionAttributes(Object.assign({namePrefix: `#${prefix}`, valuePrefix: `:${prefix}`}, options))
+  let params = addObjectProperty({}, expression, toCondition(condition).render(attributes))
+  return Object.assign(params, options.attributes ? {} : attributes.toParams())
+}
+
+/**
+ * Combines the outputs of buildCondition, createUpdateExpression().build() and the like into one set of API call
+ * parameters. Throws a TypeError when two of them set the same expression, or use the same placeholder for
+ * different names or values.
+ * @param params Object any number of expression parameter objects
+ * @returns {Object}
+ */
+const mergeExpressionParams = (...params) => {
+  let merged = {}
+  // values are compared as attributes, so BigInts, sets and marshalled values compare by what DynamoDB stores
+  let toAttribute = (value) => isAttribute(value) ? value : createAttribute(value)
+  let isSame = (key, a, b) => key === 'ExpressionAttributeNames' ? a === b : attributesEqual(toAttribute(a), toAttribute(b))
+  let mergePlaceholders = (key, placeholders) => {
+    let target = merged[key] || {}
+    Object.keys(placeholders).map((p) => {
+      if (target.hasOwnProperty(p) && !isSame(key, target[p], placeholders[p])) {
+        throw new TypeError(`Placeholder ${p} is used for different ${key === 'ExpressionAttributeNames' ? 'names' : 'values'}`)
+      }
+      addObjectProperty(target, p, placeholders[p])
+    })
+    merged[key] = target
+  }
+  params.filter((p) => isObject(p)).map((p) => {
+    Object.keys(p).filter((key) => p[key] !== undefined).map((key) => {
+      if (key === 'ExpressionAttributeNames' || key === 'ExpressionAttributeValues') {
+        mergePlaceholders(key, p[key])
+      } else if (merged.hasOwnProperty(key)) {
+        throw new TypeError(`${key} is set more than once`)
+      } else {
+        addObjectProperty(merged, key, p[key])
+      }
+    })
+  })
+  return merged
+}
+
+exports.ref = ref
+exports.size = size
+exports.eq = eq
+exports.ne = ne
+exports.lt = lt
+exports.lte = lte
+exports.gt = gt
+exports.gte = gte
+exports.between = between
+exports.isIn = isIn
+exports.attributeExists = attributeExists
+exports.attributeNotExists = attributeNotExists
+exports.attributeType = attributeType
+exports.beginsWith = beginsWith
+exports.contains = contains
+exports.and = and
+exports.or = or
+exports.not = not
+exports.isCondition = isCondition
+exports.buildCondition = buildCondition
+exports.mergeExpressionParams = mergeExpressionParams
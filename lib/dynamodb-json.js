@@ -0,0 +1,128 @@
+const {addObjectProperty, getAttributeAtPath, getPropertyPaths, parseAttribute} = require('./attributes')
+
+/**
+ * Returns a copy of the passed attribute where binary content is base 64 encoded, the way DynamoDB JSON (as used by
+ * the DynamoDB API and the S3 table export) represents it, so it survives JSON.stringify
+ * @param attribute Object
+ * @returns {Object}
+ */
+const encodeAttribute = (attribute) => {
+  let attributeKeyCode = Object.keys(attribute)[0]
+  let value = attribute[attributeKeyCode]
+  switch (attributeKeyCode) {
+    case 'B':
+      return {B: parseAttribute(attribute).toString('base64')}
+    case 'BS':
+      return {BS: parseAttribute(attribute).map((b) => b.toString('base64'))}
+    case 'M':
+      return {M: encodeItem(value)}
+    case 'L':
+      return {L: value.map((e) => encodeAttribute(e))}
+  }
+  return attribute
+}
+
+/**
+ * Reverses encodeAttribute, turning base 64 encoded binary content back into Buffers
+ * @param attribute Object
+ * @returns {Object}
+ */
+const decodeAttribute = (attribute) => {
+  let attributeKeyCode = Object.keys(attribute)[0]
+  let value = attribute[attributeKeyCode]
+  switch (attributeKeyCode) {
+    case 'B':
+    case 'BS':
+      return addObjectProperty({}, attributeKeyCode, parseAttribute(attribute))
+    case 'M':
+      return {M: decodeItem(value)}
+    case 'L':
+      return {L: value.map((e) => decodeAttribute(e))}
+  }
+  return attribute
+}
+
+/**
+ * encodeAttribute for every attribute of an AWS item object
+ * @param item Object
+ * @returns {Object}
+ */
+const encodeItem = (item) => {
+  let encoded = {}
+  Object.keys(item).map((k) => addObjectProperty(encoded, k, encodeAttribute(item[k])))
+  return encoded
+}
+
+/**
+ * decodeAttribute for every attribute of an AWS item object
+ * @param item Object
+ * @returns {Object}
+ */
+const decodeItem = (item) => {
+  let decoded = {}
+  Object.keys(item).map((k) => addObjectProperty(decoded, k, decodeAttribute(item[k])))
+  return decoded
+}
+
+/**
+ * Flattens a paths object made by getPropertyPaths into the paths of its leaves, as arrays of property names
+ * @param paths Object
+ * @param prefix Array
+ * @returns {Array}
+ */
+const leafPaths = (paths, prefix = []) => {
+  let leaves = []
+  Object.keys(paths).map((k) => {
+    let path = prefix.concat(k)
+    if (paths[k].length === 0) {
+      leaves.push(path)
+    } else {
+      paths[k].map((child) => leaves.push(...leafPaths(child, path)))
+    }
+  })
+  return leaves
+}
+
+/**
+ * Returns the shape of an attribute as a regular object, with maps and lists as objects and arrays and every
+ * other value (sets and binary values included) as a leaf, so getPropertyPaths doesn't descend into them
+ * @param attribute Object
+ * @returns {*}
+ */
+const shapeOf = (attribute) => {
+  if (attribute.M) {
+    let shape = {}
+    Object.keys(attribute.M).map((k) => { shape[k] = shapeOf(attribute.M[k]) })
+    return shape
+  }
+  return attribute.L ? attribute.L.map(shapeOf) : true
+}
+
+/**
+ * Returns the paths of the leaves of an AWS item object, down through nested maps and lists, as arrays of
+ * property names (list indexes included as strings). Empty maps and lists are leaves.
+ * @param item Object
+ * @returns {Array}
+ */
+const attributePaths = (item) => leafPaths(getPropertyPaths(shapeOf({M: item})))
+
+/**
+ * Returns the attribute at the path of an AWS item object, or undefined
+ * @param item Object
+ * @param path Array
+ * @returns {*}
+ */
+const attributeAt = (item, path) => {
+  if (!item || !item.hasOwnProperty(path[0])) {
+    return undefined
+  }
+  let attribute = getAttributeAtPath(item, path)
+  return attribute === false ? undefined : attribute
+}
+
+exports.encodeAttribute = encodeAttribute
+exports.decodeAttribute = decodeAttribute
+exports.encodeItem = encodeItem
+exports.decodeItem = decodeItem
+exports.attributePaths = attributePaths
+exports.attributeAt = attributeAt
@@ -0,0 +1,325 @@
+const crypto = require('crypto')
+const {calculateItemSize, isArray, isObject} = require('./attributes')
+const {marshallItem, toPlainSets, unmarshallItem} = require('./client')
+const {attributeAt, decodeAttribute, decodeItem, encodeAttribute, encodeItem} = require('./dynamodb-json')
+const {parseDecimal} = require('./expression-evaluator')
+
+const FORMAT_VERSION = 1
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+
+/**
+ * The bytes an encrypted attribute value takes on top of its plaintext: a version byte, the IV and the GCM tag
+ */
+const ENCRYPTION_OVERHEAD = 1 + IV_LENGTH + TAG_LENGTH
+
+/**
+ * Key providers hand out the keys of createItemProtector. Any object with the following functions can be used as a
+ * key provider, e.g. one that has KMS generate data keys and stores them wrapped with the item:
+ *     getEncryptionKey(context)           returns a Promise resolving to {keyId, key, wrappedKey}, where key is a 32
+ *                                         byte Buffer and wrappedKey an optional Buffer stored with the item
+ *     getDecryptionKey(material, context) returns a Promise resolving to the key Buffer of {keyId, wrappedKey}
+ * where context is {tableName}.
+ */
+
+/**
+ * The error unmarshall rejects with when an item's signature doesn't match, an attribute can't be decrypted, or an
+ * item that should be protected isn't
+ */
+class ItemIntegrityError extends Error {
+  /**
+   * @param message String
+   * @param details Object {tableName, path}
+   * @param cause Error
+   */
+  constructor (message, details = {}, cause) {
+    super(message)
+    this.name = 'ItemIntegrityError'
+    this.code = 'ItemIntegrity'
+    this.tableName = details.tableName
+    this.path = details.path
+    this.cause = cause
+  }
+}
+
+/**
+ * Returns a key Buffer from a Buffer, or a base 64 or hex string, and checks it's an AES-256 key
+ * @param key Buffer|String
+ * @param keyId String used in error messages
+ * @returns {Buffer}
+ */
+const toKey = (key, keyId) => {
+  let buffer = Buffer.isBuffer(key) ? key : Buffer.from(key, /^[0-9a-f]{64}$/i.test(key) ? 'hex' : 'base64')
+  if (buffer.length !== 32) {
+    throw new RangeError(`Key ${keyId} must be 32 bytes long, not ${buffer.length}`)
+  }
+  return buffer
+}
+
+/**
+ * Constructs and returns a key provider that holds its keys in memory, for tests and for keys loaded from a secret
+ * store. New items are encrypted with the current key, items written with older keys can still be read.
+ * Example:
+ *     createLocalKeyProvider({'2023': process.env.OLD_KEY, '2024': process.env.KEY}, {keyId: '2024'})
+ * @param keys Object 32 byte keys (Buffers, base 64 or hex strings) by key id, defaults to one random key
+ * @param options Object
+ *                  keyId: String the current key, defaults to the last one
+ * @returns {{getEncryptionKey: Function, getDecryptionKey: Function}}
+ */
+const createLocalKeyProvider = (keys, options = {}) => {
+  let keyring = new Map()
+  Object.entries(keys || {local: crypto.randomBytes(32)}).map((entry) => keyring.set(entry[0], toKey(entry[1], entry[0])))
+  let keyId = options.keyId || Array.from(keyring.keys()).pop()
+  if (!keyring.has(keyId)) {
+    throw new TypeError(`Key ${keyId} is not one of the keys of the provider`)
+  }
+  return {
+    getEncryptionKey: () => Promise.resolve({keyId: keyId, key: keyring.get(keyId)}),
+    getDecryptionKey: (material) => keyring.has(material.keyId)
+      ? Promise.resolve(keyring.get(material.keyId))
+      : Promise.reject(new Error(`Unknown key ${material.keyId}`))
+  }
+}
+
+/**
+ * Derives the encryption or the signing key from a provider key, so neither is used for both
+ * @param key Buffer
+ * @param purpose String
+ * @returns {Buffer}
+ */
+const deriveKey = (key, purpose) => Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), `dynamodb-utils ${purpose}`, 32))
+
+/**
+ * Returns the attribute as arrays whose JSON is the same for equal attributes however DynamoDB returns them: map keys
+ * are sorted, set members are sorted and numbers are normalized
+ * @param attribute Object
+ * @returns {*}
+ */
+const canonicalAttribute = (attribute) => {
+  let attributeKeyCode = Object.keys(attribute)[0]
+  let value = attribute[attributeKeyCode]
+  let number = (n) => {
+    let d = parseDecimal(n)
+    return d.sign === 0 ? '0' : `${d.sign < 0 ? '-' : ''}${d.digits}e${d.exponent}`
+  }
+  switch (attributeKeyCode) {
+    case 'N':
+      return ['N', number(value)]
+    case 'B':
+    case 'BS':
+      let encoded = encodeAttribute(attribute)[attributeKeyCode]
+      return [attributeKeyCode, isArray(encoded) ? encoded.slice().sort() : encoded]
+    case 'SS':
+      return ['SS', value.slice().sort()]
+    case 'NS':
+      return ['NS', value.map(number).sort()]
+    case 'M':
+      return ['M', canonicalItem(value)]
+    case 'L':
+      return ['L', value.map(canonicalAttribute)]
+  }
+  return [attributeKeyCode, value]
+}
+
+/**
+ * canonicalAttribute for every attribute of an AWS item object, in the order of their names
+ * @param item Object
+ * @returns {Array}
+ */
+const canonicalItem = (item) => Object.keys(item).sort().map((k) => [k, canonicalAttribute(item[k])])
+
+/**
+ * Replaces the attribute at the path of an AWS item object
+ * @param item Object
+ * @param path Array
+ * @param attribute Object
+ */
+const setAttributeAt = (item, path, attribute) => {
+  let parent = path.length > 1 ? attributeAt(item, path.slice(0, -1)) : {M: item}
+  if (parent.M) {
+    parent.M[path[path.length - 1]] = attribute
+  } else {
+    parent.L[Number(path[path.length - 1])] = attribute
+  }
+}
+
+/**
+ * Constructs and returns a protector that encrypts selected attributes of a table's items and signs whole items.
+ *     - encrypted attributes are stored as binary attributes holding the AES-256-GCM ciphertext of the attribute
+ *       (any type, maps and lists included), bound to the table name and the attribute path, so a value moved to
+ *       another attribute fails to decrypt
+ *     - every item is signed with HMAC-SHA256, key attributes and ciphertexts included, so changed, added, removed
+ *       or swapped attributes are detected, and so are ciphertexts copied from another item
+ *     - the key id (and wrapped key) and the encrypted paths are stored in the material attribute, the signature in
+ *       the signature attribute
+ *     - key attributes can't be encrypted, DynamoDB has to read them
+ * Example:
+ *     const protector = createItemProtector({
+ *       tableName: 'customers',
+ *       keys: ['id'],
+ *       encrypt: ['ssn', 'address.street'],
+ *       keyProvider: createLocalKeyProvider({main: process.env.CUSTOMER_KEY})
+ *     })
+ *     await db.putItem({TableName: 'customers', Item: await protector.marshall(customer)}).promise()
+ *     let stored = await db.getItem({TableName: 'customers', Key: {id: {S: customer.id}}}).promise()
+ *     let decrypted = await protector.unmarshall(stored.Item)
+ * @param options Object
+ *                  keyProvider: Object see createLocalKeyProvider
+ *                  keys: Array the key attribute names of the table and its indexes, which stay plaintext
+ *                  encrypt: Array the paths of the attributes to encrypt, as delimited strings or arrays of names
+ *                  tableName: String binds the items to the table
+ *                  delimiter: String splits the paths, defaults to "."
+ *                  materialAttribute: String defaults to "__encryption"
+ *                  signatureAttribute: String defaults to "__signature"
+ *                  allowUnsigned: Boolean unmarshall returns items that have no signature (written before the table
+ *                                 was protected) as they are, defaults to false
+ *                  attributeOptions: Object createAttribute options used to marshall regular objects
+ *                  parseOptions: Object parseAttribute options used to unmarshall
+ * @returns {{marshall: Function, unmarshall: Function, calculateItemSize: Function}}
+ */
+const createItemProtector = (options = {}) => {
+  let keyProvider = options.keyProvider
+  if (!keyProvider || typeof keyProvider.getEncryptionKey !== 'function' || typeof keyProvider.getDecryptionKey !== 'function') {
+    throw new TypeError('An item protector needs a key provider with getEncryptionKey and getDecryptionKey functions')
+  }
+  if (!isArray(options.keys) || options.keys.length === 0) {
+    throw new TypeError('An item protector needs the key attribute names of the table, they are never encrypted')
+  }
+  let delimiter = options.delimiter || '.'
+  let materialAttribute = options.materialAttribute || '__encryption'
+  let signatureAttribute = options.signatureAttribute || '__signature'
+  let tableName = options.tableName || ''
+  let context = {tableName: options.tableName}
+  let encryptedPaths = (options.encrypt || []).map((p) => isArray(p) ? p.map(String) : p.split(delimiter))
+  let isPrefix = (a, b) => a.length < b.length && a.every((segment, i) => segment === b[i])
+  encryptedPaths.map((path) => {
+    if (encryptedPaths.some((other) => isPrefix(other, path))) {
+      throw new TypeError(`${path.join(delimiter)} is inside another encrypted attribute`)
+    }
+    if (options.keys.includes(path[0])) {
+      throw new TypeError(`${path.join(delimiter)} can't be encrypted, ${path[0]} is a key attribute`)
+    }
+    if ([materialAttribute, signatureAttribute].includes(path[0])) {
+      throw new TypeError(`${path[0]} is reserved for the encryption material and the signature`)
+    }
+  })
+  let pathName = (path) => path.join(delimiter)
+  let associatedData = (path, keyId) => Buffer.from(JSON.stringify([FORMAT_VERSION, tableName, path, keyId]))
+  let sign = (item, key) => crypto.createHmac('sha256', deriveKey(key, 'signing'))
+    .update(JSON.stringify([FORMAT_VERSION, tableName, canonicalItem(item)]))
+    .digest()
+
+  let encrypt = (attribute, path, key, keyId) => {
+    let iv = crypto.randomBytes(IV_LENGTH)
+    let cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(key, 'encryption'), iv, {authTagLength: TAG_LENGTH})
+    cipher.setAAD(associatedData(path, keyId))
+    let ciphertext = Buffer.concat([cipher.update(JSON.stringify(encodeAttribute(attribute)), 'utf8'), cipher.final()])
+    return {B: Buffer.concat([Buffer.from([FORMAT_VERSION]), iv, ciphertext, cipher.getAuthTag()])}
+  }
+
+  let decrypt = (attribute, path, key, keyId) => {
+    let data = attribute && attribute.B ? encodeAttribute(attribute).B : undefined
+    let buffer = data ? Buffer.from(data, 'base64') : Buffer.alloc(0)
+    if (buffer.length < ENCRYPTION_OVERHEAD || buffer[0] !== FORMAT_VERSION) {
+      throw new ItemIntegrityError(`${pathName(path)} is not an encrypted attribute`, {tableName: options.tableName, path: pathName(path)})
+    }
+    try {
+      let decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(key, 'encryption'), buffer.subarray(1, 1 + IV_LENGTH), {authTagLength: TAG_LENGTH})
+      decipher.setAAD(associatedData(path, keyId))
+      decipher.setAuthTag(buffer.subarray(buffer.length - TAG_LENGTH))
+      let plaintext = Buffer.concat([decipher.update(buffer.subarray(1 + IV_LENGTH, buffer.length - TAG_LENGTH)), decipher.final()])
+      return decodeAttribute(JSON.parse(plaintext.toString('utf8')))
+    } catch (err) {
+      throw new ItemIntegrityError(`${pathName(path)} could not be decrypted`, {tableName: options.tableName, path: pathName(path)}, err)
+    }
+  }
+
+  let protector = {
+    /**
+     * Encrypts and signs a regular object or an AWS item object, resolves to the AWS item object to store
+     */
+    marshall: async (item) => {
+      if (!isObject(item) || isArray(item)) {
+        throw new TypeError('Only objects can be protected')
+      }
+      // a deep copy, marshallItem returns AWS item objects as they are
+      let attributes = decodeItem(encodeItem(marshallItem(toPlainSets(item), options.attributeOptions)))
+      if (attributes.hasOwnProperty(materialAttribute) || attributes.hasOwnProperty(signatureAttribute)) {
+        throw new TypeError(`${materialAttribute} and ${signatureAttribute} are reserved for the encryption material and the signature`)
+      }
+      let missingKeys = options.keys.filter((k) => !attributes.hasOwnProperty(k))
+      if (missingKeys.length === options.keys.length) {
+        throw new TypeError(`The item has none of the key attributes ${options.keys.join(', ')}`)
+      }
+      let dataKey = await keyProvider.getEncryptionKey(context)
+      let key = toKey(dataKey.key, dataKey.keyId)
+      let encrypted = encryptedPaths.filter((path) => attributeAt(attributes, path) !== undefined)
+      encrypted.map((path) => setAttributeAt(attributes, path, encrypt(attributeAt(attributes, path), path, key, dataKey.keyId)))
+      let material = {
+        version: {N: String(FORMAT_VERSION)},
+        keyId: {S: dataKey.keyId},
+        paths: {L: encrypted.map((path) => ({L: path.map((segment) => ({S: segment}))}))}
+      }
+      if (dataKey.wrappedKey) {
+        material.wrappedKey = {B: Buffer.from(dataKey.wrappedKey)}
+      }
+      attributes[materialAttribute] = {M: material}
+      attributes[signatureAttribute] = {B: sign(attributes, key)}
+      return attributes
+    },
+    /**
+     * Verifies and decrypts an item read from the table (an AWS item object, or a DocumentClient item whose AWS SDK
+     * v2 sets are converted back first), resolves to the regular object, or to the AWS item object when
+     * options.marshalled is set. Rejects with an ItemIntegrityError when the item was tampered with.
+     */
+    unmarshall: async (item, unmarshallOptions = {}) => {
+      let attributes = decodeItem(encodeItem(marshallItem(toPlainSets(item), options.attributeOptions)))
+      let result = () => unmarshallOptions.marshalled ? attributes : unmarshallItem(attributes, options.parseOptions)
+      let fail = (message, path, cause) => new ItemIntegrityError(message, {tableName: options.tableName, path: path}, cause)
+      let signature = attributes[signatureAttribute]
+      let material = attributes[materialAttribute]
+      if (!signature && !material && options.allowUnsigned) {
+        return result()
+      }
+      if (!signature || !signature.B || !material || !material.M || !material.M.keyId || !material.M.paths) {
+        throw fail('The item is not signed')
+      }
+      delete attributes[signatureAttribute]
+      let keyId = material.M.keyId.S
+      let key
+      try {
+        key = toKey(await keyProvider.getDecryptionKey({
+          keyId: keyId,
+          wrappedKey: material.M.wrappedKey ? decodeAttribute(material.M.wrappedKey).B : undefined
+        }, context), keyId)
+      } catch (err) {
+        throw fail(`The key ${keyId} of the item is not available`, undefined, err)
+      }
+      let expected = sign(attributes, key)
+      let actual = Buffer.from(encodeAttribute(signature).B, 'base64')
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw fail('The signature of the item does not match')
+      }
+      delete attributes[materialAttribute]
+      let stored = material.M.paths.L.map((p) => p.L.map((segment) => segment.S))
+      let unencrypted = encryptedPaths.find((path) => !stored.some((s) => pathName(s) === pathName(path)) &&
+        attributeAt(attributes, path) !== undefined)
+      if (unencrypted) {
+        throw fail(`${pathName(unencrypted)} is stored unencrypted`, pathName(unencrypted))
+      }
+      stored.map((path) => setAttributeAt(attributes, path, decrypt(attributeAt(attributes, path), path, key, keyId)))
+      return result()
+    },
+    /**
+     * Resolves to the calculateItemSize result of the item as it will be stored: ciphertexts (ENCRYPTION_OVERHEAD
+     * bytes longer than the DynamoDB JSON of the attribute), the encryption material and the signature included
+     */
+    calculateItemSize: async (item) => calculateItemSize(await protector.marshall(item), {marshalled: true})
+  }
+  return protector
+}
+
+exports.ENCRYPTION_OVERHEAD = ENCRYPTION_OVERHEAD
+exports.ItemIntegrityError = ItemIntegrityError
+exports.createLocalKeyProvider = createLocalKeyProvider
+exports.createItemProtector = createItemProtector
@@ -0,0 +1,236 @@
+/**
+ * The base class of the typed errors classifyError turns DynamoDB failures into. Every error keeps the AWS error
+ * code as its "code", so code that checks err.code keeps working, and the original error as its "cause".
+ */
+class DynamoDBError extends Error {
+  /**
+   * @param message String
+   * @param details Object
+   *                  code: String the AWS error code, e.g. "ResourceNotFoundException"
+   *                  retryable: Boolean whether the same call can succeed when it's tried again
+   *                  statusCode: Number the HTTP status that describes the failure to API callers
+   *                  cause: Error the original error
+   */
+  constructor (message, details = {}) {
+    super(message)
+    this.name = 'DynamoDBError'
+    this.code = details.code
+    this.retryable = details.retryable === true
+    this.statusCode = details.statusCode || 500
+    this.cause = details.cause
+  }
+}
+
+/**
+ * A condition expression didn't match, "item" holds the stored item when the call asked for it
+ */
+class ConditionalCheckFailedError extends DynamoDBError {
+  constructor (message, details = {}) {
+    super(message, Object.assign({code: 'ConditionalCheckFailedException', statusCode: 409}, details))
+    this.name = 'ConditionalCheckFailedError'
+    this.item = details.cause ? details.cause.Item : undefined
+  }
+}
+
+/**
+ * The table, an index or the account went over its capacity or request rate
+ */
+class ThrottlingError extends DynamoDBError {
+  constructor (message, details = {}) {
+    super(message, Object.assign({code: 'ThrottlingException', statusCode: 429}, details, {retryable: true}))
+    this.name = 'ThrottlingError'
+  }
+}
+
+/**
+ * The request is invalid: a malformed expression, a key that doesn't match the schema, a missing parameter...
+ */
+class ValidationError extends DynamoDBError {
+  constructor (message, details = {}) {
+    super(message, Object.assign({code: 'ValidationException', statusCode: 400}, details, {retryable: false}))
+    this.name = 'ValidationError'
+  }
+}
+
+/**
+ * The item, or the result of an update, is over the 400 KB item size limit. An item collection over the 10 GB limit
+ * of tables with local secondary indexes is a ValidationError, the item itself can be fine.
+ */
+class ItemSizeExceededError extends ValidationError {
+  constructor (message, details = {}) {
+    super(message, Object.assign({statusCode: 413}, details))
+    this.name = 'ItemSizeExceededError'
+  }
+}
+
+/**
+ * The table or index doesn't exist, or isn't active yet
+ */
+class ResourceNotFoundError extends DynamoDBError {
+  constructor (message, details = {}) {
+    super(message, Object.assign({code: 'ResourceNotFoundException', statusCode: 404}, details, {retryable: false}))
+    this.name = 'ResourceNotFoundError'
+  }
+}
+
+/**
+ * The table or index is being created, updated or deleted, or already exists
+ */
+class ResourceInUseError extends DynamoDBError {
+  constructor (message, details = {}) {
+    super(message, Object.assign({code: 'ResourceInUseException', statusCode: 409}, details, {retryable: false}))
+    this.name = 'ResourceInUseError'
+  }
+}
+
+/**
+ * Too many table or index operations (create, update, delete, backups...) are running at once, or an account limit
+ * was reached. It isn't retryable, the running operations take minutes rather than a backoff delay to finish.
+ */
+class LimitExceededError extends DynamoDBError {
+  constructor (message, details = {}) {
+    super(message, Object.assign({code: 'LimitExceededException', statusCode: 400}, details, {retryable: false}))
+    this.name = 'LimitExceededError'
+  }
+}
+
+/**
+ * A transaction was cancelled. "reasons" holds the cancellation reason of every operation ({Code, Message, Item}),
+ * the transaction is retryable when it was only cancelled by throttling or conflicting transactions.
+ */
+class TransactionCanceledError extends DynamoDBError {
+  constructor (message, details = {}) {
+    let reasons = details.cause ? getCancellationReasons(details.cause) : []
+    let failed = reasons.filter((r) => r.Code && r.Code !== 'None')
+    let retryable = details.code === 'TransactionConflictException' ||
+      (failed.length > 0 && failed.every((r) => RETRYABLE_CANCELLATIONS.includes(r.Code)))
+    super(message, Object.assign({code: 'TransactionCanceledException', statusCode: 409, retryable: retryable}, details))
+    this.name = 'TransactionCanceledError'
+    this.reasons = reasons
+  }
+}
+
+/**
+ * DynamoDB itself failed or is unavailable, the call can be tried again
+ */
+class ServiceUnavailableError extends DynamoDBError {
+  constructor (message, details = {}) {
+    super(message, Object.assign({code: 'ServiceUnavailable', statusCode: 503}, details, {retryable: true}))
+    this.name = 'ServiceUnavailableError'
+  }
+}
+
+/**
+ * AWS error codes and the classes classifyError turns them into
+ */
+const ERROR_CLASSES = {
+  ConditionalCheckFailedException: ConditionalCheckFailedError,
+  ProvisionedThroughputExceededException: ThrottlingError,
+  ThrottlingException: ThrottlingError,
+  RequestLimitExceeded: ThrottlingError,
+  LimitExceededException: LimitExceededError,
+  ValidationException: ValidationError,
+  SerializationException: ValidationError,
+  ResourceNotFoundException: ResourceNotFoundError,
+  ResourceInUseException: ResourceInUseError,
+  TransactionCanceledException: TransactionCanceledError,
+  TransactionConflictException: TransactionCanceledError,
+  TransactionInProgressException: ThrottlingError,
+  ItemCollectionSizeLimitExceededException: ValidationError,
+  InternalServerError: ServiceUnavailableError,
+  ServiceUnavailable: ServiceUnavailableError,
+  ServiceUnavailableException: ServiceUnavailableError
+}
+
+const RETRYABLE_CANCELLATIONS = ['ThrottlingError', 'ProvisionedThroughputExceeded', 'TransactionConflict']
+
+/**
+ * Returns the CancellationReasons of a TransactionCanceledException. SDK v3 errors carry them, SDK v2 errors only
+ * list their codes in the message: "... [ConditionalCheckFailed, None]"
+ * @param error Error
+ * @returns {Array} [{Code, Message, Item}]
+ */
+const getCancellationReasons = (error) => {
+  if (Array.isArray(error.CancellationReasons)) {
+    return error.CancellationReasons
+  }
+  let match = /\[([^\]]*)\]\s*$/.exec(error.message || '')
+  return match ? match[1].split(',').map((code) => ({Code: code.trim()})) : []
+}
+
+/**
+ * Returns a boolean value that is true if the passed error came from an AWS service call rather than from local code
+ * @param err Error
+ * @returns {boolean}
+ */
+const isServiceError = (err) => {
+  return !!err && (ERROR_CLASSES.hasOwnProperty(err.code) || ERROR_CLASSES.hasOwnProperty(err.name) || !!err.$metadata ||
+    (typeof err.code === 'string' && (typeof err.retryable === 'boolean' || typeof err.requestId === 'string')))
+}
+
+/**
+ * Turns an error rejected by an AWS SDK (v2 or v3) call into a typed DynamoDBError:
+ *     ConditionalCheckFailedError  409  ConditionalCheckFailedException
+ *     ThrottlingError              429  ProvisionedThroughputExceededException, ThrottlingException, RequestLimitExceeded...
+ *     ValidationError              400  ValidationException, ItemCollectionSizeLimitExceededException
+ *     ItemSizeExceededError        413  ValidationException about the item size
+ *     ResourceNotFoundError        404  ResourceNotFoundException
+ *     ResourceInUseError           409  ResourceInUseException
+ *     LimitExceededError           400  LimitExceededException
+ *     TransactionCanceledError     409  TransactionCanceledException, TransactionConflictException
+ *     ServiceUnavailableError      503  InternalServerError, ServiceUnavailable
+ * Other service errors become a DynamoDBError, retryable when the SDK says so or the status code is 5xx. Errors that
+ * are already classified, and errors thrown by local code (a TypeError, a RangeError...), are returned as they are.
+ * Example:
+ *     client.put(params).promise().catch((err) => {
+ *       let error = classifyError(err)
+ *       if (error instanceof ConditionalCheckFailedError) {
+ *         ...
+ *       }
+ *     })
+ * @param err Error
+ * @returns {Error}
+ */
+const classifyError = (err) => {
+  if (err instanceof DynamoDBError || !isServiceError(err)) {
+    return err
+  }
+  let code = typeof err.code === 'string' ? err.code : err.name
+  let details = {code: code, cause: err}
+  let ErrorClass = ERROR_CLASSES[code]
+  if (ErrorClass === ValidationError && /item size/i.test(err.message || '')) {
+    ErrorClass = ItemSizeExceededError
+  }
+  if (ErrorClass) {
+    return new ErrorClass(err.message, details)
+  }
+  let statusCode = err.statusCode || (err.$metadata ? err.$metadata.httpStatusCode : undefined)
+  return new DynamoDBError(err.message, Object.assign(details, {
+    retryable: err.retryable === true || (err.$retryable !== undefined) || statusCode >= 500,
+    statusCode: statusCode
+  }))
+}
+
+/**
+ * Returns a boolean value that is true if the call that failed with the passed error can be tried again
+ * @param err Error
+ * @returns {boolean}
+ */
+const isRetryableError = (err) => {
+  let error = classifyError(err)
+  return error instanceof DynamoDBError && error.retryable
+}
+
+exports.DynamoDBError = DynamoDBError
+exports.ConditionalCheckFailedError = ConditionalCheckFailedError
+exports.ThrottlingError = ThrottlingError
+exports.ValidationError = ValidationError
+exports.ItemSizeExceededError = ItemSizeExceededError
+exports.ResourceNotFoundError = ResourceNotFoundError
+exports.ResourceInUseError = ResourceInUseError
+exports.LimitExceededError = LimitExceededError
+exports.TransactionCanceledError = TransactionCanceledError
+exports.ServiceUnavailableError = ServiceUnavailableError
+exports.getCancellationReasons = getCancellationReasons
+exports.classifyError = classifyError
+exports.isRetryableError = isRetryableError
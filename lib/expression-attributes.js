@@ -0,0 +1,135 @@
+const {addObjectProperty, createAttribute, isArray, isObject} = require('./attributes')
+
+/**
+ * Marks a path segment as an attribute name (map key) that parsePath takes as it is, even when it is made of
+ * digits only or contains dots or brackets.
+ * Example:
+ *     parsePath(['scores', attributeName('2024')])
+ *
+ *     returns: ['scores', '2024']
+ * @param name String
+ * @returns {{attributeName: String}}
+ */
+const attributeName = (name) => {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new TypeError(`Invalid attribute name ${JSON.stringify(name)}`)
+  }
+  return Object.freeze({attributeName: name})
+}
+
+/**
+ * Splits an attribute path into its segments, where strings are map keys (attribute names) and numbers are list
+ * indexes. Accepts the same forms as getAttributeAtPath, plus the list index notation of DynamoDB expressions:
+ *     "path.to.a.sub.object"
+ *     ["path","to","a","sub","object"]
+ *     "person.employees.5.firstName"
+ *     "person.employees[5].firstName"
+ * Segments made of digits only are treated as list indexes, unless they are marked with attributeName.
+ * Throws a TypeError for empty segments or a path starting with a list index.
+ * @param path Array|String
+ * @param delimiter String delimiting character for string paths, defaults to "."
+ * @returns {Array}
+ */
+const parsePath = (path, delimiter = '.') => {
+  let parts = isArray(path)
+    ? path.slice()
+    : typeof path === 'string' ? path.split(delimiter) : false
+  if (!parts || parts.length === 0) {
+    throw new TypeError(`Invalid attribute path ${JSON.stringify(path)}`)
+  }
+  let segments = []
+  parts.map((part) => {
+    if (typeof part === 'number') {
+      segments.push(part)
+      return
+    }
+    if (isObject(part) && typeof part.attributeName === 'string') {
+      segments.push(part.attributeName)
+      return
+    }
+    let match = typeof part === 'string' ? /^([^[\]]*)((?:\[\d+\])*)$/.exec(part) : null
+    if (match === null || (match[1] === '' && match[2] === '')) {
+      throw new TypeError(`Invalid attribute path ${JSON.stringify(path)}`)
+    }
+    if (match[1] !== '') {
+      segments.push(/^\d+$/.test(match[1]) ? Number.parseInt(match[1]) : match[1])
+    }
+    (match[2].match(/\d+/g) || []).map((i) => segments.push(Number.parseInt(i)))
+  })
+  if (typeof segments[0] === 'number' || !segments.every((s) => typeof s === 'string' || Number.isInteger(s))) {
+    throw new TypeError(`Invalid attribute path ${JSON.stringify(path)}`)
+  }
+  return segments
+}
+
+/**
+ * Returns a boolean value that is true if one of the passed path segment arrays is the same as, or the start of,
+ * the other one (DynamoDB rejects expressions with such overlapping document paths)
+ * @param a Array
+ * @param b Array
+ * @returns {boolean}
+ */
+const pathsOverlap = (a, b) => {
+  let length = Math.min(a.length, b.length)
+  return a.slice(0, length).every((s, i) => s === b[i])
+}
+
+/**
+ * Constructs and returns a registry of expression attribute name and value placeholders.
+ * Names are reused for the same attribute name, values always get a new placeholder, so every placeholder is
+ * unique within the registry. Share one registry between expressions that go into the same API call, or give
+ * each one its own prefixes.
+ * @param options Object
+ *                  namePrefix: String defaults to "#n"
+ *                  valuePrefix: String defaults to ":v"
+ *                  marshall: Boolean converts values with createAttribute, for the low-level AWS.DynamoDB client
+ *                  attributeOptions: Object createAttribute options used when marshalling
+ * @returns {{name: Function, value: Function, path: Function, toParams: Function}}
+ */
+const createExpressionAttributes = (options = {}) => {
+  let namePrefix = options.namePrefix || '#n'
+  let valuePrefix = options.valuePrefix || ':v'
+  let names = {}
+  let values = {}
+  let placeholdersByName = new Map()
+  let valueCount = 0
+  let registry = {
+    marshall: options.marshall === true,
+    name: (name) => {
+      if (!placeholdersByName.has(name)) {
+        let placeholder = `${namePrefix}${placeholdersByName.size}`
+        placeholdersByName.set(name, placeholder)
+        addObjectProperty(names, placeholder, name)
+      }
+      return placeholdersByName.get(name)
+    },
+    value: (value) => {
+      let placeholder = `${valuePrefix}${valueCount++}`
+      addObjectProperty(values, placeholder, registry.marshall ? createAttribute(value, options.attributeOptions) : value)
+      return placeholder
+    },
+    path: (path) => {
+      return parsePath(path).map((s, i) => {
+        return typeof s === 'number' ? `[${s}]` : `${i > 0 ? '.' : ''}${registry.name(s)}`
+      }).join('')
+    },
+    names: () => Object.assign({}, names),
+    values: () => Object.assign({}, values),
+    toParams: () => {
+      let params = {}
+      if (Object.keys(names).length > 0) {
+        params.ExpressionAttributeNames = registry.names()
+      }
+      if (Object.keys(values).length > 0) {
+        params.ExpressionAttributeValues = registry.values()
+      }
+      return params
+    }
+  }
+  return registry
+}
+
+exports.attributeName = attributeName
+exports.parsePath = parsePath
+exports.pathsOverlap = pathsOverlap
+exports.createExpressionAttributes = createExpressionAttributes
@@ -0,0 +1,511 @@
+const {addObjectProperty, createAttribute, isAttribute, isAttributeMap, parseAttribute} = require('./attributes')
+const {parsePath, pathsOverlap} = require('./expression-attributes')
+const {parseConditionExpression, parseUpdateExpression} = require('./expression-parser')
+
+/**
+ * Splits a number into sign, significant digits and exponent, so numbers can be compared without losing precision
+ * @param n String|Number
+ * @returns {{sign: Number, digits: String, exponent: Number}}
+ */
+const parseDecimal = (n) => {
+  let match = /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?\s*$/.exec(n.toString())
+  if (!match) {
+    throw new TypeError(`${n} is not a number`)
+  }
+  let fraction = match[3] || ''
+  let digits = `${match[2]}${fraction}`.replace(/^0+/, '')
+  let trimmed = digits.replace(/0+$/, '')
+  let exponent = Number.parseInt(match[4] || '0') - fraction.length + (digits.length - trimmed.length)
+  return {sign: trimmed === '' ? 0 : match[1] === '-' ? -1 : 1, digits: trimmed, exponent: exponent}
+}
+
+/**
+ * Compares two N attribute values
+ * @param a String|Number
+ * @param b String|Number
+ * @returns {Number} -1, 0 or 1
+ */
+const compareNumbers = (a, b) => {
+  let x = parseDecimal(a)
+  let y = parseDecimal(b)
+  if (x.sign !== y.sign) {
+    return x.sign < y.sign ? -1 : 1
+  }
+  if (x.sign === 0) {
+    return 0
+  }
+  let magnitudeX = x.digits.length + x.exponent
+  let magnitudeY = y.digits.length + y.exponent
+  if (magnitudeX !== magnitudeY) {
+    return (magnitudeX < magnitudeY ? -1 : 1) * x.sign
+  }
+  let length = Math.max(x.digits.length, y.digits.length)
+  let digitsX = x.digits.padEnd(length, '0')
+  let digitsY = y.digits.padEnd(length, '0')
+  return (digitsX < digitsY ? -1 : digitsX > digitsY ? 1 : 0) * x.sign
+}
+
+/**
+ * Adds or subtracts two N attribute values without losing precision
+ * @param a String|Number
+ * @param b String|Number
+ * @param subtract Boolean
+ * @returns {String}
+ */
+const addNumbers = (a, b, subtract = false) => {
+  let x = parseDecimal(a)
+  let y = parseDecimal(b)
+  let exponent = Math.min(x.exponent, y.exponent)
+  let toBigInt = (d) => BigInt(d.sign) * BigInt(d.digits || '0') * BigInt(10) ** BigInt(d.exponent - exponent)
+  let sum = subtract ? toBigInt(x) - toBigInt(y) : toBigInt(x) + toBigInt(y)
+  let sign = sum < 0 ? '-' : ''
+  let digits = (sum < 0 ? -sum : sum).toString()
+  if (exponent >= 0) {
+    return digits === '0' ? '0' : `${sign}${digits}${'0'.repeat(exponent)}`
+  }
+  digits = digits.padStart(1 - exponent, '0')
+  let fraction = digits.slice(exponent).replace(/0+$/, '')
+  let whole = digits.slice(0, exponent)
+  return whole === '0' && fraction === '' ? '0' : `${sign}${whole}${fraction ? `.${fraction}` : ''}`
+}
+
+const typeOf = (attribute) => attribute ? Object.keys(attribute)[0] : undefined
+
+/**
+ * Compares two scalar attributes (N, S or B) the way DynamoDB orders them
+ * @param a Object attribute
+ * @param b Object attribute
+ * @returns {*} -1, 0, 1 or undefined when the attributes can't be compared
+ */
+const compareAttributes = (a, b) => {
+  let type = typeOf(a)
+  if (type === undefined || type !== typeOf(b)) {
+    return undefined
+  }
+  switch (type) {
+    case 'N':
+      return compareNumbers(a.N, b.N)
+    case 'S':
+      return Buffer.compare(Buffer.from(a.S), Buffer.from(b.S))
+    case 'B':
+      return Buffer.compare(parseAttribute(a), parseAttribute(b))
+  }
+  return undefined
+}
+
+/**
+ * Returns a boolean value that is true if both attributes have the same type and value. Sets are compared
+ * regardless of element order.
+ * @param a Object attribute
+ * @param b Object attribute
+ * @returns {boolean}
+ */
+const attributesEqual = (a, b) => {
+  let type = typeOf(a)
+  if (type === undefined || type !== typeOf(b)) {
+    return false
+  }
+  let setKey = (setType) => (e) => {
+    if (setType === 'NS') {
+      let d = parseDecimal(e)
+      return `${d.sign}:${d.digits}e${d.exponent}`
+    }
+    return setType === 'BS' ? parseAttribute({B: e}).toString('base64') : e
+  }
+  switch (type) {
+    case 'N':
+    case 'S':
+    case 'B':
+      return compareAttributes(a, b) === 0
+    case 'BOOL':
+    case 'NULL':
+      return a[type] === b[type]
+    case 'SS':
+    case 'NS':
+    case 'BS':
+      let keysA = new Set(a[type].map(setKey(type)))
+      let keysB = new Set(b[type].map(setKey(type)))
+      return keysA.size === keysB.size && Array.from(keysA).every((k) => keysB.has(k))
+    case 'L':
+      return a.L.length === b.L.length && a.L.every((e, i) => attributesEqual(e, b.L[i]))
+    case 'M':
+      let keys = Object.keys(a.M)
+      return keys.length === Object.keys(b.M).length &&
+        keys.every((k) => b.M.hasOwnProperty(k) && attributesEqual(a.M[k], b.M[k]))
+  }
+  return false
+}
+
+/**
+ * Returns the attribute at the given path of an AWS item object, descending into maps by name and into lists by
+ * index, like getAttributeAtPath does, but without warnings: a missing attribute simply returns undefined.
+ * Arrays are taken as resolved segments, numbers are list indexes and strings attribute names, even when they
+ * are made of digits or contain dots, since they may come from ExpressionAttributeNames.
+ * @param item Object an AWS item object
+ * @param path Array|String resolved segments, or a path string (see parsePath)
+ * @returns {*} attribute object or undefined
+ */
+const resolveAttributePath = (item, path) => {
+  let current = {M: item}
+  let segments = Array.isArray(path) ? path : parsePath(path)
+  segments.map((segment) => {
+    if (current === undefined) {
+      return
+    }
+    if (typeof segment === 'number') {
+      current = current.L && segment < current.L.length ? current.L[segment] : undefined
+    } else {
+      current = current.M && current.M.hasOwnProperty(segment) ? current.M[segment] : undefined
+    }
+  })
+  return current
+}
+
+/**
+ * Converts a regular property-based object into an AWS item object, keeping empty strings as they are
+ * @param o Object
+ * @returns {Object}
+ */
+const toAttributeMap = (o) => {
+  let item = {}
+  Object.keys(o).map((k) => {
+    let attribute = createAttribute(o[k], {emptyStrings: 'keep', removeUndefined: true})
+    if (attribute !== undefined) {
+      addObjectProperty(item, k, attribute)
+    }
+  })
+  return item
+}
+
+/**
+ * Resolves a parsed operand (a :value, a path or size(path)) against an AWS item object
+ * @param o Object
+ * @param context Object {item, names, values}
+ * @returns {*} attribute object or undefined
+ */
+const resolveOperand = (o, context) => {
+  switch (o.type) {
+    case 'value':
+      if (!context.values.hasOwnProperty(o.name)) {
+        throw new ReferenceError(`ExpressionAttributeValues has no value for ${o.name}`)
+      }
+      return context.values[o.name]
+    case 'path':
+      return resolveAttributePath(context.item, resolveNames(o.segments, context.names))
+    case 'size':
+      let attribute = resolveOperand(o.path, context)
+      let type = typeOf(attribute)
+      let size
+      if (type === 'S') {
+        size = Buffer.byteLength(attribute.S)
+      } else if (type === 'B') {
+        size = parseAttribute(attribute).length
+      } else if (type === 'M') {
+        size = Object.keys(attribute.M).length
+      } else if (['SS', 'NS', 'BS', 'L'].includes(type)) {
+        size = attribute[type].length
+      }
+      return size === undefined ? undefined : {N: size.toString()}
+  }
+}
+
+/**
+ * Replaces the #name placeholders of parsed path segments with their attribute names
+ * @param segments Array
+ * @param names Object ExpressionAttributeNames
+ * @returns {Array}
+ */
+const resolveNames = (segments, names) => segments.map((s) => {
+  if (typeof s === 'string' && s.startsWith('#')) {
+    if (!names.hasOwnProperty(s)) {
+      throw new ReferenceError(`ExpressionAttributeNames has no name for ${s}`)
+    }
+    return names[s]
+  }
+  return s
+})
+
+/**
+ * Evaluates a parsed condition (see parseConditionExpression) against an AWS item object
+ * @param node Object
+ * @param context Object {item, names, values}
+ * @returns {boolean}
+ */
+const evaluate = (node, context) => {
+  let operand = (o) => resolveOperand(o, context)
+  let compare = (a, b) => compareAttributes(operand(a), operand(b))
+  switch (node.type) {
+    case 'or':
+      return evaluate(node.left, context) || evaluate(node.right, context)
+    case 'and':
+      return evaluate(node.left, context) && evaluate(node.right, context)
+    case 'not':
+      return !evaluate(node.condition, context)
+    case 'compare':
+      if (node.comparator === '=' || node.comparator === '<>') {
+        let equal = attributesEqual(operand(node.left), operand(node.right))
+        return node.comparator === '=' ? equal : !equal
+      }
+      let result = compare(node.left, node.right)
+      if (result === undefined) {
+        return false
+      }
+      return {'<': result < 0, '<=': result <= 0, '>': result > 0, '>=': result >= 0}[node.comparator]
+    case 'between':
+      let low = compare(node.operand, node.low)
+      let high = compare(node.operand, node.high)
+      return low !== undefined && high !== undefined && low >= 0 && high <= 0
+    case 'in':
+      let value = operand(node.operand)
+      return node.list.some((e) => attributesEqual(value, operand(e)))
+    case 'function':
+      let target = operand(node.args[0])
+      let argument = node.args.length > 1 ? operand(node.args[1]) : undefined
+      let targetType = typeOf(target)
+      let argumentType = typeOf(argument)
+      switch (node.name) {
+        case 'attribute_exists':
+          return target !== undefined
+        case 'attribute_not_exists':
+          return target === undefined
+        case 'attribute_type':
+          return target !== undefined && argumentType === 'S' && targetType === argument.S
+        case 'begins_with':
+          if (targetType === 'S' && argumentType === 'S') {
+            return target.S.startsWith(argument.S)
+          }
+          if (targetType === 'B' && argumentType === 'B') {
+            let prefix = parseAttribute(argument)
+            return parseAttribute(target).slice(0, prefix.length).equals(prefix)
+          }
+          return false
+        case 'contains':
+          if (targetType === 'S' && argumentType === 'S') {
+            return target.S.includes(argument.S)
+          }
+          if (targetType === 'L') {
+            return target.L.some((e) => attributesEqual(e, argument))
+          }
+          if (['SS', 'NS', 'BS'].includes(targetType) && targetType === `${argumentType}S`) {
+            return target[targetType].some((e) => attributesEqual(addObjectProperty({}, argumentType, e), argument))
+          }
+          return false
+      }
+  }
+  return false
+}
+
+/**
+ * Evaluates a ConditionExpression or FilterExpression against an item locally, without calling DynamoDB.
+ * Example:
+ *     evaluateCondition('attribute_exists(#id) AND size(tags) > :n', {id: 'abc', tags: ['a', 'b', 'c']}, {
+ *       ExpressionAttributeNames: {'#id': 'id'},
+ *       ExpressionAttributeValues: {':n': 2}
+ *     })
+ *
+ *     returns: true
+ * @param expression String|Object the expression, or a tree returned by parseConditionExpression
+ * @param item Object a regular property-based object or an AWS item object
+ * @param params Object
+ *                  ExpressionAttributeNames: Object
+ *                  ExpressionAttributeValues: Object regular values or attribute objects
+ *                  marshalled: Boolean whether the item and values are attribute objects, detected when not set
+ * @returns {boolean}
+ */
+const evaluateCondition = (expression, item, params = {}) => {
+  let node = typeof expression === 'string' ? parseConditionExpression(expression) : expression
+  let values = params.ExpressionAttributeValues || {}
+  let itemMarshalled = typeof params.marshalled === 'boolean' ? params.marshalled : isAttributeMap(item)
+  let valuesMarshalled = typeof params.marshalled === 'boolean'
+    ? params.marshalled
+    : Object.keys(values).every((k) => isAttribute(values[k]))
+  return evaluate(node, {
+    item: itemMarshalled ? item : toAttributeMap(item),
+    names: params.ExpressionAttributeNames || {},
+    values: valuesMarshalled ? values : toAttributeMap(values)
+  })
+}
+
+/**
+ * Returns the items that match the passed FilterExpression, the expression is only parsed once.
+ * @param items Array regular property-based objects or AWS item objects
+ * @param expression String
+ * @param params Object see evaluateCondition
+ * @returns {Array}
+ */
+const filterItems = (items, expression, params = {}) => {
+  let node = parseConditionExpression(expression)
+  return items.filter((item) => evaluateCondition(node, item, params))
+}
+
+/**
+ * Copies an attribute deep enough that changing the copy's maps, lists and sets leaves the original alone
+ * @param attribute Object
+ * @returns {Object}
+ */
+const copyAttribute = (attribute) => {
+  let type = typeOf(attribute)
+  switch (type) {
+    case 'M':
+      let map = {}
+      Object.keys(attribute.M).map((k) => addObjectProperty(map, k, copyAttribute(attribute.M[k])))
+      return {M: map}
+    case 'L':
+      return {L: attribute.L.map(copyAttribute)}
+    case 'SS':
+    case 'NS':
+    case 'BS':
+      return addObjectProperty({}, type, attribute[type].slice())
+  }
+  return Object.assign({}, attribute)
+}
+
+/**
+ * Applies an UpdateExpression to an item locally, without calling DynamoDB, and returns the updated item. Like
+ * DynamoDB, every operand is read from the item as it was before the update, and the actions are applied in the
+ * order SET, REMOVE, ADD, DELETE. Throws a TypeError when an action doesn't fit the item, e.g. adding to a string
+ * or setting a nested attribute whose parent doesn't exist, and when two actions target overlapping paths.
+ * Example:
+ *     applyUpdateExpression('SET #c = #c + :one REMOVE draft', {id: 'abc', count: 1, draft: true}, {
+ *       ExpressionAttributeNames: {'#c': 'count'},
+ *       ExpressionAttributeValues: {':one': 1}
+ *     })
+ *
+ *     returns: {id: 'abc', count: 2}
+ * @param expression String|Object the expression, or the actions returned by parseUpdateExpression
+ * @param item Object a regular property-based object or an AWS item object, it isn't changed
+ * @param params Object see evaluateCondition
+ * @returns {Object} the updated item, an AWS item object when the item was one
+ */
+const applyUpdateExpression = (expression, item, params = {}) => {
+  let actions = typeof expression === 'string' ? parseUpdateExpression(expression) : expression
+  let values = params.ExpressionAttributeValues || {}
+  let names = params.ExpressionAttributeNames || {}
+  let itemMarshalled = typeof params.marshalled === 'boolean' ? params.marshalled : isAttributeMap(item)
+  let valuesMarshalled = typeof params.marshalled === 'boolean'
+    ? params.marshalled
+    : Object.keys(values).every((k) => isAttribute(values[k]))
+  let original = itemMarshalled ? item : toAttributeMap(item)
+  let context = {item: original, names: names, values: valuesMarshalled ? values : toAttributeMap(values)}
+  let invalidType = (path) => new TypeError(`An operand in the update expression has an incorrect data type for ${path.join('.')}`)
+  let targets = []
+  let target = (path) => {
+    let segments = resolveNames(path.segments, names)
+    let overlapping = targets.find((t) => pathsOverlap(t, segments))
+    if (overlapping) {
+      throw new TypeError(`Two document paths overlap with each other: ${overlapping.join('.')} and ${segments.join('.')}`)
+    }
+    targets.push(segments)
+    return segments
+  }
+  let setValue = (node) => {
+    switch (node.type) {
+      case 'if_not_exists':
+        let existing = resolveOperand(node.path, context)
+        return existing !== undefined ? existing : setValue(node.operand)
+      case 'list_append':
+        let left = setValue(node.left)
+        let right = setValue(node.right)
+        if (typeOf(left) !== 'L' || typeOf(right) !== 'L') {
+          throw new TypeError('list_append needs two lists')
+        }
+        return {L: left.L.concat(right.L)}
+      case '+':
+      case '-':
+        let a = setValue(node.left)
+        let b = setValue(node.right)
+        if (typeOf(a) !== 'N' || typeOf(b) !== 'N') {
+          throw new TypeError(`The operands of ${node.type} must be numbers`)
+        }
+        return {N: addNumbers(a.N, b.N, node.type === '-')}
+    }
+    let value = resolveOperand(node, context)
+    if (value === undefined) {
+      throw new TypeError(`The provided expression refers to an attribute that does not exist in the item: ${node.segments.join('.')}`)
+    }
+    return value
+  }
+  let sets = actions.set.map((action) => ({path: target(action.path), value: copyAttribute(setValue(action.value))}))
+  let removes = actions.remove.map(target)
+  let adds = actions.add.map((action) => ({path: target(action.path), value: resolveOperand(action.value, context)}))
+  let deletes = actions.delete.map((action) => ({path: target(action.path), value: resolveOperand(action.value, context)}))
+  let root = copyAttribute({M: original})
+  let parentOf = (path, create) => {
+    let parent = path.length > 1 ? resolveAttributePath(root.M, path.slice(0, -1)) : root
+    let last = path[path.length - 1]
+    if (!parent || typeOf(parent) !== (typeof last === 'number' ? 'L' : 'M')) {
+      if (!create) {
+        return undefined
+      }
+      throw new TypeError(`The document path provided in the update expression is invalid for update: ${path.join('.')}`)
+    }
+    return parent
+  }
+  let put = (path, value) => {
+    let parent = parentOf(path, true)
+    let last = path[path.length - 1]
+    if (typeof last === 'number') {
+      parent.L[Math.min(last, parent.L.length)] = value
+    } else {
+      addObjectProperty(parent.M, last, value)
+    }
+  }
+  let remove = (path) => {
+    let parent = parentOf(path, false)
+    let last = path[path.length - 1]
+    if (parent && typeof last === 'number') {
+      parent.L.splice(last, 1)
+    } else if (parent) {
+      delete parent.M[last]
+    }
+  }
+  sets.map((action) => put(action.path, action.value))
+  removes.slice()
+    .sort((a, b) => (typeof b[b.length - 1] === 'number' ? b[b.length - 1] : -1) - (typeof a[a.length - 1] === 'number' ? a[a.length - 1] : -1))
+    .map(remove)
+  adds.map((action) => {
+    let current = resolveAttributePath(root.M, action.path)
+    let type = typeOf(action.value)
+    if (current === undefined && ['N', 'SS', 'NS', 'BS'].includes(type)) {
+      return put(action.path, copyAttribute(action.value))
+    }
+    if (typeOf(current) !== type) {
+      throw invalidType(action.path)
+    }
+    if (type === 'N') {
+      return put(action.path, {N: addNumbers(current.N, action.value.N)})
+    }
+    if (!['SS', 'NS', 'BS'].includes(type)) {
+      throw invalidType(action.path)
+    }
+    let added = action.value[type].filter((e) => !current[type].some((c) => attributesEqual(addObjectProperty({}, type, [c]), addObjectProperty({}, type, [e]))))
+    put(action.path, addObjectProperty({}, type, current[type].concat(added)))
+  })
+  deletes.map((action) => {
+    let current = resolveAttributePath(root.M, action.path)
+    let type = typeOf(action.value)
+    if (current === undefined) {
+      return
+    }
+    if (!['SS', 'NS', 'BS'].includes(type) || typeOf(current) !== type) {
+      throw invalidType(action.path)
+    }
+    let remaining = current[type].filter((c) => !action.value[type].some((e) => attributesEqual(addObjectProperty({}, type, [c]), addObjectProperty({}, type, [e]))))
+    if (remaining.length === 0) {
+      return remove(action.path)
+    }
+    put(action.path, addObjectProperty({}, type, remaining))
+  })
+  return itemMarshalled ? root.M : parseAttribute(root)
+}
+
+exports.parseDecimal = parseDecimal
+exports.addNumbers = addNumbers
+exports.compareNumbers = compareNumbers
+exports.compareAttributes = compareAttributes
+exports.attributesEqual = attributesEqual
+exports.resolveAttributePath = resolveAttributePath
+exports.toAttributeMap = toAttributeMap
+exports.evaluateCondition = evaluateCondition
+exports.filterItems = filterItems
+exports.applyUpdateExpression = applyUpdateExpression
@@ -0,0 +1,343 @@
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN']
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>=']
+const CONDITION_FUNCTIONS = ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains']
+
+/**
+ * Splits a DynamoDB expression into tokens: {type, value, position}, where type is one of "name" (#placeholder),
+ * "value" (:placeholder), "identifier", "number" or "punctuation".
+ * Throws a SyntaxError on characters that can't be part of an expression.
+ * @param expression String
+ * @returns {Array}
+ */
+const tokenize = (expression) => {
+  let tokens = []
+  let patterns = [
+    ['name', /^#[A-Za-z0-9_]+/],
+    ['value', /^:[A-Za-z0-9_]+/],
+    ['identifier', /^[A-Za-z_][A-Za-z0-9_]*/],
+    ['number', /^\d+/],
+    ['punctuation', /^(<>|<=|>=|[<>=(),.[\]+-])/]
+  ]
+  let position = 0
+  while (position < expression.length) {
+    let rest = expression.slice(position)
+    let whitespace = /^\s+/.exec(rest)
+    if (whitespace) {
+      position += whitespace[0].length
+      continue
+    }
+    let pattern = patterns.find((p) => p[1].test(rest))
+    if (!pattern) {
+      throw new SyntaxError(`Invalid expression "${expression}": unexpected character "${rest[0]}" at position ${position}`)
+    }
+    let value = pattern[1].exec(rest)[0]
+    tokens.push({type: pattern[0], value: value, position: position})
+    position += value.length
+  }
+  return tokens
+}
+
+/**
+ * Constructs and returns a token reader with the helpers shared by the expression grammars
+ * @param expression String
+ * @returns {Object}
+ */
+const createReader = (expression) => {
+  let tokens = tokenize(expression)
+  let index = 0
+  let reader = {
+    peek: (offset = 0) => tokens[index + offset],
+    next: () => tokens[index++],
+    done: () => index >= tokens.length,
+    fail: (token, expected) => {
+      let found = token ? `"${token.value}" at position ${token.position}` : 'end of expression'
+      throw new SyntaxError(`Invalid expression "${expression}": expected ${expected} but found ${found}`)
+    },
+    isKeyword: (token, keyword) => {
+      return !!token && token.type === 'identifier' && token.value.toUpperCase() === keyword
+    },
+    isPunctuation: (token, value) => !!token && token.type === 'punctuation' && token.value === value,
+    expectPunctuation: (value) => {
+      let token = reader.next()
+      if (!reader.isPunctuation(token, value)) {
+        reader.fail(token, `"${value}"`)
+      }
+      return token
+    },
+    expectKeyword: (keyword) => {
+      let token = reader.next()
+      if (!reader.isKeyword(token, keyword)) {
+        reader.fail(token, keyword)
+      }
+      return token
+    },
+    /**
+     * path := (identifier | #name) ( "." (identifier | #name) | "[" number "]" )*
+     * returns {type: "path", segments: [String|Number]}, names keep their "#" placeholders
+     */
+    path: () => {
+      let token = reader.next()
+      let isName = (t) => !!t && (t.type === 'name' || (t.type === 'identifier' && !KEYWORDS.includes(t.value.toUpperCase())))
+      if (!isName(token)) {
+        reader.fail(token, 'an attribute name')
+      }
+      let segments = [token.value]
+      while (reader.isPunctuation(reader.peek(), '.') || reader.isPunctuation(reader.peek(), '[')) {
+        if (reader.next().value === '.') {
+          token = reader.next()
+          if (!isName(token)) {
+            reader.fail(token, 'an attribute name')
+          }
+          segments.push(token.value)
+        } else {
+          token = reader.next()
+          if (!token || token.type !== 'number') {
+            reader.fail(token, 'a list index')
+          }
+          segments.push(Number.parseInt(token.value))
+          reader.expectPunctuation(']')
+        }
+      }
+      return {type: 'path', segments: segments}
+    },
+    /**
+     * operand := :value | size "(" path ")" | path
+     */
+    operand: () => {
+      let token = reader.peek()
+      if (token && token.type === 'value') {
+        reader.next()
+        return {type: 'value', name: token.value}
+      }
+      if (token && token.type === 'identifier' && token.value === 'size' && reader.isPunctuation(reader.peek(1), '(')) {
+        reader.next()
+        reader.next()
+        let path = reader.path()
+        reader.expectPunctuation(')')
+        return {type: 'size', path: path}
+      }
+      if (!token || !(token.type === 'name' || token.type === 'identifier')) {
+        reader.fail(token, 'an operand')
+      }
+      return reader.path()
+    },
+    end: () => {
+      if (!reader.done()) {
+        reader.fail(reader.peek(), 'end of expression')
+      }
+    }
+  }
+  return reader
+}
+
+/**
+ * Parses a ConditionExpression, FilterExpression or KeyConditionExpression into a tree of nodes:
+ *     {type: "or" | "and", left, right}
+ *     {type: "not", condition}
+ *     {type: "compare", comparator, left, right}
+ *     {type: "between", operand, low, high}
+ *     {type: "in", operand, list}
+ *     {type: "function", name, args}
+ * where operands are {type: "path", segments}, {type: "value", name} or {type: "size", path}.
+ * Throws a SyntaxError describing the first problem found.
+ * @param expression String
+ * @returns {Object}
+ */
+const parseConditionExpression = (expression) => {
+  if (typeof expression !== 'string' || expression.trim().length === 0) {
+    throw new SyntaxError('Invalid expression: a condition expression must be a non-empty string')
+  }
+  let reader = createReader(expression)
+  let parseOr, parseAnd, parseNot, parsePrimary
+  parseOr = () => {
+    let left = parseAnd()
+    while (reader.isKeyword(reader.peek(), 'OR')) {
+      reader.next()
+      left = {type: 'or', left: left, right: parseAnd()}
+    }
+    return left
+  }
+  parseAnd = () => {
+    let left = parseNot()
+    while (reader.isKeyword(reader.peek(), 'AND')) {
+      reader.next()
+      left = {type: 'and', left: left, right: parseNot()}
+    }
+    return left
+  }
+  parseNot = () => {
+    if (reader.isKeyword(reader.peek(), 'NOT')) {
+      reader.next()
+      return {type: 'not', condition: parseNot()}
+    }
+    return parsePrimary()
+  }
+  parsePrimary = () => {
+    let token = reader.peek()
+    if (reader.isPunctuation(token, '(')) {
+      reader.next()
+      let condition = parseOr()
+      reader.expectPunctuation(')')
+      return condition
+    }
+    if (token && token.type === 'identifier' && reader.isPunctuation(reader.peek(1), '(') && token.value !== 'size') {
+      if (!CONDITION_FUNCTIONS.includes(token.value)) {
+        reader.fail(token, `one of the functions ${CONDITION_FUNCTIONS.join(', ')}`)
+      }
+      reader.next()
+      reader.next()
+      let args = [reader.path()]
+      if (token.value !== 'attribute_exists' && token.value !== 'attribute_not_exists') {
+        reader.expectPunctuation(',')
+        args.push(reader.operand())
+      }
+      reader.expectPunctuation(')')
+      return {type: 'function', name: token.value, args: args}
+    }
+    let operand = reader.operand()
+    let next = reader.peek()
+    if (reader.isKeyword(next, 'BETWEEN')) {
+      reader.next()
+      let low = reader.operand()
+      reader.expectKeyword('AND')
+      return {type: 'between', operand: operand, low: low, high: reader.operand()}
+    }
+    if (reader.isKeyword(next, 'IN')) {
+      reader.next()
+      reader.expectPunctuation('(')
+      let list = [reader.operand()]
+      while (reader.isPunctuation(reader.peek(), ',')) {
+        reader.next()
+        list.push(reader.operand())
+      }
+      reader.expectPunctuation(')')
+      return {type: 'in', operand: operand, list: list}
+    }
+    if (!next || next.type !== 'punctuation' || !COMPARATORS.includes(next.value)) {
+      reader.fail(next, `a comparator (${COMPARATORS.join(' ')}), BETWEEN or IN`)
+    }
+    reader.next()
+    return {type: 'compare', comparator: next.value, left: operand, right: reader.operand()}
+  }
+  let condition = parseOr()
+  reader.end()
+  return condition
+}
+
+/**
+ * Parses a ProjectionExpression into its paths: [{type: "path", segments}], names keep their "#" placeholders.
+ * Throws a SyntaxError describing the first problem found.
+ * @param expression String
+ * @returns {Array}
+ */
+const parseProjectionExpression = (expression) => {
+  if (typeof expression !== 'string' || expression.trim().length === 0) {
+    throw new SyntaxError('Invalid expression: a projection expression must be a non-empty string')
+  }
+  let reader = createReader(expression)
+  let paths = [reader.path()]
+  while (reader.isPunctuation(reader.peek(), ',')) {
+    reader.next()
+    paths.push(reader.path())
+  }
+  reader.end()
+  return paths
+}
+
+/**
+ * Parses an UpdateExpression into its actions:
+ *     {set: [{path, value}], remove: [path], add: [{path, value}], delete: [{path, value}]}
+ * where paths are {type: "path", segments} and SET values are operands ({type: "value", name} or a path),
+ * {type: "if_not_exists", path, operand}, {type: "list_append", left, right} or {type: "+" | "-", left, right}.
+ * Every clause may appear once. Throws a SyntaxError describing the first problem found.
+ * @param expression String
+ * @returns {Object}
+ */
+const parseUpdateExpression = (expression) => {
+  if (typeof expression !== 'string' || expression.trim().length === 0) {
+    throw new SyntaxError('Invalid expression: an update expression must be a non-empty string')
+  }
+  let reader = createReader(expression)
+  let actions = {set: [], remove: [], add: [], delete: []}
+  let seen = []
+  let setOperand = () => {
+    let token = reader.peek()
+    let isFunction = (name) => token && token.type === 'identifier' && token.value === name &&
+      reader.isPunctuation(reader.peek(1), '(')
+    if (isFunction('if_not_exists')) {
+      reader.next()
+      reader.next()
+      let path = reader.path()
+      reader.expectPunctuation(',')
+      let operand = setOperand()
+      reader.expectPunctuation(')')
+      return {type: 'if_not_exists', path: path, operand: operand}
+    }
+    if (isFunction('list_append')) {
+      reader.next()
+      reader.next()
+      let left = setOperand()
+      reader.expectPunctuation(',')
+      let right = setOperand()
+      reader.expectPunctuation(')')
+      return {type: 'list_append', left: left, right: right}
+    }
+    if (token && token.type === 'value') {
+      reader.next()
+      return {type: 'value', name: token.value}
+    }
+    return reader.path()
+  }
+  let setValue = () => {
+    let left = setOperand()
+    let next = reader.peek()
+    if (reader.isPunctuation(next, '+') || reader.isPunctuation(next, '-')) {
+      reader.next()
+      return {type: next.value, left: left, right: setOperand()}
+    }
+    return left
+  }
+  let valueOperand = () => {
+    let token = reader.next()
+    if (!token || token.type !== 'value') {
+      reader.fail(token, 'a :value placeholder')
+    }
+    return {type: 'value', name: token.value}
+  }
+  do {
+    let token = reader.next()
+    let clause = token && token.type === 'identifier' ? token.value.toUpperCase() : undefined
+    if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause)) {
+      reader.fail(token, 'SET, REMOVE, ADD or DELETE')
+    }
+    if (seen.includes(clause)) {
+      reader.fail(token, `a single ${clause} clause`)
+    }
+    seen.push(clause)
+    let action = clause.toLowerCase()
+    do {
+      if (actions[action].length > 0) {
+        reader.expectPunctuation(',')
+      }
+      let path = reader.path()
+      switch (clause) {
+        case 'SET':
+          reader.expectPunctuation('=')
+          actions.set.push({path: path, value: setValue()})
+          break
+        case 'REMOVE':
+          actions.remove.push(path)
+          break
+        default:
+          actions[action].push({path: path, value: valueOperand()})
+      }
+    } while (reader.isPunctuation(reader.peek(), ','))
+  } while (!reader.done())
+  return actions
+}
+
+exports.tokenize = tokenize
+exports.createReader = createReader
+exports.parseConditionExpression = parseConditionExpression
+exports.parseProjectionExpression = parseProjectionExpression
+exports.parseUpdateExpression = parseUpdateExpression
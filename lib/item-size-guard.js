@@ -0,0 +1,146 @@
+const crypto = require('crypto')
+const {addObjectProperty, calculateItemSize, createAttribute, isAttribute, isAttributeMap, isObject, isArray, parseAttribute} = require('./attributes')
+const {decodeAttribute, encodeAttribute} = require('./dynamodb-json')
+
+const ITEM_SIZE_LIMIT = 400 * 1024
+
+/**
+ * Returns the pointer content ({key, bytes}) if the passed value is a pointer left behind by offloadItem
+ * @param value {*} a regular value or an attribute object
+ * @param pointerName String
+ * @returns {*} Object or undefined
+ */
+const getPointer = (value, pointerName) => {
+  let pointer = value
+  if (isAttribute(value)) {
+    if (!value.hasOwnProperty('M')) {
+      return undefined
+    }
+    pointer = parseAttribute(value)
+  }
+  let isPointer = isObject(pointer) && !isArray(pointer) &&
+    Object.keys(pointer).length === 1 && isObject(pointer[pointerName]) &&
+    typeof pointer[pointerName].key === 'string'
+  return isPointer ? pointer[pointerName] : undefined
+}
+
+/**
+ * Checks the size of the passed item against the DynamoDB item size limit and lists the attribute paths that
+ * contribute the most to it.
+ * @param item Object a regular property-based object or an AWS item object
+ * @param options Object
+ *                  limit: Number size limit in bytes, defaults to 400 KB
+ *                  warningRatio: Number share of the limit that flags the item with a "warning" status, defaults to 0.9
+ *                  top: Number how many of the largest attribute paths to report, defaults to 10
+ *                  any calculateItemSize option
+ * @returns {*} {valid, status, bytes, limit, largest: [{path, bytes}]} or undefined if an object isn't provided
+ *              status is "ok", "warning" or "exceeded"
+ */
+const validateItemSize = (item, options = {}) => {
+  let size = calculateItemSize(item, options)
+  if (!size) {
+    console.warn('improper arguments supplied to validateItemSize')
+    return undefined
+  }
+  let limit = options.limit || ITEM_SIZE_LIMIT
+  let warningRatio = typeof options.warningRatio === 'number' ? options.warningRatio : 0.9
+  let status = size.bytes > limit ? 'exceeded' : size.bytes >= limit * warningRatio ? 'warning' : 'ok'
+  let largest = Object.keys(size.attributes)
+    .map((p) => ({path: p, bytes: size.attributes[p]}))
+    .sort((a, b) => b.bytes - a.bytes)
+    .slice(0, options.top || 10)
+  return {valid: status !== 'exceeded', status: status, bytes: size.bytes, limit: limit, largest: largest}
+}
+
+/**
+ * Same as validateItemSize but throws a RangeError (with the report as its "report" property) when the item
+ * exceeds the limit.
+ * @param item Object
+ * @param options Object see validateItemSize
+ * @returns {Object} the validateItemSize report
+ */
+const assertItemSize = (item, options = {}) => {
+  let report = validateItemSize(item, options)
+  if (report && !report.valid) {
+    let largest = report.largest.map((e) => `${e.path} (${e.bytes} bytes)`).join(', ')
+    let error = new RangeError(`Item size of ${report.bytes} bytes exceeds the ${report.limit} byte limit, largest attributes: ${largest}`)
+    error.report = report
+    throw error
+  }
+  return report
+}
+
+/**
+ * Moves the largest top-level attributes of the passed item into the blob store until the item fits under the
+ * threshold, replacing each with a pointer attribute: {<pointerName>: {key, bytes}}.
+ * Blobs hold the attribute as DynamoDB JSON, so every attribute type survives the trip.
+ * @param item Object a regular property-based object or an AWS item object
+ * @param store Object a blob store, see lib/blob-stores.js
+ * @param options Object
+ *                  threshold: Number size in bytes the item has to fit under, defaults to the limit
+ *                  limit: Number defaults to 400 KB
+ *                  keys: Array attribute names that must never be moved, such as the table key attributes
+ *                  keyPrefix: String prepended to every blob key, defaults to ""
+ *                  pointerName: String defaults to "__blob"
+ *                  any createAttribute option, used to convert a regular object
+ * @returns {Promise} resolves to {item, bytes, offloaded: [{path, key, bytes}]}, rejects with a RangeError when
+ *                    the item can't be brought under the threshold (already stored blobs are deleted again)
+ */
+const offloadItem = async (item, store, options = {}) => {
+  let threshold = options.threshold || options.limit || ITEM_SIZE_LIMIT
+  let keys = options.keys || []
+  let keyPrefix = options.keyPrefix || ''
+  let pointerName = options.pointerName || '__blob'
+  let marshalled = isAttributeMap(item)
+  let sizes = calculateItemSize(item, options).attributes
+  let candidates = Object.keys(item)
+    .filter((k) => !keys.includes(k) && sizes.hasOwnProperty(k) && !getPointer(item[k], pointerName))
+    .sort((a, b) => sizes[b] - sizes[a])
+  let result = Object.assign({}, item)
+  let offloaded = []
+  let bytes = calculateItemSize(result, options).bytes
+  while (bytes > threshold) {
+    if (candidates.length === 0) {
+      await Promise.all(offloaded.map((e) => store.delete(e.key)))
+      throw new RangeError(`Item size of ${bytes} bytes can't be brought under ${threshold} bytes by offloading attributes`)
+    }
+    let name = candidates.shift()
+    let attribute = marshalled ? item[name] : createAttribute(item[name], options)
+    let key = `${keyPrefix}${crypto.randomBytes(16).toString('hex')}`
+    await store.put(key, Buffer.from(JSON.stringify(encodeAttribute(attribute))))
+    offloaded.push({path: name, key: key, bytes: sizes[name]})
+    let pointer = addObjectProperty({}, pointerName, {key: key, bytes: sizes[name]})
+    addObjectProperty(result, name, marshalled ? createAttribute(pointer) : pointer)
+    bytes = calculateItemSize(result, options).bytes
+  }
+  return {item: result, bytes: bytes, offloaded: offloaded}
+}
+
+/**
+ * Replaces the pointer attributes left behind by offloadItem with the attributes stored in the blob store.
+ * @param item Object a regular property-based object or an AWS item object
+ * @param store Object a blob store, see lib/blob-stores.js
+ * @param options Object
+ *                  pointerName: String defaults to "__blob"
+ *                  any parseAttribute option, used when restoring attributes of a regular object
+ * @returns {Promise} resolves to the rehydrated item
+ */
+const rehydrateItem = async (item, store, options = {}) => {
+  let pointerName = options.pointerName || '__blob'
+  let marshalled = isAttributeMap(item)
+  let result = Object.assign({}, item)
+  await Promise.all(Object.keys(item).map(async (k) => {
+    let pointer = getPointer(item[k], pointerName)
+    if (pointer) {
+      let attribute = decodeAttribute(JSON.parse((await store.get(pointer.key)).toString()))
+      addObjectProperty(result, k, marshalled ? attribute : parseAttribute(attribute, options))
+    }
+  }))
+  return result
+}
+
+exports.ITEM_SIZE_LIMIT = ITEM_SIZE_LIMIT
+exports.validateItemSize = validateItemSize
+exports.assertItemSize = assertItemSize
+exports.offloadItem = offloadItem
+exports.rehydrateItem = rehydrateItem
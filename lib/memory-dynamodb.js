@@ -0,0 +1,877 @@
+const {addObjectProperty, calculateItemSize, isObject} = require('./attributes')
+const {marshallItem, unmarshallItem} = require('./client')
+const {parseConditionExpression} = require('./expression-parser')
+const {
+  applyUpdateExpression,
+  attributesEqual,
+  compareAttributes,
+  evaluateCondition,
+  parseDecimal
+} = require('./expression-evaluator')
+const {applyProjection} = require('./projection-expression')
+
+const ITEM_SIZE_LIMIT = 400 * 1024
+const PAGE_SIZE_LIMIT = 1024 * 1024
+const BATCH_WRITE_LIMIT = 25
+const BATCH_GET_LIMIT = 100
+const TRANSACTION_LIMIT = 100
+const RETRYABLE_ERRORS = ['ProvisionedThroughputExceededException', 'ThrottlingException', 'InternalServerError']
+
+/**
+ * Constructs an error shaped like the ones the AWS SDK rejects with, with both the v2 (code) and v3 (name) fields
+ * @param code String e.g. "ConditionalCheckFailedException"
+ * @param message String
+ * @param properties Object more properties, e.g. the Item of a failed condition check
+ * @returns {Error}
+ */
+const awsError = (code, message, properties = {}) => {
+  let err = new Error(message)
+  return Object.assign(err, {
+    code: code,
+    name: code,
+    statusCode: code === 'InternalServerError' ? 500 : 400,
+    retryable: RETRYABLE_ERRORS.includes(code),
+    time: new Date()
+  }, properties)
+}
+
+const validationError = (message) => awsError('ValidationException', message)
+
+/**
+ * Wraps a Promise-returning operation in the AWS SDK v2 call style: with a callback the operation runs right away,
+ * without one a request object is returned whose promise() runs it
+ * @param run Function params => Promise
+ * @returns {Function} (params, callback)
+ */
+const toRequest = (run) => (params = {}, callback) => {
+  let start = () => Promise.resolve().then(() => run(params))
+  if (typeof callback === 'function') {
+    start().then((data) => callback(null, data), (err) => callback(err))
+    return undefined
+  }
+  return {promise: start}
+}
+
+/**
+ * Returns a string that is the same for equal key attributes, numbers are compared by value
+ * @param attribute Object a scalar attribute
+ * @returns {String}
+ */
+const keyValueString = (attribute) => {
+  if (attribute.N !== undefined) {
+    let d = parseDecimal(attribute.N)
+    return `N:${d.sign}:${d.digits}e${d.exponent}`
+  }
+  if (attribute.B !== undefined) {
+    return `B:${Buffer.from(attribute.B).toString('base64')}`
+  }
+  return `S:${attribute.S}`
+}
+
+/**
+ * Throws the ValidationException DynamoDB returns when an expression parameter has placeholders that no expression uses
+ * @param params Object
+ */
+const checkPlaceholders = (params) => {
+  let expressions = ['ConditionExpression', 'UpdateExpression', 'KeyConditionExpression', 'FilterExpression', 'ProjectionExpression']
+    .map((k) => params[k])
+    .filter((e) => typeof e === 'string')
+    .join(' ')
+  let isUsed = (placeholder) => new RegExp(`${placeholder}(?![A-Za-z0-9_])`).test(expressions)
+  let unusedNames = Object.keys(params.ExpressionAttributeNames || {}).filter((k) => !isUsed(k))
+  let unusedValues = Object.keys(params.ExpressionAttributeValues || {}).filter((k) => !isUsed(k))
+  if (unusedNames.length > 0) {
+    throw validationError(`Value provided in ExpressionAttributeNames unused in expressions: keys: {${unusedNames.join(', ')}}`)
+  }
+  if (unusedValues.length > 0) {
+    throw validationError(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${unusedValues.join(', ')}}`)
+  }
+}
+
+/**
+ * Runs a parser or evaluator and turns the errors it throws for invalid expressions into ValidationExceptions
+ * @param run Function
+ * @returns {*} whatever run returns
+ */
+const asValidation = (run) => {
+  try {
+    return run()
+  } catch (err) {
+    if (err instanceof SyntaxError || err instanceof TypeError || err instanceof ReferenceError) {
+      throw validationError(err.message)
+    }
+    throw err
+  }
+}
+
+/**
+ * Constructs and returns an in-memory stand-in for DynamoDB, to run code that uses the AWS SDK (v2 call style) in
+ * tests and offline, without DynamoDB Local or credentials. Both clients share the same tables:
+ *     db: the low-level AWS.DynamoDB functions createTable, describeTable, updateTable, deleteTable, listTables,
+ *         describeTimeToLive, updateTimeToLive, waitFor, getItem, putItem, updateItem, deleteItem, query, scan,
+ *         batchWriteItem, batchGetItem, transactWriteItems and transactGetItems
+ *     client: the AWS.DynamoDB.DocumentClient functions get, put, update, delete, query, scan, batchWrite, batchGet,
+ *             transactWrite, transactGet and createSet
+ * Every function takes (params, callback), or returns a request whose promise() resolves to the response.
+ * Key schemas, global and local secondary indexes, condition, update, filter, key condition and projection
+ * expressions, pagination (Limit, ExclusiveStartKey, the 1 MB page size and parallel scan segments), transactions
+ * and the DynamoDB limits and error codes are modelled. Tables are ACTIVE as soon as they are created.
+ * Throttling can be injected to test retry code: the throttle function is called with the operation name and its
+ * params before every item operation and returns
+ *     true: the call fails with a ProvisionedThroughputExceededException
+ *     an Error: the call fails with that error
+ *     a Number n: the last n requests of a batchWriteItem, or keys of a batchGetItem, come back unprocessed
+ *     anything else: the call goes through
+ * Example:
+ *     const dynamo = createMemoryDynamoDB({tables: [{TableName: 'planets', ...}]})
+ *     let calls = 0
+ *     dynamo.throttle((operation) => operation === 'batchWriteItem' && calls++ === 0 ? 2 : false)
+ *     batchWrite(dynamo.client, {planets: items}).then(...)
+ * @param options Object
+ *                  tables: Array CreateTable params of the tables that exist from the start
+ *                  throttle: Function see above
+ * @returns {{db: Object, client: Object, throttle: Function, items: Function, reset: Function}}
+ */
+const createMemoryDynamoDB = (options = {}) => {
+  let tables = new Map()
+  let throttle = options.throttle
+
+  let getTable = (tableName) => {
+    if (!tables.has(tableName)) {
+      throw awsError('ResourceNotFoundException', `Requested resource not found: Table: ${tableName} not found`)
+    }
+    return tables.get(tableName)
+  }
+  let checkThrottle = (operation, params) => {
+    let result = typeof throttle === 'function' ? throttle(operation, params) : undefined
+    if (result === true) {
+      throw awsError('ProvisionedThroughputExceededException',
+        'The level of configured provisioned throughput for the table was exceeded. Consider increasing your provisioning level with the UpdateTable API.')
+    }
+    if (result instanceof Error) {
+      throw result
+    }
+    return typeof result === 'number' ? result : 0
+  }
+
+  // Tables, their key schemas and indexes
+
+  let keyNames = (keySchema) => {
+    let hash = keySchema.find((k) => k.KeyType === 'HASH')
+    let range = keySchema.find((k) => k.KeyType === 'RANGE')
+    return {partitionKey: hash.AttributeName, sortKey: range ? range.AttributeName : undefined}
+  }
+  let attributeType = (table, name) => {
+    let definition = table.description.AttributeDefinitions.find((d) => d.AttributeName === name)
+    return definition ? definition.AttributeType : undefined
+  }
+  let findIndex = (table, indexName) => {
+    let index = (table.description.GlobalSecondaryIndexes || []).concat(table.description.LocalSecondaryIndexes || [])
+      .find((i) => i.IndexName === indexName)
+    if (!index) {
+      throw validationError(`The table does not have the specified index: ${indexName}`)
+    }
+    return index
+  }
+  let tableKeys = (table) => keyNames(table.description.KeySchema)
+  let keyList = (keys) => [keys.partitionKey, keys.sortKey].filter((k) => k)
+  let keyString = (table, item) => JSON.stringify(keyList(tableKeys(table)).map((k) => keyValueString(item[k])))
+  let pickKey = (table, item, extraKeys = []) => {
+    let key = {}
+    keyList(tableKeys(table)).concat(extraKeys).filter((k) => item[k] !== undefined).map((k) => addObjectProperty(key, k, item[k]))
+    return key
+  }
+  let checkKey = (table, key) => {
+    let names = keyList(tableKeys(table))
+    let valid = isObject(key) && Object.keys(key).length === names.length &&
+      names.every((k) => key[k] && Object.keys(key[k])[0] === attributeType(table, k))
+    if (!valid) {
+      throw validationError('The provided key element does not match the schema')
+    }
+  }
+  let checkItem = (table, item) => {
+    let keys = keyList(tableKeys(table))
+    if (!isObject(item) || keys.some((k) => item[k] === undefined)) {
+      throw validationError(`One or more parameter values were invalid: Missing the key ${keys.find((k) => !item || !item[k])} in the item`)
+    }
+    let indexKeys = (table.description.GlobalSecondaryIndexes || []).concat(table.description.LocalSecondaryIndexes || [])
+      .map((i) => keyList(keyNames(i.KeySchema)))
+    keys.concat(...indexKeys).filter((k) => item[k] !== undefined).map((k) => {
+      let type = Object.keys(item[k])[0]
+      if (type !== attributeType(table, k)) {
+        throw validationError(`One or more parameter values were invalid: Type mismatch for key ${k} expected: ${attributeType(table, k)} actual: ${type}`)
+      }
+      if ((type === 'S' && item[k].S.length === 0) || (type === 'B' && Buffer.from(item[k].B).length === 0)) {
+        throw validationError(`One or more parameter values are not valid. The AttributeValue for a key attribute cannot contain an empty string value. Key: ${k}`)
+      }
+    })
+    let emptySet = Object.keys(item).find((k) => ['SS', 'NS', 'BS'].some((t) => item[k][t] && item[k][t].length === 0))
+    if (emptySet) {
+      throw validationError(`One or more parameter values were invalid: An empty set is not allowed for ${emptySet}`)
+    }
+    if (calculateItemSize(item, {marshalled: true}).bytes > ITEM_SIZE_LIMIT) {
+      throw validationError('Item size has exceeded the maximum allowed size')
+    }
+  }
+  let describe = (table) => {
+    let items = Array.from(table.items.values())
+    let sizeOf = (list) => list.reduce((total, item) => total + calculateItemSize(item, {marshalled: true}).bytes, 0)
+    let withCounts = (index) => {
+      let indexItems = items.filter((item) => keyList(keyNames(index.KeySchema)).every((k) => item[k] !== undefined))
+      return Object.assign({}, index, {ItemCount: indexItems.length, IndexSizeBytes: sizeOf(indexItems)})
+    }
+    let description = Object.assign({}, table.description, {ItemCount: items.length, TableSizeBytes: sizeOf(items)})
+    if (description.GlobalSecondaryIndexes) {
+      description.GlobalSecondaryIndexes = description.GlobalSecondaryIndexes.map(withCounts)
+    }
+    if (description.LocalSecondaryIndexes) {
+      description.LocalSecondaryIndexes = description.LocalSecondaryIndexes.map(withCounts)
+    }
+    return description
+  }
+  let toIndexDescription = (tableName, index, billingMode) => {
+    let description = {
+      IndexName: index.IndexName,
+      KeySchema: index.KeySchema,
+      Projection: index.Projection || {ProjectionType: 'ALL'},
+      IndexStatus: 'ACTIVE',
+      IndexArn: `arn:aws:dynamodb:local:000000000000:table/${tableName}/index/${index.IndexName}`
+    }
+    if (billingMode !== 'PAY_PER_REQUEST' || index.ProvisionedThroughput !== undefined) {
+      description.ProvisionedThroughput = Object.assign({NumberOfDecreasesToday: 0}, index.ProvisionedThroughput)
+    }
+    return description
+  }
+  let streamDescription = (tableName, specification) => {
+    if (!specification || !specification.StreamEnabled) {
+      return {}
+    }
+    let label = new Date().toISOString()
+    return {
+      StreamSpecification: specification,
+      LatestStreamLabel: label,
+      LatestStreamArn: `arn:aws:dynamodb:local:000000000000:table/${tableName}/stream/${label}`
+    }
+  }
+  let checkIndexKeys = (tableName, attributeDefinitions, keySchema) => {
+    if (!Array.isArray(keySchema) || !keySchema.some((k) => k.KeyType === 'HASH')) {
+      throw validationError(`The key schema of ${tableName} needs a HASH key`)
+    }
+    keySchema.map((k) => {
+      if (!attributeDefinitions.some((d) => d.AttributeName === k.AttributeName)) {
+        throw validationError(`One or more parameter values were invalid: Some index key attributes are not defined in AttributeDefinitions. Keys: [${k.AttributeName}]`)
+      }
+    })
+  }
+
+  let createTable = (params) => {
+    let tableName = params.TableName
+    if (!tableName) {
+      throw validationError('TableName is required')
+    }
+    if (tables.has(tableName)) {
+      throw awsError('ResourceInUseException', `Table already exists: ${tableName}`)
+    }
+    let attributeDefinitions = params.AttributeDefinitions || []
+    checkIndexKeys(tableName, attributeDefinitions, params.KeySchema)
+    let billingMode = params.BillingMode || 'PROVISIONED'
+    let description = Object.assign({
+      TableName: tableName,
+      TableStatus: 'ACTIVE',
+      TableArn: `arn:aws:dynamodb:local:000000000000:table/${tableName}`,
+      TableId: `${Date.now().toString(16)}-${tables.size}`,
+      CreationDateTime: new Date(),
+      KeySchema: params.KeySchema,
+      AttributeDefinitions: attributeDefinitions,
+      ProvisionedThroughput: Object.assign({ReadCapacityUnits: 0, WriteCapacityUnits: 0, NumberOfDecreasesToday: 0}, params.ProvisionedThroughput)
+    }, streamDescription(tableName, params.StreamSpecification))
+    if (billingMode === 'PAY_PER_REQUEST') {
+      description.BillingModeSummary = {BillingMode: 'PAY_PER_REQUEST', LastUpdateToPayPerRequestDateTime: new Date()}
+    }
+    if (params.GlobalSecondaryIndexes) {
+      params.GlobalSecondaryIndexes.map((i) => checkIndexKeys(tableName, attributeDefinitions, i.KeySchema))
+      description.GlobalSecondaryIndexes = params.GlobalSecondaryIndexes.map((i) => toIndexDescription(tableName, i, billingMode))
+    }
+    if (params.LocalSecondaryIndexes) {
+      params.LocalSecondaryIndexes.map((i) => checkIndexKeys(tableName, attributeDefinitions, i.KeySchema))
+      description.LocalSecondaryIndexes = params.LocalSecondaryIndexes.map((i) => {
+        let index = toIndexDescription(tableName, i, 'PAY_PER_REQUEST')
+        delete index.IndexStatus
+        return index
+      })
+    }
+    let table = {description: description, items: new Map(), ttl: {TimeToLiveStatus: 'DISABLED'}}
+    tables.set(tableName, table)
+    return {TableDescription: describe(table)}
+  }
+  let updateTable = (params) => {
+    let table = getTable(params.TableName)
+    let description = Object.assign({}, table.description)
+    if (params.AttributeDefinitions) {
+      let merged = description.AttributeDefinitions.filter((d) => !params.AttributeDefinitions.some((n) => n.AttributeName === d.AttributeName))
+      description.AttributeDefinitions = merged.concat(params.AttributeDefinitions)
+    }
+    if (params.BillingMode === 'PAY_PER_REQUEST') {
+      description.BillingModeSummary = {BillingMode: 'PAY_PER_REQUEST', LastUpdateToPayPerRequestDateTime: new Date()}
+    } else if (params.BillingMode === 'PROVISIONED') {
+      description.BillingModeSummary = {BillingMode: 'PROVISIONED'}
+    }
+    if (params.ProvisionedThroughput) {
+      description.ProvisionedThroughput = Object.assign({}, description.ProvisionedThroughput, params.ProvisionedThroughput)
+    }
+    if (params.StreamSpecification) {
+      let stream = streamDescription(params.TableName, params.StreamSpecification)
+      delete description.LatestStreamArn
+      delete description.LatestStreamLabel
+      description.StreamSpecification = params.StreamSpecification
+      Object.assign(description, stream)
+    }
+    let billingMode = description.BillingModeSummary ? description.BillingModeSummary.BillingMode : 'PROVISIONED'
+    let indexes = (description.GlobalSecondaryIndexes || []).slice()
+    let indexUpdates = params.GlobalSecondaryIndexUpdates || []
+    indexUpdates.map((update) => {
+      if (update.Create) {
+        if (indexes.some((i) => i.IndexName === update.Create.IndexName)) {
+          throw validationError(`One or more parameter values were invalid: Index ${update.Create.IndexName} already exists`)
+        }
+        checkIndexKeys(params.TableName, description.AttributeDefinitions, update.Create.KeySchema)
+        indexes.push(toIndexDescription(params.TableName, update.Create, billingMode))
+      } else if (update.Delete) {
+        if (!indexes.some((i) => i.IndexName === update.Delete.IndexName)) {
+          throw awsError('ResourceNotFoundException', `Requested resource not found: Index: ${update.Delete.IndexName} not found`)
+        }
+        indexes = indexes.filter((i) => i.IndexName !== update.Delete.IndexName)
+      } else if (update.Update) {
+        indexes = indexes.map((i) => i.IndexName !== update.Update.IndexName ? i
+          : Object.assign({}, i, {ProvisionedThroughput: Object.assign({}, i.ProvisionedThroughput, update.Update.ProvisionedThroughput)}))
+      }
+    })
+    if (indexes.length > 0) {
+      description.GlobalSecondaryIndexes = indexes
+    } else {
+      delete description.GlobalSecondaryIndexes
+    }
+    table.description = description
+    return {TableDescription: describe(table)}
+  }
+  let deleteTable = (params) => {
+    let table = getTable(params.TableName)
+    tables.delete(params.TableName)
+    return {TableDescription: Object.assign(describe(table), {TableStatus: 'DELETING'})}
+  }
+  let listTables = (params) => {
+    let names = Array.from(tables.keys()).sort()
+    if (params.ExclusiveStartTableName) {
+      names = names.filter((n) => n > params.ExclusiveStartTableName)
+    }
+    let limit = params.Limit || 100
+    let response = {TableNames: names.slice(0, limit)}
+    if (names.length > limit) {
+      response.LastEvaluatedTableName = response.TableNames[limit - 1]
+    }
+    return response
+  }
+  let updateTimeToLive = (params) => {
+    let table = getTable(params.TableName)
+    let specification = params.TimeToLiveSpecification || {}
+    table.ttl = specification.Enabled
+      ? {TimeToLiveStatus: 'ENABLED', AttributeName: specification.AttributeName}
+      : {TimeToLiveStatus: 'DISABLED'}
+    return {TimeToLiveSpecification: specification}
+  }
+  let waitFor = (state, params) => {
+    switch (state) {
+      case 'tableExists':
+        if (!tables.has(params.TableName)) {
+          throw awsError('ResourceNotReady', `Resource is not in the state ${state}`)
+        }
+        return {Table: describe(getTable(params.TableName))}
+      case 'tableNotExists':
+        if (tables.has(params.TableName)) {
+          throw awsError('ResourceNotReady', `Resource is not in the state ${state}`)
+        }
+        return {}
+    }
+    throw awsError('UnknownWaiterState', `State ${state} not found.`)
+  }
+
+  // Single item operations
+
+  let consumedCapacity = (params, tableName, units) => {
+    return params.ReturnConsumedCapacity && params.ReturnConsumedCapacity !== 'NONE'
+      ? {ConsumedCapacity: {TableName: tableName, CapacityUnits: units}}
+      : {}
+  }
+  let writeUnits = (item) => item ? calculateItemSize(item, {marshalled: true}).writeCapacityUnits.standard : 1
+  let readUnits = (item, consistent) => {
+    let units = item ? calculateItemSize(item, {marshalled: true}).readCapacityUnits.stronglyConsistent : 1
+    return consistent ? units : units / 2
+  }
+  let checkCondition = (params, existing) => {
+    if (!params.ConditionExpression) {
+      return
+    }
+    let passed = asValidation(() => evaluateCondition(params.ConditionExpression, existing || {}, {
+      ExpressionAttributeNames: params.ExpressionAttributeNames,
+      ExpressionAttributeValues: params.ExpressionAttributeValues,
+      marshalled: true
+    }))
+    if (!passed) {
+      let failed = awsError('ConditionalCheckFailedException', 'The conditional request failed')
+      if (params.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && existing) {
+        failed.Item = existing
+      }
+      throw failed
+    }
+  }
+  let project = (item, params, index) => {
+    let projected = item
+    if (index && index.Projection && index.Projection.ProjectionType !== 'ALL') {
+      let attributes = keyList(tableKeys(params.table)).concat(keyList(keyNames(index.KeySchema)), index.Projection.NonKeyAttributes || [])
+      projected = {}
+      attributes.filter((k) => item[k] !== undefined).map((k) => addObjectProperty(projected, k, item[k]))
+    }
+    if (params.ProjectionExpression) {
+      return asValidation(() => applyProjection(projected, params.ProjectionExpression, {
+        ExpressionAttributeNames: params.ExpressionAttributeNames,
+        marshalled: true
+      }))
+    }
+    return projected
+  }
+  // Computes the result of a Put, Update or Delete without storing it, so transactions can check every action first
+  let prepareWrite = (operation, params) => {
+    let table = getTable(params.TableName)
+    checkPlaceholders(params)
+    let key = operation === 'put' ? pickKey(table, params.Item || {}) : params.Key
+    if (operation === 'put') {
+      checkItem(table, params.Item)
+    } else {
+      checkKey(table, key)
+    }
+    let id = keyString(table, key)
+    let existing = table.items.get(id)
+    let next
+    switch (operation) {
+      case 'put':
+        next = params.Item
+        break
+      case 'update':
+        next = params.UpdateExpression
+          ? asValidation(() => applyUpdateExpression(params.UpdateExpression, Object.assign({}, existing || key), {
+            ExpressionAttributeNames: params.ExpressionAttributeNames,
+            ExpressionAttributeValues: params.ExpressionAttributeValues,
+            marshalled: true
+          }))
+          : Object.assign({}, existing || key)
+        keyList(tableKeys(table)).map((k) => {
+          if (!attributesEqual(next[k], key[k])) {
+            throw validationError(`One or more parameter values were invalid: Cannot update attribute ${k}. This attribute is part of the key`)
+          }
+        })
+        checkItem(table, next)
+        break
+    }
+    return {
+      table: table,
+      id: id,
+      existing: existing,
+      next: next,
+      check: () => checkCondition(params, existing),
+      commit: () => next ? table.items.set(id, next) : table.items.delete(id)
+    }
+  }
+  let getItem = (params, throttled = true) => {
+    let table = getTable(params.TableName)
+    checkPlaceholders(params)
+    checkKey(table, params.Key)
+    if (throttled) {
+      checkThrottle('getItem', params)
+    }
+    let item = table.items.get(keyString(table, params.Key))
+    let response = consumedCapacity(params, params.TableName, readUnits(item, params.ConsistentRead))
+    if (item) {
+      response.Item = project(item, Object.assign({table: table}, params))
+    }
+    return response
+  }
+  let putItem = (params) => {
+    let write = prepareWrite('put', params)
+    checkThrottle('putItem', params)
+    write.check()
+    write.commit()
+    let response = consumedCapacity(params, params.TableName, writeUnits(write.next))
+    if (params.ReturnValues === 'ALL_OLD' && write.existing) {
+      response.Attributes = write.existing
+    }
+    return response
+  }
+  let updateItem = (params) => {
+    let write = prepareWrite('update', params)
+    checkThrottle('updateItem', params)
+    write.check()
+    write.commit()
+    let response = consumedCapacity(params, params.TableName, writeUnits(write.next))
+    let old = write.existing || {}
+    let changed = Object.keys(write.next).concat(Object.keys(old))
+      .filter((k, i, all) => all.indexOf(k) === i && !attributesEqual(write.next[k], old[k]))
+    let pick = (item) => {
+      let picked = {}
+      changed.filter((k) => item[k] !== undefined).map((k) => addObjectProperty(picked, k, item[k]))
+      return picked
+    }
+    let attributes = {ALL_NEW: write.next, ALL_OLD: write.existing, UPDATED_NEW: pick(write.next), UPDATED_OLD: pick(old)}[params.ReturnValues]
+    if (attributes && Object.keys(attributes).length > 0) {
+      response.Attributes = attributes
+    }
+    return response
+  }
+  let deleteItem = (params) => {
+    let write = prepareWrite('delete', params)
+    checkThrottle('deleteItem', params)
+    write.check()
+    write.commit()
+    let response = consumedCapacity(params, params.TableName, writeUnits(write.existing))
+    if (params.ReturnValues === 'ALL_OLD' && write.existing) {
+      response.Attributes = write.existing
+    }
+    return response
+  }
+
+  // Queries and scans
+
+  let compareKeys = (a, b, names) => names.reduce((result, name) => {
+    return result || (a[name] === undefined || b[name] === undefined ? 0 : compareAttributes(a[name], b[name]))
+  }, 0)
+  let checkKeyCondition = (params, partitionKey, sortKey) => {
+    let node = asValidation(() => parseConditionExpression(params.KeyConditionExpression || ''))
+    let conditions = []
+    let collect = (n) => n.type === 'and' ? [n.left, n.right].map(collect) : conditions.push(n)
+    collect(node)
+    let names = params.ExpressionAttributeNames || {}
+    let nameOf = (operand) => operand && operand.type === 'path' && operand.segments.length === 1
+      ? (names[operand.segments[0]] || operand.segments[0])
+      : undefined
+    let attributeOf = (c) => nameOf(c.type === 'compare' ? c.left : c.type === 'between' ? c.operand : c.type === 'function' ? c.args[0] : undefined)
+    let partition = conditions.filter((c) => attributeOf(c) === partitionKey && c.type === 'compare' && c.comparator === '=')
+    let sort = conditions.filter((c) => attributeOf(c) === sortKey && sortKey !== undefined &&
+      ((c.type === 'compare' && c.comparator !== '<>') || c.type === 'between' || (c.type === 'function' && c.name === 'begins_with')))
+    if (partition.length !== 1 || sort.length > 1 || conditions.length !== partition.length + sort.length) {
+      throw validationError('Query key condition not supported')
+    }
+    return node
+  }
+  let read = (operation, params) => {
+    let table = getTable(params.TableName)
+    checkPlaceholders(params)
+    let index = params.IndexName ? findIndex(table, params.IndexName) : undefined
+    let keys = index ? keyNames(index.KeySchema) : tableKeys(table)
+    if (params.ConsistentRead && index && !(table.description.LocalSecondaryIndexes || []).includes(index)) {
+      throw validationError('Consistent reads are not supported on global secondary indexes')
+    }
+    let order = keyList(keys).concat(keyList(tableKeys(table)))
+    let keyCondition = operation === 'query' ? checkKeyCondition(params, keys.partitionKey, keys.sortKey) : undefined
+    let expressionParams = {
+      ExpressionAttributeNames: params.ExpressionAttributeNames,
+      ExpressionAttributeValues: params.ExpressionAttributeValues,
+      marshalled: true
+    }
+    let filter = params.FilterExpression ? asValidation(() => parseConditionExpression(params.FilterExpression)) : undefined
+    checkThrottle(operation, params)
+    let items = Array.from(table.items.values()).filter((item) => keyList(keys).every((k) => item[k] !== undefined))
+    if (keyCondition) {
+      items = items.filter((item) => asValidation(() => evaluateCondition(keyCondition, item, expressionParams)))
+    }
+    if (params.TotalSegments) {
+      let hash = (s) => Array.from(s).reduce((h, c) => (h * 31 + c.charCodeAt(0)) % 2147483647, 7)
+      items = items.filter((item) => hash(keyValueString(item[keys.partitionKey])) % params.TotalSegments === params.Segment)
+    }
+    let forward = operation === 'scan' || params.ScanIndexForward !== false
+    items.sort((a, b) => compareKeys(a, b, order) * (forward ? 1 : -1))
+    if (params.ExclusiveStartKey) {
+      let start = params.ExclusiveStartKey
+      items = items.filter((item) => compareKeys(item, start, order) * (forward ? 1 : -1) > 0)
+    }
+    let limit = params.Limit || Infinity
+    let evaluated = []
+    let bytes = 0
+    while (evaluated.length < items.length && evaluated.length < limit && bytes < PAGE_SIZE_LIMIT) {
+      let item = items[evaluated.length]
+      bytes += calculateItemSize(item, {marshalled: true}).bytes
+      evaluated.push(item)
+    }
+    let matching = filter
+      ? evaluated.filter((item) => asValidation(() => evaluateCondition(filter, item, expressionParams)))
+      : evaluated
+    let response = Object.assign({Count: matching.length, ScannedCount: evaluated.length},
+      consumedCapacity(params, params.TableName, Math.max(1, Math.ceil(bytes / 4096)) / (params.ConsistentRead ? 1 : 2)))
+    if (params.Select !== 'COUNT') {
+      response.Items = matching.map((item) => project(item, Object.assign({table: table}, params), index))
+    }
+    if (evaluated.length < items.length) {
+      response.LastEvaluatedKey = pickKey(table, evaluated[evaluated.length - 1], index ? keyList(keys) : [])
+    }
+    return response
+  }
+
+  // Batches and transactions
+
+  let batchWriteItem = (params) => {
+    let requestItems = params.RequestItems || {}
+    let entries = []
+    Object.keys(requestItems).map((tableName) => requestItems[tableName].map((request) => {
+      entries.push({tableName: tableName, request: request})
+    }))
+    if (entries.length === 0 || entries.length > BATCH_WRITE_LIMIT) {
+      throw validationError(`Too many items requested for the BatchWriteItem call, it takes 1 to ${BATCH_WRITE_LIMIT} requests`)
+    }
+    let writes = entries.map((e) => {
+      if (e.request.PutRequest) {
+        return prepareWrite('put', {TableName: e.tableName, Item: e.request.PutRequest.Item})
+      }
+      if (e.request.DeleteRequest) {
+        return prepareWrite('delete', {TableName: e.tableName, Key: e.request.DeleteRequest.Key})
+      }
+      throw validationError('A write request needs either a PutRequest or a DeleteRequest')
+    })
+    let ids = writes.map((w, i) => `${entries[i].tableName}/${w.id}`)
+    if (ids.some((id, i) => ids.indexOf(id) !== i)) {
+      throw validationError('Provided list of item keys contains duplicates')
+    }
+    let unprocessed = Math.min(checkThrottle('batchWriteItem', params), entries.length)
+    let processed = entries.length - unprocessed
+    writes.slice(0, processed).map((w) => w.commit())
+    let unprocessedItems = {}
+    entries.slice(processed).map((e) => {
+      unprocessedItems[e.tableName] = (unprocessedItems[e.tableName] || []).concat(e.request)
+    })
+    return {UnprocessedItems: unprocessedItems}
+  }
+  let batchGetItem = (params) => {
+    let requestItems = params.RequestItems || {}
+    let entries = []
+    Object.keys(requestItems).map((tableName) => requestItems[tableName].Keys.map((key) => {
+      entries.push({tableName: tableName, key: key})
+    }))
+    if (entries.length === 0 || entries.length > BATCH_GET_LIMIT) {
+      throw validationError(`Too many items requested for the BatchGetItem call, it takes 1 to ${BATCH_GET_LIMIT} keys`)
+    }
+    let ids = entries.map((e) => {
+      let table = getTable(e.tableName)
+      checkKey(table, e.key)
+      return `${e.tableName}/${keyString(table, e.key)}`
+    })
+    if (ids.some((id, i) => ids.indexOf(id) !== i)) {
+      throw validationError('Provided list of item keys contains duplicates')
+    }
+    Object.keys(requestItems).map((tableName) => checkPlaceholders(requestItems[tableName]))
+    let unprocessed = Math.min(checkThrottle('batchGetItem', params), entries.length)
+    let processed = entries.length - unprocessed
+    let responses = {}
+    let unprocessedKeys = {}
+    Object.keys(requestItems).map((tableName) => addObjectProperty(responses, tableName, []))
+    entries.map((e, i) => {
+      let request = requestItems[e.tableName]
+      if (i >= processed) {
+        let pending = unprocessedKeys[e.tableName] || Object.assign({}, request, {Keys: []})
+        pending.Keys.push(e.key)
+        unprocessedKeys[e.tableName] = pending
+        return
+      }
+      let table = getTable(e.tableName)
+      let item = table.items.get(keyString(table, e.key))
+      if (item) {
+        responses[e.tableName].push(project(item, Object.assign({table: table}, request)))
+      }
+    })
+    return {Responses: responses, UnprocessedKeys: unprocessedKeys}
+  }
+  let transactWriteItems = (params) => {
+    let actions = params.TransactItems || []
+    if (actions.length === 0 || actions.length > TRANSACTION_LIMIT) {
+      throw validationError(`A transaction takes 1 to ${TRANSACTION_LIMIT} actions`)
+    }
+    let writes = actions.map((action) => {
+      if (action.Put) {
+        return prepareWrite('put', action.Put)
+      }
+      if (action.Update) {
+        return prepareWrite('update', action.Update)
+      }
+      if (action.Delete) {
+        return prepareWrite('delete', action.Delete)
+      }
+      if (action.ConditionCheck) {
+        if (!action.ConditionCheck.ConditionExpression) {
+          throw validationError('A ConditionCheck needs a ConditionExpression')
+        }
+        let write = prepareWrite('delete', action.ConditionCheck)
+        return Object.assign(write, {commit: () => undefined})
+      }
+      throw validationError('A transaction action needs one of Put, Update, Delete or ConditionCheck')
+    })
+    let ids = writes.map((w) => `${w.table.description.TableName}/${w.id}`)
+    if (ids.some((id, i) => ids.indexOf(id) !== i)) {
+      throw validationError('Transaction request cannot include multiple operations on one item')
+    }
+    checkThrottle('transactWriteItems', params)
+    let reasons = writes.map((w) => {
+      try {
+        w.check()
+        return {Code: 'None'}
+      } catch (err) {
+        if (err.code !== 'ConditionalCheckFailedException') {
+          throw err
+        }
+        return err.Item
+          ? {Code: 'ConditionalCheckFailed', Message: err.message, Item: err.Item}
+          : {Code: 'ConditionalCheckFailed', Message: err.message}
+      }
+    })
+    if (reasons.some((r) => r.Code !== 'None')) {
+      throw awsError('TransactionCanceledException',
+        `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map((r) => r.Code).join(', ')}]`,
+        {CancellationReasons: reasons})
+    }
+    writes.map((w) => w.commit())
+    return {}
+  }
+  let transactGetItems = (params) => {
+    let actions = params.TransactItems || []
+    if (actions.length === 0 || actions.length > TRANSACTION_LIMIT) {
+      throw validationError(`A transaction takes 1 to ${TRANSACTION_LIMIT} actions`)
+    }
+    checkThrottle('transactGetItems', params)
+    return {
+      Responses: actions.map((action) => {
+        let response = getItem(Object.assign({}, action.Get, {ConsistentRead: true}), false)
+        return response.Item ? {Item: response.Item} : {}
+      })
+    }
+  }
+
+  let db = {
+    createTable: toRequest(createTable),
+    describeTable: toRequest((params) => ({Table: describe(getTable(params.TableName))})),
+    updateTable: toRequest(updateTable),
+    deleteTable: toRequest(deleteTable),
+    listTables: toRequest(listTables),
+    describeTimeToLive: toRequest((params) => ({TimeToLiveDescription: getTable(params.TableName).ttl})),
+    updateTimeToLive: toRequest(updateTimeToLive),
+    waitFor: (state, params, callback) => toRequest((p) => waitFor(state, p))(params, callback),
+    getItem: toRequest((params) => getItem(params)),
+    putItem: toRequest(putItem),
+    updateItem: toRequest(updateItem),
+    deleteItem: toRequest(deleteItem),
+    query: toRequest((params) => read('query', params)),
+    scan: toRequest((params) => read('scan', params)),
+    batchWriteItem: toRequest(batchWriteItem),
+    batchGetItem: toRequest(batchGetItem),
+    transactWriteItems: toRequest(transactWriteItems),
+    transactGetItems: toRequest(transactGetItems)
+  }
+
+  // The DocumentClient converts regular values to attributes on the way in and back on the way out
+
+  let marshall = (o) => o === undefined ? undefined : marshallItem(o, {emptyStrings: 'keep'})
+  let unmarshall = (o) => o === undefined ? undefined : unmarshallItem(o, {sets: 'set'})
+  let convert = (o, fields, converter) => {
+    if (!isObject(o)) {
+      return o
+    }
+    let converted = Object.assign({}, o)
+    fields.filter((f) => converted[f] !== undefined).map((f) => { converted[f] = converter(converted[f]) })
+    return converted
+  }
+  let toLowLevel = (params) => convert(params, ['Item', 'Key', 'ExclusiveStartKey', 'ExpressionAttributeValues'], marshall)
+  let fromLowLevel = (response) => {
+    let converted = convert(response, ['Item', 'Attributes', 'LastEvaluatedKey'], unmarshall)
+    if (converted.Items) {
+      converted.Items = converted.Items.map(unmarshall)
+    }
+    return converted
+  }
+  let mapTables = (requestItems, mapRequest) => {
+    let mapped = {}
+    Object.keys(requestItems || {}).map((tableName) => addObjectProperty(mapped, tableName, mapRequest(requestItems[tableName])))
+    return mapped
+  }
+  let writeRequests = (converter) => (requests) => requests.map((r) => r.PutRequest
+    ? {PutRequest: {Item: converter(r.PutRequest.Item)}}
+    : {DeleteRequest: {Key: converter(r.DeleteRequest.Key)}})
+  let keysRequest = (converter) => (request) => Object.assign({}, request, {Keys: request.Keys.map(converter)})
+  let transactActions = (actions) => actions.map((action) => {
+    let converted = {}
+    Object.keys(action).map((type) => addObjectProperty(converted, type, toLowLevel(action[type])))
+    return converted
+  })
+  let documentCall = (method, toParams, toResponse) => toRequest((params) => {
+    return new Promise((resolve, reject) => {
+      db[method](toParams(params), (err, data) => {
+        if (!err) {
+          resolve(toResponse(data))
+          return
+        }
+        if (err.Item) {
+          err.Item = unmarshall(err.Item)
+        }
+        if (err.CancellationReasons) {
+          err.CancellationReasons = err.CancellationReasons.map((r) => r.Item ? Object.assign({}, r, {Item: unmarshall(r.Item)}) : r)
+        }
+        reject(err)
+      })
+    })
+  })
+  let client = {
+    get: documentCall('getItem', toLowLevel, fromLowLevel),
+    put: documentCall('putItem', toLowLevel, fromLowLevel),
+    update: documentCall('updateItem', toLowLevel, fromLowLevel),
+    delete: documentCall('deleteItem', toLowLevel, fromLowLevel),
+    query: documentCall('query', toLowLevel, fromLowLevel),
+    scan: documentCall('scan', toLowLevel, fromLowLevel),
+    batchWrite: documentCall('batchWriteItem',
+      (params) => Object.assign({}, params, {RequestItems: mapTables(params.RequestItems, writeRequests(marshall))}),
+      (data) => Object.assign({}, data, {UnprocessedItems: mapTables(data.UnprocessedItems, writeRequests(unmarshall))})),
+    batchGet: documentCall('batchGetItem',
+      (params) => Object.assign({}, params, {RequestItems: mapTables(params.RequestItems, keysRequest(marshall))}),
+      (data) => Object.assign({}, data, {
+        Responses: mapTables(data.Responses, (items) => items.map(unmarshall)),
+        UnprocessedKeys: mapTables(data.UnprocessedKeys, keysRequest(unmarshall))
+      })),
+    transactWrite: documentCall('transactWriteItems',
+      (params) => Object.assign({}, params, {TransactItems: transactActions(params.TransactItems || [])}),
+      (data) => data),
+    transactGet: documentCall('transactGetItems',
+      (params) => Object.assign({}, params, {TransactItems: transactActions(params.TransactItems || [])}),
+      (data) => Object.assign({}, data, {Responses: data.Responses.map((r) => r.Item ? {Item: unmarshall(r.Item)} : {})})),
+    createSet: (list) => new Set(list)
+  }
+
+  let reset = () => {
+    let initialTables = options.tables || []
+    tables.clear()
+    initialTables.map(createTable)
+  }
+  reset()
+  return {
+    db: db,
+    client: client,
+    /**
+     * Replaces the throttle function, pass nothing to stop throttling
+     */
+    throttle: (fn) => { throttle = fn },
+    /**
+     * Returns the items stored in a table as regular objects, or as AWS item objects when marshalled is true
+     */
+    items: (tableName, marshalled = false) => {
+      let items = Array.from(getTable(tableName).items.values())
+      return marshalled ? items : items.map(unmarshall)
+    },
+    /**
+     * Drops every table and item and recreates the tables passed as options
+     */
+    reset: reset
+  }
+}
+
+exports.createMemoryDynamoDB = createMemoryDynamoDB
@@ -0,0 +1,300 @@
+const {addObjectProperty} = require('./attributes')
+const {callClient} = require('./client')
+const {batchWrite} = require('./batch-write')
+const {scanPages} = require('./pagination')
+const {isEqual} = require('./update-expression')
+const {createMemoryBlobStore} = require('./blob-stores')
+const {createTableParams, describeTable, waitForTableActive} = require('./tables')
+
+/**
+ * Returns a comparable form of a KeySchema, with the type of every key attribute
+ */
+const keySignature = (keySchema, attributeDefinitions) => {
+  return JSON.stringify((keySchema || []).map((k) => {
+    let definition = (attributeDefinitions || []).find((a) => a.AttributeName === k.AttributeName)
+    return [k.AttributeName, k.KeyType, definition ? definition.AttributeType : undefined]
+  }))
+}
+
+/**
+ * Returns a comparable form of an index: its key schema and projection
+ */
+const indexSignature = (index, attributeDefinitions) => {
+  let p = index.Projection || {}
+  return JSON.stringify([
+    keySignature(index.KeySchema, attributeDefinitions),
+    p.ProjectionType || 'ALL',
+    (p.NonKeyAttributes || []).slice().sort()
+  ])
+}
+
+/**
+ * Returns the read and write capacity units of a ProvisionedThroughput, for comparisons
+ */
+const throughputSignature = (t) => JSON.stringify([t ? t.ReadCapacityUnits : 0, t ? t.WriteCapacityUnits : 0])
+
+/**
+ * Compares a declarative table definition (see createTableParams) with a describeTable result and returns the
+ * ordered steps that turn the table into the definition, one UpdateTable call per global index change as DynamoDB
+ * requires. Every step is {description, operation, params}, where operation is the AWS.DynamoDB function to call.
+ * The stream and TTL are only changed when the definition has a "stream" or "ttl" attribute, false turns them off.
+ * Throws a TypeError for changes DynamoDB can't make to an existing table: key schema and local indexes.
+ * Example:
+ *     diffTable(definition, table)
+ *     // [{description: 'Delete index byColor', operation: 'updateTable', params: {...}},
+ *     //  {description: 'Create index byType', operation: 'updateTable', params: {...}}]
+ * @param definition Object
+ * @param table Object the Table of a describeTable response, or null when the table doesn't exist
+ * @param ttlDescription Object the TimeToLiveDescription of a describeTimeToLive response
+ * @returns {Array}
+ */
+const diffTable = (definition, table, ttlDescription = {}) => {
+  let wanted = createTableParams(definition)
+  let tableName = wanted.TableName
+  let wantedTtl = typeof definition.ttl === 'string' ? definition.ttl : definition.ttl && definition.ttl.attribute
+  let steps = []
+  let step = (description, operation, params) => steps.push({description: description, operation: operation, params: params})
+  let updateTable = (description, params) => step(description, 'updateTable', Object.assign({TableName: tableName}, params))
+  let setTtl = (enabled, attributeName) => step(
+    `${enabled ? 'Enable' : 'Disable'} TTL on ${attributeName}`,
+    'updateTimeToLive',
+    {TableName: tableName, TimeToLiveSpecification: {Enabled: enabled, AttributeName: attributeName}}
+  )
+  if (!table) {
+    step(`Create table ${tableName}`, 'createTable', wanted)
+    if (wantedTtl) {
+      setTtl(true, wantedTtl)
+    }
+    return steps
+  }
+  let definitions = table.AttributeDefinitions
+  if (keySignature(table.KeySchema, definitions) !== keySignature(wanted.KeySchema, wanted.AttributeDefinitions)) {
+    throw new TypeError(`The key schema of ${tableName} can't be changed, the table has to be recreated`)
+  }
+  let localSignature = (indexes, attributes) => JSON.stringify((indexes || [])
+    .map((i) => [i.IndexName, indexSignature(i, attributes)])
+    .sort())
+  if (localSignature(table.LocalSecondaryIndexes, definitions) !== localSignature(wanted.LocalSecondaryIndexes, wanted.AttributeDefinitions)) {
+    throw new TypeError(`The local indexes of ${tableName} can't be changed, the table has to be recreated`)
+  }
+
+  let currentIndexes = table.GlobalSecondaryIndexes || []
+  let wantedIndexes = wanted.GlobalSecondaryIndexes || []
+  let currentBilling = table.BillingModeSummary ? table.BillingModeSummary.BillingMode : 'PROVISIONED'
+  let provisioned = wanted.BillingMode === 'PROVISIONED'
+  let kept = wantedIndexes.filter((w) => currentIndexes.some((c) => {
+    return c.IndexName === w.IndexName && indexSignature(c, definitions) === indexSignature(w, wanted.AttributeDefinitions)
+  }))
+  let keptNames = kept.map((i) => i.IndexName)
+
+  if (currentBilling !== wanted.BillingMode) {
+    updateTable(`Switch billing mode to ${wanted.BillingMode}`, Object.assign(
+      {BillingMode: wanted.BillingMode},
+      provisioned ? {ProvisionedThroughput: wanted.ProvisionedThroughput} : {},
+      provisioned && kept.length > 0
+        ? {GlobalSecondaryIndexUpdates: kept.map((i) => ({Update: {IndexName: i.IndexName, ProvisionedThroughput: i.ProvisionedThroughput}}))}
+        : {}
+    ))
+  } else if (provisioned) {
+    if (throughputSignature(table.ProvisionedThroughput) !== throughputSignature(wanted.ProvisionedThroughput)) {
+      updateTable(`Update the throughput of ${tableName}`, {ProvisionedThroughput: wanted.ProvisionedThroughput})
+    }
+    kept.map((w) => {
+      let current = currentIndexes.find((c) => c.IndexName === w.IndexName)
+      if (throughputSignature(current.ProvisionedThroughput) !== throughputSignature(w.ProvisionedThroughput)) {
+        updateTable(`Update the throughput of index ${w.IndexName}`, {
+          GlobalSecondaryIndexUpdates: [{Update: {IndexName: w.IndexName, ProvisionedThroughput: w.ProvisionedThroughput}}]
+        })
+      }
+    })
+  }
+  currentIndexes.filter((c) => !keptNames.includes(c.IndexName)).map((c) => {
+    updateTable(`Delete index ${c.IndexName}`, {GlobalSecondaryIndexUpdates: [{Delete: {IndexName: c.IndexName}}]})
+  })
+  wantedIndexes.filter((w) => !keptNames.includes(w.IndexName)).map((w) => {
+    let keyNames = w.KeySchema.map((k) => k.AttributeName)
+    updateTable(`Create index ${w.IndexName}`, {
+      AttributeDefinitions: wanted.AttributeDefinitions.filter((a) => keyNames.includes(a.AttributeName)),
+      GlobalSecondaryIndexUpdates: [{Create: w}]
+    })
+  })
+
+  if (definition.stream !== undefined) {
+    let current = table.StreamSpecification && table.StreamSpecification.StreamEnabled ? table.StreamSpecification.StreamViewType : false
+    let wantedStream = definition.stream || false
+    if (current && current !== wantedStream) {
+      updateTable('Disable the stream', {StreamSpecification: {StreamEnabled: false}})
+    }
+    if (wantedStream && current !== wantedStream) {
+      updateTable(`Enable the stream with ${wantedStream}`, {StreamSpecification: {StreamEnabled: true, StreamViewType: wantedStream}})
+    }
+  }
+
+  if (definition.ttl !== undefined) {
+    let enabled = ['ENABLED', 'ENABLING'].includes(ttlDescription.TimeToLiveStatus)
+    let current = enabled ? ttlDescription.AttributeName : false
+    if (current && current !== wantedTtl) {
+      setTtl(false, current)
+    }
+    if (wantedTtl && current !== wantedTtl) {
+      setTtl(true, wantedTtl)
+    }
+  }
+  return steps
+}
+
+/**
+ * Diffs the table with its declarative definition (see diffTable) and applies the steps one at a time, waiting
+ * until the table and its indexes are active after each one. In dry-run mode the plan is only logged.
+ * Example:
+ *     migrateTable(db, definition, {dryRun: true})
+ *     // 1. Delete index byColor
+ *     // 2. Create index byType
+ * @param db AWS.DynamoDB
+ * @param definition Object see createTableParams
+ * @param options Object
+ *                  dryRun: Boolean log the plan without applying it
+ *                  log: Function called with a line per step, defaults to console.log in dry-run mode
+ *                  interval, timeout: see waitForTableActive
+ * @returns {Promise} resolves to {plan, applied}
+ */
+const migrateTable = async (db, definition, options = {}) => {
+  let tableName = definition.tableName
+  let log = options.log || (options.dryRun ? console.log : () => {})
+  let table = await describeTable(db, tableName)
+  let ttlDescription = table && definition.ttl !== undefined
+    ? (await callClient(db, 'describeTimeToLive', {TableName: tableName})).TimeToLiveDescription
+    : undefined
+  let plan = diffTable(definition, table, ttlDescription)
+  if (plan.length === 0) {
+    log(`${tableName} is up to date`)
+  }
+  for (let i = 0; i < plan.length; i++) {
+    log(`${i + 1}. ${plan[i].description}`)
+    if (!options.dryRun) {
+      await callClient(db, plan[i].operation, plan[i].params)
+      await waitForTableActive(db, tableName, Object.assign({}, options, {allowMissing: plan[i].operation === 'createTable'}))
+    }
+  }
+  return {plan: plan, applied: !options.dryRun}
+}
+
+/**
+ * Returns true for the errors blob stores reject with when a key doesn't exist
+ */
+const isNotFound = (err) => err.code === 'ENOENT' || err.code === 'NoSuchKey' || /not found/i.test(err.message)
+
+/**
+ * Runs versioned data migrations over every item of a table. Each migration scans the table and passes every
+ * item to its transform function, which returns the new item (written when it differs), null (the item is
+ * deleted) or undefined (the item stays as it is). Migrations run in version order, and those with a version
+ * that was already applied are skipped.
+ * Progress is saved in the checkpoint store after every page, so an interrupted migration resumes after the last
+ * page it finished. Transforms should be idempotent, as the items of an unfinished page are transformed again.
+ * Example:
+ *     runMigrations(client, {tableName: 'planets', partitionKey: 'id'}, [
+ *       {version: 1, description: 'split names', transform: (item) => Object.assign({}, item, {names: item.name.split(' ')})},
+ *       {version: 2, description: 'remove moons', transform: (item) => item.type === 'moon' ? null : undefined}
+ *     ], {store: createFileBlobStore('./checkpoints')})
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param table Object the tableName and keys (partitionKey and sortKey) of a createModel definition, or a model
+ * @param migrations Array of {version: Number, description: String, transform: Function}, the transform may
+ *                   return a Promise
+ * @param options Object
+ *                  store: Object a blob store (see createFileBlobStore) for the checkpoints, required unless dryRun
+ *                         is set, since the applied versions would be forgotten and applied again on the next run
+ *                  checkpointKey: String defaults to "migrations/<tableName>"
+ *                  pageSize: Number items per scan call
+ *                  dryRun: Boolean transforms the items and counts the changes without writing them
+ *                  onProgress: Function called after every page with {version, scanned, updated, deleted}
+ *                  batch write options (concurrency, maxRetries, baseDelay, maxDelay, attributeOptions)
+ * @returns {Promise} resolves to an array of {version, description, scanned, updated, deleted} for the
+ *                    migrations that ran
+ */
+const runMigrations = async (client, table, migrations, options = {}) => {
+  let tableName = table.tableName
+  let keyNames = [table.partitionKey, table.sortKey].filter((k) => k).map((k) => k.name || k)
+  if (!tableName || keyNames.length === 0) {
+    throw new TypeError('runMigrations needs the tableName and partitionKey of the table')
+  }
+  let versions = migrations.map((m) => m.version)
+  if (versions.some((v, i) => typeof v !== 'number' || versions.indexOf(v) !== i)) {
+    throw new TypeError('Every migration needs a unique numeric version')
+  }
+  if (!options.store && !options.dryRun) {
+    throw new TypeError('runMigrations needs a checkpoint store (the store option) to remember the applied versions')
+  }
+  let store = options.store || createMemoryBlobStore()
+  let checkpointKey = options.checkpointKey || `migrations/${tableName}`
+  let state = await store.get(checkpointKey)
+    .then((data) => JSON.parse(data.toString()))
+    .catch((err) => {
+      if (isNotFound(err)) {
+        return {applied: [], current: null}
+      }
+      throw err
+    })
+  let saveState = () => options.dryRun ? Promise.resolve() : store.put(checkpointKey, Buffer.from(JSON.stringify(state)))
+  let keyOf = (item) => {
+    let key = {}
+    keyNames.map((k) => addObjectProperty(key, k, item[k]))
+    return key
+  }
+  let results = []
+  let pending = migrations.slice().sort((a, b) => a.version - b.version).filter((m) => !state.applied.includes(m.version))
+  for (let migration of pending) {
+    let resumed = state.current && state.current.version === migration.version ? state.current : null
+    let result = {
+      version: migration.version,
+      description: migration.description,
+      scanned: resumed ? resumed.scanned : 0,
+      updated: resumed ? resumed.updated : 0,
+      deleted: resumed ? resumed.deleted : 0
+    }
+    let pages = scanPages(client, {TableName: tableName}, {pageSize: options.pageSize, cursor: resumed ? resumed.cursor : undefined})
+    for await (let page of pages) {
+      let requests = []
+      for (let item of page.items) {
+        let transformed = await migration.transform(item)
+        if (transformed === null) {
+          requests.push({delete: keyOf(item)})
+          result.deleted++
+        } else if (transformed !== undefined && !isEqual(transformed, item)) {
+          requests.push({put: transformed})
+          result.updated++
+        }
+      }
+      result.scanned += page.items.length
+      if (requests.length > 0 && !options.dryRun) {
+        let written = await batchWrite(client, addObjectProperty({}, tableName, requests), options)
+        if (written.failed.length > 0) {
+          let err = new Error(`Migration ${migration.version} of ${tableName} failed to write ${written.failed.length} items`)
+          err.failed = written.failed
+          throw err
+        }
+      }
+      if (page.cursor) {
+        state.current = {
+          version: migration.version,
+          cursor: page.cursor,
+          scanned: result.scanned,
+          updated: result.updated,
+          deleted: result.deleted
+        }
+        await saveState()
+      }
+      if (typeof options.onProgress === 'function') {
+        options.onProgress(Object.assign({}, result))
+      }
+    }
+    state.applied.push(migration.version)
+    state.current = null
+    await saveState()
+    results.push(result)
+  }
+  return results
+}
+
+exports.diffTable = diffTable
+exports.migrateTable = migrateTable
+exports.runMigrations = runMigrations
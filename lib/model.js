@@ -0,0 +1,396 @@
+const {addObjectProperty, isObject} = require('./attributes')
+const {callOperation, isDocumentClient, marshallItem, unmarshallItem} = require('./client')
+const {and, attributeExists, attributeNotExists, beginsWith, between, buildCondition, eq, gt, gte, lt, lte, or} = require('./condition-expression')
+const {createUpdateExpression} = require('./update-expression')
+const {attributeName, createExpressionAttributes} = require('./expression-attributes')
+const {buildProjection} = require('./projection-expression')
+const {queryItems, queryPage, scanItems, scanPage} = require('./pagination')
+const {createSchema} = require('./schema')
+
+const SORT_KEY_CONDITIONS = {eq: eq, lt: lt, lte: lte, gt: gt, gte: gte, beginsWith: beginsWith}
+
+/**
+ * Returns a key attribute as {name, type}, from its name or definition, looking the type up in the schema
+ * @param key String|Object
+ * @param schema Object
+ * @returns {Object} or undefined
+ */
+const normalizeKey = (key, schema) => {
+  if (!key) {
+    return undefined
+  }
+  let k = typeof key === 'string' ? {name: key} : Object.assign({}, key)
+  let definition = schema && schema.definitions[k.name]
+  k.type = k.type || (definition && definition.type !== 'any' ? definition.type : 'S')
+  return k
+}
+
+/**
+ * Returns the timestamp attribute names ({createdAt, updatedAt}, false when disabled) of the timestamps option
+ * @param timestamps Boolean|Object
+ * @returns {Object} or undefined
+ */
+const timestampAttributes = (timestamps) => {
+  if (!timestamps) {
+    return undefined
+  }
+  let names = timestamps === true ? {} : timestamps
+  return {
+    createdAt: names.createdAt === false ? false : names.createdAt || 'createdAt',
+    updatedAt: names.updatedAt === false ? false : names.updatedAt || 'updatedAt',
+    format: names.format || 'iso'
+  }
+}
+
+/**
+ * Returns a copy of the call parameters without the undefined ones
+ */
+const clean = (params) => {
+  let result = Object.assign({}, params)
+  Object.keys(result).filter((k) => result[k] === undefined).map((k) => delete result[k])
+  return result
+}
+
+/**
+ * Constructs and returns a model of a table, with functions that read and write plain items and take care of
+ * marshalling (for the low-level client), key extraction, schema validation, expressions and pagination.
+ * Example:
+ *     const planets = createModel(client, {
+ *       tableName: 'planets',
+ *       partitionKey: 'system',
+ *       sortKey: 'name',
+ *       indexes: {byType: {partitionKey: 'type', sortKey: 'diameter'}},
+ *       schema: {system: 'S', name: 'S', type: 'S', diameter: 'N'},
+ *       timestamps: true
+ *     })
+ *     planets.put({system: 'sol', name: 'mars', type: 'terrestrial', diameter: 6779})
+ *       .then(() => planets.query({type: 'terrestrial'}, {index: 'byType', sortKey: {gt: 5000}}))
+ *       .then((page) => console.log(page.items, page.cursor))
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param definition Object
+ *                     tableName: String
+ *                     partitionKey: String|Object the attribute name, or {name, type} where type is "S" (default,
+ *                                   unless the schema declares another one), "N" or "B"
+ *                     sortKey: String|Object same as partitionKey, optional
+ *                     indexes: Object index definitions by index name: {partitionKey, sortKey, projection, local},
+ *                              local indexes (LSIs) share the partition key of the table, projection is "ALL"
+ *                              (default), "KEYS_ONLY" or an array of attribute names
+ *                     schema: Object a createSchema schema, or its attribute definitions, the key attributes are
+ *                             added to its keys
+ *                     timestamps: Boolean|Object true maintains "createdAt" and "updatedAt" attributes, an object
+ *                                 {createdAt, updatedAt, format} renames (or disables with false) them and sets the
+ *                                 format, "iso" (default), "epoch" or "epochMillis"
+ *                     ttl: String|Object the TTL attribute name, or {attribute, seconds} to give every put item a
+ *                          lifetime of "seconds"
+ *                     attributeOptions: Object createAttribute options used to marshall for the low-level client
+ * @returns {Object}
+ */
+const createModel = (client, definition = {}) => {
+  if (!definition.tableName || !definition.partitionKey) {
+    throw new TypeError('A model needs a tableName and a partitionKey')
+  }
+  let tableName = definition.tableName
+  let marshall = !isDocumentClient(client)
+  let schemaKeys = [definition.partitionKey, definition.sortKey].filter((k) => k).map((k) => k.name || k)
+  let schema = definition.schema && typeof definition.schema.marshall !== 'function'
+    ? createSchema(definition.schema, {keys: schemaKeys, attributeOptions: definition.attributeOptions})
+    : definition.schema
+  let partitionKey = normalizeKey(definition.partitionKey, schema)
+  let sortKey = normalizeKey(definition.sortKey, schema)
+  let indexes = {}
+  Object.keys(definition.indexes || {}).map((name) => {
+    let index = definition.indexes[name]
+    if (!index.local && !index.partitionKey) {
+      throw new TypeError(`Global index ${name} needs a partitionKey`)
+    }
+    if (index.local && !index.sortKey) {
+      throw new TypeError(`Local index ${name} needs a sortKey`)
+    }
+    addObjectProperty(indexes, name, {
+      name: name,
+      local: index.local === true,
+      partitionKey: index.local ? partitionKey : normalizeKey(index.partitionKey, schema),
+      sortKey: normalizeKey(index.sortKey, schema),
+      projection: index.projection || 'ALL'
+    })
+  })
+  let timestamps = timestampAttributes(definition.timestamps)
+  let ttl = typeof definition.ttl === 'string' ? {attribute: definition.ttl} : definition.ttl
+  let managed = [timestamps && timestamps.createdAt, timestamps && timestamps.updatedAt, ttl && ttl.attribute]
+    .filter((name) => name)
+
+  let toPlain = (item) => marshall && item ? unmarshallItem(item) : item
+  let toCall = (item) => marshall ? marshallItem(item, definition.attributeOptions) : item
+  let now = () => {
+    let date = new Date()
+    switch (timestamps.format) {
+      case 'epoch':
+        return Math.floor(date.getTime() / 1000)
+      case 'epochMillis':
+        return date.getTime()
+      default:
+        return date.toISOString()
+    }
+  }
+  let expiresAt = (lifetime) => lifetime instanceof Date
+    ? Math.floor(lifetime.getTime() / 1000)
+    : Math.floor(Date.now() / 1000) + lifetime
+
+  /**
+   * Converts the values of a plain item (or a part of one) to the types of the schema, as plain values
+   */
+  let coerce = (item, partial) => {
+    if (!schema) {
+      return item
+    }
+    let coerced = unmarshallItem(schema.marshall(item, {partial: partial, marshalled: false}), {sets: 'set'})
+    if (!marshall) {
+      // the AWS SDK v2 DocumentClient needs its own set type, v3 accepts Set objects
+      Object.keys(coerced).filter((k) => coerced[k] instanceof Set && typeof client.createSet === 'function')
+        .map((k) => { coerced[k] = client.createSet(Array.from(coerced[k])) })
+    }
+    return coerced
+  }
+
+  let key = (item) => {
+    if (!isObject(item)) {
+      throw new TypeError(`${tableName} keys must be objects`)
+    }
+    let k = {}
+    let keyAttributes = [partitionKey, sortKey].filter((a) => a)
+    keyAttributes.map((a) => {
+      if (item[a.name] === undefined || item[a.name] === null) {
+        throw new TypeError(`${tableName} key attribute ${a.name} is missing`)
+      }
+      addObjectProperty(k, a.name, item[a.name])
+    })
+    return k
+  }
+
+  /**
+   * Builds the expression parameters shared by the read functions, with one placeholder registry
+   */
+  let expressionParams = (conditions, options) => {
+    let attributes = createExpressionAttributes({marshall: marshall, attributeOptions: definition.attributeOptions})
+    let params = {}
+    Object.keys(conditions).filter((k) => conditions[k]).map((k) => {
+      Object.assign(params, buildCondition(conditions[k], {expression: k, attributes: attributes}))
+    })
+    if (options.projection) {
+      Object.assign(params, buildProjection(options.projection, {attributes: attributes}))
+    }
+    return Object.assign(params, attributes.toParams())
+  }
+  let notExpired = (options) => ttl && options.skipExpired
+    ? or(attributeNotExists(ttl.attribute), gt(ttl.attribute, Math.floor(Date.now() / 1000)))
+    : undefined
+  let filterOf = (options) => {
+    let filters = [options.filter, notExpired(options)].filter((f) => f)
+    return filters.length > 1 ? and(filters) : filters[0]
+  }
+
+  /**
+   * Returns the query parameters for the key values of the table or of options.index
+   */
+  let queryParams = (keyValues, options) => {
+    let index = options.index ? indexes[options.index] : undefined
+    if (options.index && !index) {
+      throw new TypeError(`${tableName} has no index named ${options.index}`)
+    }
+    let keys = index || {partitionKey: partitionKey, sortKey: sortKey}
+    if (!isObject(keyValues) || keyValues[keys.partitionKey.name] === undefined) {
+      throw new TypeError(`Querying ${options.index || tableName} needs a value for ${keys.partitionKey.name}`)
+    }
+    let keyConditions = [eq(keys.partitionKey.name, keyValues[keys.partitionKey.name])]
+    let sortCondition = options.sortKey
+    if (keys.sortKey && keyValues[keys.sortKey.name] !== undefined) {
+      sortCondition = {eq: keyValues[keys.sortKey.name]}
+    }
+    if (sortCondition) {
+      if (!keys.sortKey) {
+        throw new TypeError(`${options.index || tableName} has no sort key`)
+      }
+      let operator = Object.keys(sortCondition)[0]
+      let name = keys.sortKey.name
+      if (operator === 'between') {
+        keyConditions.push(between(name, sortCondition.between[0], sortCondition.between[1]))
+      } else if (SORT_KEY_CONDITIONS.hasOwnProperty(operator)) {
+        keyConditions.push(SORT_KEY_CONDITIONS[operator](name, sortCondition[operator]))
+      } else {
+        throw new TypeError(`Invalid sort key condition ${JSON.stringify(sortCondition)}`)
+      }
+    }
+    return Object.assign({
+      TableName: tableName,
+      IndexName: options.index,
+      ScanIndexForward: options.reverse ? false : undefined,
+      ConsistentRead: options.consistentRead
+    }, expressionParams({KeyConditionExpression: and(keyConditions), FilterExpression: filterOf(options)}, options))
+  }
+  let scanParams = (options) => Object.assign({
+    TableName: tableName,
+    IndexName: options.index,
+    ConsistentRead: options.consistentRead
+  }, expressionParams({FilterExpression: filterOf(options)}, options))
+
+  let model = {
+    tableName: tableName,
+    partitionKey: partitionKey,
+    sortKey: sortKey,
+    indexes: indexes,
+    schema: schema,
+    /**
+     * Returns the key attributes of the passed item, throws a TypeError when one is missing
+     */
+    key: key,
+    /**
+     * Returns the TTL attribute value for a lifetime in seconds, or for a Date
+     */
+    expiresAt: expiresAt,
+    /**
+     * Returns true when the TTL of the item has passed, DynamoDB deletes such items up to a few days later
+     */
+    isExpired: (item) => {
+      let value = ttl && item ? Number(item[ttl.attribute]) : NaN
+      return isFinite(value) && value <= Math.floor(Date.now() / 1000)
+    },
+    /**
+     * Reads the item with the key of the passed object
+     * options: projection (Array), consistentRead, skipExpired (resolves to null for expired items)
+     * @returns {Promise} resolves to the item or null
+     */
+    get: (item, options = {}) => {
+      let params = Object.assign({
+        TableName: tableName,
+        Key: toCall(key(item)),
+        ConsistentRead: options.consistentRead
+      }, options.projection ? expressionParams({}, options) : {})
+      return callOperation(client, 'get', clean(params)).then((response) => {
+        let found = response.Item ? toPlain(response.Item) : null
+        return found && options.skipExpired && model.isExpired(found) ? null : found
+      })
+    },
+    /**
+     * Writes the item, after validating it against the schema and setting the timestamp and TTL attributes
+     * options: condition (built with the conditions functions), ifNotExists (fails when the item exists),
+     *          ttl (lifetime in seconds or a Date)
+     * @returns {Promise} resolves to the item as written
+     */
+    put: (item, options = {}) => {
+      let written = Object.assign({}, item)
+      managed.map((name) => delete written[name])
+      written = coerce(written)
+      if (timestamps) {
+        let time = now()
+        if (timestamps.createdAt) {
+          addObjectProperty(written, timestamps.createdAt, item[timestamps.createdAt] !== undefined ? item[timestamps.createdAt] : time)
+        }
+        if (timestamps.updatedAt) {
+          addObjectProperty(written, timestamps.updatedAt, time)
+        }
+      }
+      if (ttl) {
+        let lifetime = options.ttl !== undefined ? options.ttl : ttl.seconds
+        let expires = lifetime !== undefined ? expiresAt(lifetime) : item[ttl.attribute]
+        if (expires !== undefined) {
+          addObjectProperty(written, ttl.attribute, expires)
+        }
+      }
+      let conditions = [options.condition, options.ifNotExists ? attributeNotExists(partitionKey.name) : undefined]
+        .filter((c) => c)
+      let params = Object.assign({TableName: tableName, Item: toCall(written)},
+        conditions.length > 0 ? expressionParams({ConditionExpression: and(conditions)}, {}) : {})
+      return callOperation(client, 'put', params).then(() => written)
+    },
+    /**
+     * Updates the item with the key of the passed object. Changes are an object of top-level attributes to set
+     * (undefined values are removed), validated against the schema, or a createUpdateExpression builder, a copy of
+     * which gets the timestamp and TTL actions.
+     * options: condition, ifExists (fails when the item doesn't exist), ttl, returnValues (default "ALL_NEW")
+     * @returns {Promise} resolves to the returned attributes, the whole new item by default
+     */
+    update: (item, changes, options = {}) => {
+      let itemKey = key(item)
+      let update
+      if (changes && typeof changes.build === 'function') {
+        update = changes.copy()
+      } else {
+        let values = Object.assign({}, changes)
+        Object.keys(itemKey).concat(managed).map((name) => delete values[name])
+        let defined = {}
+        Object.keys(values).filter((k) => values[k] !== undefined).map((k) => addObjectProperty(defined, k, values[k]))
+        let coerced = coerce(Object.assign({}, defined, itemKey), true)
+        update = createUpdateExpression()
+        // top-level attribute names, also when they look like paths or list indexes
+        Object.keys(values).map((k) => values[k] === undefined
+          ? update.remove([attributeName(k)])
+          : update.set([attributeName(k)], coerced[k]))
+      }
+      if (timestamps) {
+        let time = now()
+        if (timestamps.createdAt) {
+          update.setIfNotExists([attributeName(timestamps.createdAt)], time)
+        }
+        if (timestamps.updatedAt) {
+          update.set([attributeName(timestamps.updatedAt)], time)
+        }
+      }
+      if (ttl && options.ttl !== undefined) {
+        update.set([attributeName(ttl.attribute)], expiresAt(options.ttl))
+      }
+      let conditions = [options.condition, options.ifExists ? attributeExists(partitionKey.name) : undefined]
+        .filter((c) => c)
+      let attributes = createExpressionAttributes({marshall: marshall, attributeOptions: definition.attributeOptions})
+      let params = Object.assign({
+        TableName: tableName,
+        Key: toCall(itemKey),
+        ReturnValues: options.returnValues || 'ALL_NEW'
+      }, update.build({attributes: attributes}))
+      if (conditions.length > 0) {
+        Object.assign(params, buildCondition(and(conditions), {attributes: attributes}))
+      }
+      Object.assign(params, attributes.toParams())
+      return callOperation(client, 'update', params).then((response) => toPlain(response.Attributes) || null)
+    },
+    /**
+     * Deletes the item with the key of the passed object
+     * options: condition, returnValues ("ALL_OLD" resolves to the deleted item)
+     * @returns {Promise} resolves to the deleted item or null
+     */
+    delete: (item, options = {}) => {
+      let params = Object.assign({
+        TableName: tableName,
+        Key: toCall(key(item)),
+        ReturnValues: options.returnValues
+      }, options.condition ? expressionParams({ConditionExpression: options.condition}, {}) : {})
+      return callOperation(client, 'delete', clean(params)).then((response) => toPlain(response.Attributes) || null)
+    },
+    /**
+     * Queries the table, or options.index, for the partition key value of keyValues. A sort key value in keyValues
+     * selects that one sort key, options.sortKey a range: {eq}, {lt}, {lte}, {gt}, {gte}, {between: [a, b]} or
+     * {beginsWith}.
+     * options: index, sortKey, filter (a condition), projection, reverse, consistentRead, skipExpired, and the
+     *          pagination options limit, pageSize and cursor
+     * @returns {Promise} resolves to {items, cursor}, where the cursor (null at the end) reads the next page
+     */
+    query: (keyValues, options = {}) => queryPage(client, queryParams(keyValues, options), options),
+    /**
+     * Same as query, as an async iterator over every matching item
+     */
+    queryItems: (keyValues, options = {}) => queryItems(client, queryParams(keyValues, options), options),
+    /**
+     * Scans the table, or options.index
+     * options: index, filter, projection, consistentRead, skipExpired, limit, pageSize, cursor, and totalSegments
+     *          and concurrency for a parallel scan
+     * @returns {Promise} resolves to {items, cursor}
+     */
+    scan: (options = {}) => scanPage(client, scanParams(options), options),
+    /**
+     * Same as scan, as an async iterator over every item
+     */
+    scanItems: (options = {}) => scanItems(client, scanParams(options), options)
+  }
+  return model
+}
+
+exports.createModel = createModel
@@ -0,0 +1,258 @@
+const {base64Decode, base64Encode, isObject} = require('./attributes')
+const {callOperation, isDocumentClient, marshallItem, unmarshallItem} = require('./client')
+const {decodeItem, encodeItem} = require('./dynamodb-json')
+
+/**
+ * Returns an opaque cursor token for the passed pagination state, safe to hand to API clients
+ * @param state Object
+ * @returns {String} base 64 encoded
+ */
+const encodeCursor = (state) => base64Encode(JSON.stringify(state))
+
+/**
+ * Reverses encodeCursor, throws a TypeError for tokens that aren't cursors
+ * @param cursor String
+ * @returns {Object}
+ */
+const decodeCursor = (cursor) => {
+  let state
+  try {
+    state = JSON.parse(base64Decode(cursor))
+  } catch (err) {
+    state = undefined
+  }
+  if (!isObject(state) || !(isObject(state.key) || isObject(state.segments))) {
+    throw new TypeError('Invalid pagination cursor')
+  }
+  return state
+}
+
+/**
+ * Converts a LastEvaluatedKey into DynamoDB JSON for a cursor, and back into an ExclusiveStartKey
+ */
+const keyToJson = (key, documentClient) => encodeItem(documentClient ? marshallItem(key) : key)
+const keyFromJson = (json, documentClient) => documentClient ? unmarshallItem(decodeItem(json)) : decodeItem(json)
+
+/**
+ * Returns a copy of the call parameters without the undefined ones
+ */
+const callParams = (params, extra) => {
+  let result = Object.assign({}, params, extra)
+  Object.keys(result).filter((k) => result[k] === undefined).map((k) => delete result[k])
+  return result
+}
+
+/**
+ * Follows LastEvaluatedKey through the pages of a query or scan and yields every page as
+ * {items, count, scannedCount, lastEvaluatedKey, cursor}, where the cursor (null after the last page) resumes the
+ * iteration right after the page.
+ * Example:
+ *     for await (let page of queryPages(client, params, {pageSize: 50, limit: 200})) {
+ *       console.log(page.items.length, page.cursor)
+ *     }
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param operation String "query" or "scan"
+ * @param params Object query or scan parameters
+ * @param options Object
+ *                  limit: Number stop after this many items, calls are limited so no page goes past it
+ *                  pageSize: Number the Limit of each call
+ *                  cursor: String resume from a cursor of a previous iteration
+ *                  unmarshall: Boolean unmarshall items read with the low-level client, defaults to true
+ *                  parseOptions: Object parseAttribute options used to unmarshall items
+ */
+const paginate = async function * (client, operation, params, options = {}) {
+  let documentClient = isDocumentClient(client)
+  let unmarshall = !documentClient && options.unmarshall !== false
+  let startKey = options.cursor ? keyFromJson(decodeCursor(options.cursor).key, documentClient) : params.ExclusiveStartKey
+  let remaining = typeof options.limit === 'number' ? options.limit : Infinity
+  while (remaining > 0) {
+    let callLimit = Math.min(options.pageSize || params.Limit || Infinity, remaining)
+    let response = await callOperation(client, operation, callParams(params, {
+      ExclusiveStartKey: startKey,
+      Limit: callLimit === Infinity ? undefined : callLimit
+    }))
+    let items = (response.Items || []).map((item) => unmarshall ? unmarshallItem(item, options.parseOptions) : item)
+    remaining -= items.length
+    startKey = response.LastEvaluatedKey
+    yield {
+      items: items,
+      count: response.Count,
+      scannedCount: response.ScannedCount,
+      lastEvaluatedKey: startKey,
+      cursor: startKey ? encodeCursor({key: keyToJson(startKey, documentClient)}) : null
+    }
+    if (!startKey) {
+      return
+    }
+  }
+}
+
+/**
+ * Scans the segments of a parallel scan, at most "concurrency" at once, and yields every page as
+ * {items, segment, count, scannedCount, cursor}, where the cursor (null after the last page) resumes the whole scan.
+ * A global limit is shared by the segments without ever going past it.
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param params Object scan parameters
+ * @param options Object
+ *                  totalSegments: Number
+ *                  concurrency: Number segments in flight at once, defaults to totalSegments
+ *                  limit, pageSize, cursor, unmarshall, parseOptions: see paginate
+ */
+const parallelScanPages = async function * (client, params, options = {}) {
+  let documentClient = isDocumentClient(client)
+  let unmarshall = !documentClient && options.unmarshall !== false
+  let totalSegments = options.totalSegments
+  let state = options.cursor ? decodeCursor(options.cursor) : {totalSegments: totalSegments, segments: {}}
+  if (state.totalSegments !== totalSegments || !state.segments) {
+    throw new TypeError(`The cursor doesn't belong to a parallel scan of ${totalSegments} segments`)
+  }
+  let concurrency = options.concurrency || totalSegments
+  let limit = typeof options.limit === 'number' ? options.limit : Infinity
+  let waiting = []
+  for (let segment = 0; segment < totalSegments; segment++) {
+    if (state.segments[segment] !== true) {
+      waiting.push(segment)
+    }
+  }
+  let inFlight = new Map()
+  let returned = 0
+  let reserved = 0
+  let launch = (segment) => {
+    let callLimit = Math.min(options.pageSize || params.Limit || Infinity, limit - returned - reserved)
+    if (callLimit <= 0) {
+      return false
+    }
+    reserved += callLimit === Infinity ? 0 : callLimit
+    let startKey = state.segments[segment]
+    inFlight.set(segment, callOperation(client, 'scan', callParams(params, {
+      Segment: segment,
+      TotalSegments: totalSegments,
+      ExclusiveStartKey: startKey ? keyFromJson(startKey, documentClient) : undefined,
+      Limit: callLimit === Infinity ? undefined : callLimit
+    })).then((response) => ({segment: segment, response: response, callLimit: callLimit})))
+    return true
+  }
+  while (true) {
+    while (inFlight.size < concurrency && waiting.length > 0 && launch(waiting[0])) {
+      waiting.shift()
+    }
+    if (inFlight.size === 0) {
+      return
+    }
+    let page = await Promise.race(inFlight.values())
+    let response = page.response
+    inFlight.delete(page.segment)
+    reserved -= page.callLimit === Infinity ? 0 : page.callLimit
+    let items = (response.Items || []).map((item) => unmarshall ? unmarshallItem(item, options.parseOptions) : item)
+    returned += items.length
+    if (response.LastEvaluatedKey) {
+      state.segments[page.segment] = keyToJson(response.LastEvaluatedKey, documentClient)
+      waiting.unshift(page.segment)
+    } else {
+      state.segments[page.segment] = true
+    }
+    let done = Object.keys(state.segments).length === totalSegments &&
+      Object.keys(state.segments).every((s) => state.segments[s] === true)
+    yield {
+      items: items,
+      segment: page.segment,
+      count: response.Count,
+      scannedCount: response.ScannedCount,
+      cursor: done ? null : encodeCursor(state)
+    }
+    if (returned >= limit) {
+      return
+    }
+  }
+}
+
+/**
+ * Yields the items of every page
+ */
+const itemsOf = async function * (pages) {
+  for await (let page of pages) {
+    yield * page.items
+  }
+}
+
+/**
+ * Yields the pages of a query, see paginate
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param params Object query parameters
+ * @param options Object see paginate
+ */
+const queryPages = (client, params, options = {}) => paginate(client, 'query', params, options)
+
+/**
+ * Yields the items of a query, see paginate
+ * Example:
+ *     for await (let item of queryItems(client, params, {limit: 500})) {
+ *       console.log(item)
+ *     }
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param params Object query parameters
+ * @param options Object see paginate
+ */
+const queryItems = (client, params, options = {}) => itemsOf(queryPages(client, params, options))
+
+/**
+ * Yields the pages of a scan, a parallel scan when the totalSegments option is set (see parallelScanPages)
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param params Object scan parameters
+ * @param options Object see paginate and parallelScanPages
+ */
+const scanPages = (client, params, options = {}) => {
+  return options.totalSegments ? parallelScanPages(client, params, options) : paginate(client, 'scan', params, options)
+}
+
+/**
+ * Yields the items of a scan, a parallel scan when the totalSegments option is set, merging the segments into a
+ * single stream
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param params Object scan parameters
+ * @param options Object see paginate and parallelScanPages
+ */
+const scanItems = (client, params, options = {}) => itemsOf(scanPages(client, params, options))
+
+/**
+ * Reads pages until "limit" items were read or the results end, and returns them with the cursor of the next
+ * page (null at the end), the pair an API hands to its clients
+ * @param pages async iterable of pages
+ * @returns {Promise} resolves to {items, cursor}
+ */
+const collectPage = async (pages) => {
+  let items = []
+  let cursor = null
+  for await (let page of pages) {
+    items = items.concat(page.items)
+    cursor = page.cursor
+  }
+  return {items: items, cursor: cursor}
+}
+
+/**
+ * Returns one page of query results for an API: {items, cursor}
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param params Object query parameters
+ * @param options Object see paginate, limit sets the page size
+ * @returns {Promise}
+ */
+const queryPage = (client, params, options = {}) => collectPage(queryPages(client, params, options))
+
+/**
+ * Returns one page of scan results for an API: {items, cursor}
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param params Object scan parameters
+ * @param options Object see paginate and parallelScanPages, limit sets the page size
+ * @returns {Promise}
+ */
+const scanPage = (client, params, options = {}) => collectPage(scanPages(client, params, options))
+
+exports.encodeCursor = encodeCursor
+exports.decodeCursor = decodeCursor
+exports.queryPages = queryPages
+exports.queryItems = queryItems
+exports.queryPage = queryPage
+exports.scanPages = scanPages
+exports.scanItems = scanItems
+exports.scanPage = scanPage
@@ -0,0 +1,148 @@
+const {addObjectProperty, isArray, isAttributeMap, isObject} = require('./attributes')
+const {createExpressionAttributes, parsePath, pathsOverlap} = require('./expression-attributes')
+const {parseProjectionExpression} = require('./expression-parser')
+
+/**
+ * Parses every path and throws a TypeError when two of them overlap, as DynamoDB rejects such projections
+ * @param paths Array paths in any form accepted by parsePath
+ * @param delimiter String
+ * @param resolved Boolean whether the paths are already arrays of segments, e.g. resolved from
+ *                 ExpressionAttributeNames, whose names must not be parsed again
+ * @returns {Array} arrays of segments
+ */
+const parseProjectionPaths = (paths, delimiter, resolved = false) => {
+  if (!isArray(paths) || paths.length === 0) {
+    throw new TypeError('A projection needs a non-empty array of paths')
+  }
+  let segments = resolved ? paths : paths.map((p) => parsePath(p, delimiter))
+  segments.map((a, i) => segments.slice(i + 1).map((b) => {
+    if (pathsOverlap(a, b)) {
+      throw new TypeError(`Invalid projection: paths ${JSON.stringify(a)} and ${JSON.stringify(b)} overlap, remove or rewrite one of them`)
+    }
+  }))
+  return segments
+}
+
+/**
+ * Returns the ProjectionExpression for the passed paths together with its ExpressionAttributeNames.
+ * Example:
+ *     buildProjection(['id', 'person.employees[5].firstName'])
+ *
+ *     returns:
+ *     {
+ *       ProjectionExpression: '#p0, #p1.#p2[5].#p3',
+ *       ExpressionAttributeNames: {'#p0': 'id', '#p1': 'person', '#p2': 'employees', '#p3': 'firstName'}
+ *     }
+ * Throws a TypeError for invalid or overlapping paths.
+ * @param paths Array paths in any form accepted by parsePath
+ * @param options Object
+ *                  attributes: Object an expression attributes registry shared with other expressions
+ *                  delimiter: String delimiting character for string paths, defaults to "."
+ * @returns {Object}
+ */
+const buildProjection = (paths, options = {}) => {
+  let segments = parseProjectionPaths(paths, options.delimiter)
+  let attributes = options.attributes || createExpressionAttributes({namePrefix: '#p', valuePrefix: ':p'})
+  let params = {ProjectionExpression: segments.map((s) => attributes.path(s)).join(', ')}
+  return Object.assign(params, options.attributes ? {} : attributes.toParams())
+}
+
+/**
+ * Access to maps and lists of regular objects
+ */
+const plainAdapter = {
+  isMap: (v) => isObject(v) && !isArray(v) && !(v instanceof Set || v instanceof Date || ArrayBuffer.isView(v) || v instanceof ArrayBuffer),
+  has: (v, k) => v instanceof Map ? v.has(k) : v.hasOwnProperty(k),
+  get: (v, k) => v instanceof Map ? v.get(k) : v[k],
+  toMap: (v, o) => v instanceof Map ? new Map(Object.entries(o)) : o,
+  isList: (v) => isArray(v),
+  list: (v) => v,
+  toList: (a) => a
+}
+
+/**
+ * Access to M and L attributes of AWS item objects
+ */
+const attributeAdapter = {
+  isMap: (v) => isObject(v) && v.hasOwnProperty('M'),
+  has: (v, k) => v.M.hasOwnProperty(k),
+  get: (v, k) => v.M[k],
+  toMap: (v, o) => ({M: o}),
+  isList: (v) => isObject(v) && v.hasOwnProperty('L'),
+  list: (v) => v.L,
+  toList: (a) => ({L: a})
+}
+
+/**
+ * Keeps the parts of the passed value the paths point to. List elements are kept in index order and the list is
+ * compacted, the same way DynamoDB returns projected list elements.
+ * @returns {*} the pruned value or undefined when none of the paths exist
+ */
+const prune = (value, paths, adapter) => {
+  if (paths.some((p) => p.length === 0)) {
+    return value
+  }
+  let firsts = (type) => paths.map((p) => p[0]).filter((s, i, a) => typeof s === type && a.indexOf(s) === i)
+  let rest = (segment) => paths.filter((p) => p[0] === segment).map((p) => p.slice(1))
+  if (adapter.isMap(value)) {
+    let result = {}
+    firsts('string').filter((k) => adapter.has(value, k)).map((k) => {
+      let child = prune(adapter.get(value, k), rest(k), adapter)
+      if (child !== undefined) {
+        addObjectProperty(result, k, child)
+      }
+    })
+    return Object.keys(result).length > 0 ? adapter.toMap(value, result) : undefined
+  }
+  if (adapter.isList(value)) {
+    let list = adapter.list(value)
+    let result = firsts('number')
+      .filter((i) => i < list.length)
+      .sort((a, b) => a - b)
+      .map((i) => prune(list[i], rest(i), adapter))
+      .filter((e) => e !== undefined)
+    return result.length > 0 ? adapter.toList(result) : undefined
+  }
+  return undefined
+}
+
+/**
+ * Returns a copy of the passed item that only holds the attributes at the given paths, the same way DynamoDB
+ * applies a ProjectionExpression. Paths that don't exist in the item are left out.
+ * Example:
+ *     applyProjection({id: 'abc', person: {name: 'Rick', employees: ['a', 'b', 'c']}}, ['id', 'person.employees[2]'])
+ *
+ *     returns: {id: 'abc', person: {employees: ['c']}}
+ * Throws a TypeError for invalid or overlapping paths.
+ * @param item Object a regular property-based object or an AWS item object
+ * @param projection Array|String paths in any form accepted by parsePath, or a ProjectionExpression
+ * @param options Object
+ *                  ExpressionAttributeNames: Object resolves the placeholders of a ProjectionExpression
+ *                  marshalled: Boolean whether the item is an AWS item object, detected when not set
+ *                  delimiter: String delimiting character for string paths, defaults to "."
+ * @returns {Object}
+ */
+const applyProjection = (item, projection, options = {}) => {
+  let paths = projection
+  if (typeof projection === 'string') {
+    let names = options.ExpressionAttributeNames || {}
+    paths = parseProjectionExpression(projection).map((p) => p.segments.map((s) => {
+      if (typeof s === 'string' && s.startsWith('#')) {
+        if (!names.hasOwnProperty(s)) {
+          throw new ReferenceError(`ExpressionAttributeNames has no name for ${s}`)
+        }
+        return names[s]
+      }
+      return s
+    }))
+  }
+  let segments = parseProjectionPaths(paths, options.delimiter, typeof projection === 'string')
+  let marshalled = typeof options.marshalled === 'boolean' ? options.marshalled : isAttributeMap(item)
+  let result = marshalled
+    ? prune({M: item}, segments, attributeAdapter)
+    : prune(item, segments, plainAdapter)
+  return result === undefined ? {} : marshalled ? result.M : result
+}
+
+exports.buildProjection = buildProjection
+exports.applyProjection = applyProjection
@@ -0,0 +1,64 @@
+const errors = require('./errors')
+
+/**
+ * Constructs and returns a custom error object with an additional "type" property. DynamoDB errors get the name of
+ * their classifyError class as their type, e.g. "ConditionalCheckFailedError", together with their code and whether
+ * the call can be retried.
+ * @param error Error
+ * @returns {{name: string, type: string, message: string}}
+ */
+const createError = (error) => {
+  let errorName = error.hasOwnProperty('name') ? error.name : ''
+  let errorMessage = error.hasOwnProperty('message') ? error.message : ''
+  let errorType = 'Generic Error'
+
+  let classified = errors.classifyError(error)
+  if (classified instanceof errors.DynamoDBError) {
+    return {name: errorName, type: classified.name, message: errorMessage, code: classified.code, retryable: classified.retryable}
+  }
+  if (error instanceof EvalError) {
+    errorType = 'EvalError'
+  } else if (error instanceof RangeError) {
+    errorType = 'RangeError'
+  } else if (error instanceof ReferenceError) {
+    errorType = 'ReferenceError'
+  } else if (error instanceof SyntaxError) {
+    errorType = 'SyntaxError'
+  } else if (error instanceof TypeError) {
+    errorType = 'TypeError'
+  } else if (error instanceof URIError) {
+    errorType = 'URIError'
+  }
+
+  return {name: errorName, type: errorType, message: errorMessage}
+}
+
+/**
+ * Creates a response object good for AWS Lambda return values from a proxy API gateway
+ * @param code Number
+ * @param body Anything that can be put into JSON.stringify()
+ * @returns {{statusCode: *, body}}
+ */
+const createResponse = (code, body) => {
+  return {
+    statusCode: code,
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  }
+}
+
+/**
+ * Constructs and returns a function using the provided callback.
+ * @param apiCallback Function common callback from a Lambda function, using the provided function as the Lambda callback
+ */
+const apiCallHandler = (apiCallback) => (err, data) => {
+  if (err) {
+    console.error(err)
+    apiCallback(null, createResponse(501, err))
+  } else {
+    apiCallback(null, createResponse(200, data))
+  }
+}
+
+exports.createError = createError
+exports.createResponse = createResponse
+exports.apiCallHandler = apiCallHandler
@@ -0,0 +1,422 @@
+const {addObjectProperty, createAttribute, isArray, isAttribute, isAttributeMap, isObject, parseAttribute} = require('./attributes')
+const {isPlainObject} = require('./update-expression')
+
+const TYPE_ALIASES = {
+  string: 'S',
+  number: 'N',
+  binary: 'B',
+  boolean: 'BOOL',
+  null: 'NULL',
+  map: 'M',
+  list: 'L',
+  stringSet: 'SS',
+  numberSet: 'NS',
+  binarySet: 'BS',
+  any: 'any'
+}
+const TYPES = ['S', 'N', 'B', 'BOOL', 'NULL', 'M', 'L', 'SS', 'NS', 'BS', 'any']
+const KEY_TYPES = ['S', 'N', 'B']
+const SET_ELEMENT_TYPES = {SS: 'S', NS: 'N', BS: 'B'}
+const NUMERIC_STRING = /^\s*-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i
+
+/**
+ * The error assert and marshall throw for items that don't match the schema
+ */
+class SchemaValidationError extends Error {
+  /**
+   * @param errors Array of {path, message} objects
+   */
+  constructor (errors) {
+    super(`Item does not match the schema: ${errors.map((e) => e.path ? `${e.path} ${e.message}` : e.message).join(', ')}`)
+    this.name = 'SchemaValidationError'
+    this.code = 'SchemaValidation'
+    this.errors = errors
+  }
+}
+
+/**
+ * Checks an attribute definition and returns it with its type resolved to a DynamoDB type code
+ * @param definition String|Object a type, or an object with a type and constraints
+ * @param path String used in error messages
+ * @returns {Object}
+ */
+const normalizeDefinition = (definition, path) => {
+  let d = typeof definition === 'string' ? {type: definition} : Object.assign({}, definition)
+  let type = TYPE_ALIASES.hasOwnProperty(d.type) ? TYPE_ALIASES[d.type] : d.type || 'any'
+  if (!TYPES.includes(type)) {
+    throw new TypeError(`Unknown attribute type "${d.type}" at "${path}"`)
+  }
+  d.type = type
+  if (d.enum !== undefined && !isArray(d.enum)) {
+    throw new TypeError(`The enum of "${path}" must be an array`)
+  }
+  if (d.attributes) {
+    if (type !== 'M') {
+      throw new TypeError(`Only map attributes have nested attributes, "${path}" is ${type}`)
+    }
+    d.attributes = normalizeDefinitions(d.attributes, path)
+  }
+  if (d.items) {
+    if (type !== 'L') {
+      throw new TypeError(`Only list attributes have an items definition, "${path}" is ${type}`)
+    }
+    d.items = normalizeDefinition(d.items, `${path}.items`)
+  }
+  return d
+}
+
+/**
+ * Normalizes every definition of an attributes object
+ * @param attributes Object
+ * @param path String
+ * @returns {Object}
+ */
+const normalizeDefinitions = (attributes, path) => {
+  let definitions = {}
+  Object.keys(attributes).map((name) => {
+    addObjectProperty(definitions, name, normalizeDefinition(attributes[name], path ? `${path}.${name}` : name))
+  })
+  return definitions
+}
+
+/**
+ * Returns the DynamoDB type code of an attribute object
+ * @param attribute Object
+ * @returns String
+ */
+const typeOf = (attribute) => Object.keys(attribute)[0]
+
+/**
+ * Constructs and returns a schema that validates items and marshalls them with the declared attribute types.
+ * Definitions are a type or an object with:
+ *     type: String "S", "N", "B", "BOOL", "NULL", "M", "L", "SS", "NS", "BS" or "any" (the default), the aliases
+ *           "string", "number", "binary", "boolean", "null", "map", "list", "stringSet", "numberSet" and "binarySet"
+ *           can be used as well
+ *     required: Boolean
+ *     default: the value used when the attribute is missing, or a function returning it
+ *     enum: Array the allowed values
+ *     min, max: Number bounds of a number, of the length of a string or binary value, or of the number of elements
+ *               of a list, set or map
+ *     attributes: Object the definitions of the attributes of a map
+ *     items: the definition of the elements of a list
+ *     validate: Function (value, item) called with the plain value and item, returns false or an error message
+ *               when the value is invalid
+ * Values are converted to the declared type where DynamoDB would store the same thing: numeric strings and dates
+ * (in epoch seconds, or milliseconds with the
+ * "epochMillis" dates option) become N attributes, arrays become sets, base 64 encoded strings become B attributes.
+ * Example:
+ *     const planets = createSchema({
+ *       id: 'S',
+ *       diameter: {type: 'N', min: 0},
+ *       kind: {type: 'S', enum: ['terrestrial', 'giant'], default: 'terrestrial'},
+ *       moons: {type: 'L', items: {type: 'M', attributes: {name: {type: 'S', required: true}}}},
+ *       tags: 'SS'
+ *     }, {keys: ['id']})
+ *     planets.validate({id: 'mars', diameter: '6779', moons: [{}]})
+ *     // {valid: false, errors: [{path: 'moons.0.name', message: 'is required'}]}
+ * @param attributes Object attribute definitions by attribute name
+ * @param options Object
+ *                  keys: Array the key attribute names, they are required and must be S, N or B attributes
+ *                  unknownAttributes: String what to do with attributes that aren't defined, "error" (default),
+ *                                     "allow" or "remove", maps without nested definitions accept any attribute
+ *                  delimiter: String joins the property names of error paths, defaults to "."
+ *                  attributeOptions: Object createAttribute options used for attributes of type "any"
+ * @returns {{definitions: Object, keys: Array, validate: Function, assert: Function, marshall: Function}}
+ */
+const createSchema = (attributes, options = {}) => {
+  if (!isObject(attributes) || isArray(attributes)) {
+    throw new TypeError('createSchema needs an object of attribute definitions')
+  }
+  let definitions = normalizeDefinitions(attributes, '')
+  let keys = options.keys || []
+  let unknownAttributes = options.unknownAttributes || 'error'
+  let delimiter = options.delimiter || '.'
+  let attributeOptions = Object.assign({removeUndefined: true}, options.attributeOptions)
+  keys.map((k) => {
+    if (!definitions.hasOwnProperty(k) || !KEY_TYPES.includes(definitions[k].type)) {
+      throw new TypeError(`Key attribute "${k}" must be defined as S, N or B`)
+    }
+    definitions[k].required = true
+    definitions[k].key = true
+  })
+
+  /**
+   * Walks the item along the definitions, collecting errors, and returns the marshalled item
+   */
+  let check = (item, checkOptions = {}) => {
+    let errors = []
+    let marshalled = checkOptions.marshalled !== undefined ? checkOptions.marshalled : isAttributeMap(item)
+    let plainItem = marshalled && isObject(item) ? parseAttribute({M: item}) : item
+    let fail = (path, message) => {
+      errors.push({path: path.join(delimiter), message: message})
+      return undefined
+    }
+
+    let toNumber = (value, path) => {
+      if ((typeof value === 'number' || value instanceof Number) && isFinite(value)) {
+        return value.toString()
+      }
+      if (typeof value === 'bigint') {
+        return value.toString()
+      }
+      if (typeof value === 'string' && NUMERIC_STRING.test(value)) {
+        return value.trim()
+      }
+      if (value instanceof Date && isFinite(value.getTime())) {
+        return (attributeOptions.dates === 'epochMillis' ? value.getTime() : Math.floor(value.getTime() / 1000)).toString()
+      }
+      return fail(path, 'must be a number')
+    }
+    let toString = (value, path) => {
+      if (typeof value === 'string' || value instanceof String) {
+        return attributeOptions.trimStrings ? value.trim() : value.valueOf()
+      }
+      if (value instanceof Date && isFinite(value.getTime())) {
+        return value.toISOString()
+      }
+      return fail(path, 'must be a string')
+    }
+    let toBinary = (value, path) => {
+      if (typeof value === 'string') {
+        return Buffer.from(value, 'base64')
+      }
+      let attribute = createAttribute(value)
+      return attribute.B !== undefined ? attribute.B : fail(path, 'must be binary')
+    }
+    let converters = {S: toString, N: toNumber, B: toBinary}
+
+    // converts a plain value into an attribute of the declared type
+    let convert = (value, definition, path) => {
+      let type = definition.type
+      switch (type) {
+        case 'any':
+          try {
+            return createAttribute(value, attributeOptions)
+          } catch (err) {
+            return fail(path, err.message)
+          }
+        case 'S':
+        case 'N':
+        case 'B':
+          let converted = converters[type](value, path)
+          return converted === undefined ? undefined : addObjectProperty({}, type, converted)
+        case 'BOOL':
+          return typeof value === 'boolean' || value instanceof Boolean
+            ? {BOOL: value.valueOf()}
+            : fail(path, 'must be a boolean')
+        case 'NULL':
+          return value === null ? {NULL: true} : fail(path, 'must be null')
+        case 'M':
+          if (value instanceof Map) {
+            value = Object.fromEntries(Array.from(value.entries()).map((e) => [e[0].toString(), e[1]]))
+          }
+          if (!isPlainObject(value)) {
+            return fail(path, 'must be a map')
+          }
+          return {M: checkMap(value, definition.attributes, path, false)}
+        case 'L':
+          if (!isArray(value)) {
+            return fail(path, 'must be a list')
+          }
+          return {L: value.map((e, i) => checkValue(e, definition.items || {type: 'any'}, path.concat(i.toString()), false))
+            .filter((e) => e !== undefined)}
+        case 'SS':
+        case 'NS':
+        case 'BS':
+          if (!isArray(value) && !(value instanceof Set)) {
+            return fail(path, 'must be a set')
+          }
+          let errorCount = errors.length
+          let elements = Array.from(value).map((e) => converters[SET_ELEMENT_TYPES[type]](e, path))
+          if (errors.length > errorCount) {
+            return undefined
+          }
+          if (elements.length === 0) {
+            return fail(path, 'must not be an empty set')
+          }
+          let unique = type === 'BS'
+            ? elements.filter((e, i) => elements.findIndex((o) => o.equals(e)) === i)
+            : elements.filter((e, i) => elements.indexOf(e) === i)
+          return addObjectProperty({}, type, unique)
+      }
+    }
+
+    // checks an attribute of a marshalled item against the declared type
+    let checkMarshalledType = (attribute, definition, path) => {
+      if (!isAttribute(attribute)) {
+        return fail(path, 'must be an attribute object')
+      }
+      let type = typeOf(attribute)
+      if (definition.type === 'any') {
+        return attribute
+      }
+      if (type !== definition.type) {
+        return fail(path, `must be of type ${definition.type}, found ${type}`)
+      }
+      if (type === 'M') {
+        return {M: checkMap(attribute.M, definition.attributes, path, true)}
+      }
+      if (type === 'L' && definition.items) {
+        return {L: attribute.L.map((e, i) => checkValue(e, definition.items, path.concat(i.toString()), true))
+          .filter((e) => e !== undefined)}
+      }
+      if (SET_ELEMENT_TYPES[type] && attribute[type].length === 0) {
+        return fail(path, 'must not be an empty set')
+      }
+      return attribute
+    }
+
+    let checkConstraints = (attribute, definition, path) => {
+      let type = typeOf(attribute)
+      let value = parseAttribute(attribute)
+      if (definition.key && type === 'S' && value.length === 0) {
+        return fail(path, 'must not be empty')
+      }
+      if (definition.enum && !definition.enum.some((e) => type === 'N' ? Number(e) === value : e === value)) {
+        return fail(path, `must be one of ${definition.enum.map((e) => JSON.stringify(e)).join(', ')}`)
+      }
+      let measure
+      let unit = ''
+      switch (type) {
+        case 'N':
+          measure = value
+          break
+        case 'S':
+          measure = value.length
+          unit = ' characters long'
+          break
+        case 'B':
+          measure = value.length
+          unit = ' bytes long'
+          break
+        case 'M':
+          measure = Object.keys(value).length
+          unit = ' attributes'
+          break
+        case 'L':
+        case 'SS':
+        case 'NS':
+        case 'BS':
+          measure = value.length
+          unit = ' elements'
+          break
+      }
+      if (measure !== undefined && definition.min !== undefined && measure < definition.min) {
+        return fail(path, unit === ' attributes' || unit === ' elements'
+          ? `must have at least ${definition.min}${unit}`
+          : `must be at least ${definition.min}${unit}`)
+      }
+      if (measure !== undefined && definition.max !== undefined && measure > definition.max) {
+        return fail(path, unit === ' attributes' || unit === ' elements'
+          ? `must have at most ${definition.max}${unit}`
+          : `must be at most ${definition.max}${unit}`)
+      }
+      if (typeof definition.validate === 'function') {
+        let result = definition.validate(value, plainItem)
+        if (result === false || typeof result === 'string') {
+          return fail(path, typeof result === 'string' ? result : 'is invalid')
+        }
+      }
+      return attribute
+    }
+
+    let checkValue = (value, definition, path, isMarshalled) => {
+      let errorCount = errors.length
+      let attribute = isMarshalled ? checkMarshalledType(value, definition, path) : convert(value, definition, path)
+      if (attribute === undefined || errors.length > errorCount) {
+        return attribute
+      }
+      return checkConstraints(attribute, definition, path)
+    }
+
+    // null is missing, unless it's the value of a NULL attribute
+    let isMissing = (value, definition, isMarshalled) => value === undefined || (definition.type !== 'NULL' &&
+      (isMarshalled ? isObject(value) && value.NULL === true : value === null))
+
+    let checkMap = (map, mapDefinitions, path, isMarshalled) => {
+      let result = {}
+      let add = (name, attribute) => {
+        if (attribute !== undefined) {
+          addObjectProperty(result, name, attribute)
+        }
+      }
+      if (!mapDefinitions) {
+        Object.keys(map).map((name) => add(name, checkValue(map[name], {type: 'any'}, path.concat(name), isMarshalled)))
+        return result
+      }
+      Object.keys(mapDefinitions).map((name) => {
+        let definition = mapDefinitions[name]
+        let value = map[name]
+        let attributePath = path.concat(name)
+        if (value === undefined && definition.default !== undefined && !checkOptions.partial) {
+          // defaults are declared as plain values, also for marshalled items
+          let defaultValue = typeof definition.default === 'function' ? definition.default() : definition.default
+          add(name, checkValue(defaultValue, definition, attributePath, false))
+          return
+        }
+        if (isMissing(value, definition, isMarshalled)) {
+          if (definition.required && (!checkOptions.partial || definition.key)) {
+            fail(attributePath, 'is required')
+          } else if (value !== undefined) {
+            addObjectProperty(result, name, {NULL: true})
+          }
+          return
+        }
+        add(name, checkValue(value, definition, attributePath, isMarshalled))
+      })
+      Object.keys(map).filter((name) => !mapDefinitions.hasOwnProperty(name) && map[name] !== undefined).map((name) => {
+        if (unknownAttributes === 'error') {
+          fail(path.concat(name), 'is not defined in the schema')
+        } else if (unknownAttributes === 'allow') {
+          add(name, checkValue(map[name], {type: 'any'}, path.concat(name), isMarshalled))
+        }
+      })
+      return result
+    }
+
+    if (!isObject(item) || isArray(item)) {
+      fail([], 'must be an object')
+      return {errors: errors}
+    }
+    let result = checkMap(item, definitions, [], marshalled)
+    return {errors: errors, item: result}
+  }
+
+  return {
+    definitions: definitions,
+    keys: keys,
+    /**
+     * Validates a plain or marshalled item (options.marshalled, detected when not passed)
+     * options.partial skips the required check of non-key attributes and leaves defaults out, for updates
+     * @returns {{valid: boolean, errors: Array}}
+     */
+    validate: (item, checkOptions) => {
+      let errors = check(item, checkOptions).errors
+      return {valid: errors.length === 0, errors: errors}
+    },
+    /**
+     * Same as validate, but throws a SchemaValidationError listing the errors
+     * @returns {undefined}
+     */
+    assert: (item, checkOptions) => {
+      let errors = check(item, checkOptions).errors
+      if (errors.length > 0) {
+        throw new SchemaValidationError(errors)
+      }
+    },
+    /**
+     * Validates the item and returns it as an attribute map with the declared types and defaults
+     * @returns {Object}
+     */
+    marshall: (item, checkOptions) => {
+      let result = check(item, checkOptions)
+      if (result.errors.length > 0) {
+        throw new SchemaValidationError(result.errors)
+      }
+      return result.item
+    }
+  }
+}
+
+exports.SchemaValidationError = SchemaValidationError
+exports.createSchema = createSchema
@@ -0,0 +1,199 @@
+const {createKeyTemplate, isObject, parseAttribute} = require('./attributes')
+const {unmarshallItem} = require('./client')
+const {attributeAt, attributePaths} = require('./dynamodb-json')
+const {attributesEqual} = require('./expression-evaluator')
+
+/**
+ * Compares the old and new image of a stream record attribute by attribute, down to the leaves of nested maps and
+ * lists, and returns the differences as {path, segments, change: "added" | "removed" | "changed", oldValue, newValue}
+ * with unmarshalled values. Sets are compared as a whole, regardless of their order.
+ * Example:
+ *     diffImages({id: {S: 'a'}, stats: {M: {moons: {N: '1'}}}}, {id: {S: 'a'}, stats: {M: {moons: {N: '2'}}}, ring: {BOOL: true}})
+ *
+ *     returns:
+ *     [
+ *       {path: 'stats.moons', segments: ['stats', 'moons'], change: 'changed', oldValue: 1, newValue: 2},
+ *       {path: 'ring', segments: ['ring'], change: 'added', oldValue: undefined, newValue: true}
+ *     ]
+ * @param oldImage Object an AWS item object, or undefined
+ * @param newImage Object an AWS item object, or undefined
+ * @param options Object
+ *                  delimiter: String joins the path segments, defaults to "."
+ *                  parseOptions: Object parseAttribute options used for the values
+ * @returns {Array}
+ */
+const diffImages = (oldImage, newImage, options = {}) => {
+  let delimiter = options.delimiter || '.'
+  let plainPaths = (image) => image ? attributePaths(image) : []
+  let seen = new Set()
+  let paths = plainPaths(oldImage).concat(plainPaths(newImage)).filter((p) => {
+    let key = JSON.stringify(p)
+    return seen.has(key) ? false : seen.add(key)
+  })
+  let value = (attribute) => attribute === undefined ? undefined : parseAttribute(attribute, options.parseOptions)
+  let changes = []
+  paths.map((segments) => {
+    let oldAttribute = attributeAt(oldImage, segments)
+    let newAttribute = attributeAt(newImage, segments)
+    if (oldAttribute !== undefined && newAttribute !== undefined && attributesEqual(oldAttribute, newAttribute)) {
+      return
+    }
+    changes.push({
+      path: segments.join(delimiter),
+      segments: segments,
+      change: oldAttribute === undefined ? 'added' : newAttribute === undefined ? 'removed' : 'changed',
+      oldValue: value(oldAttribute),
+      newValue: value(newAttribute)
+    })
+  })
+  return changes
+}
+
+/**
+ * Returns a boolean value that is true if the stream record is the removal of an item whose TTL expired
+ * @param record Object
+ * @returns {boolean}
+ */
+const isTtlExpiry = (record) => {
+  return record.eventName === 'REMOVE' && !!record.userIdentity &&
+    record.userIdentity.type === 'Service' && record.userIdentity.principalId === 'dynamodb.amazonaws.com'
+}
+
+/**
+ * Decodes a DynamoDB Streams record (as Lambda receives it) into a change:
+ *     {
+ *       eventId, eventName: "INSERT" | "MODIFY" | "REMOVE", type: "insert" | "modify" | "remove" | "expire",
+ *       tableName, sequenceNumber, createdAt (Date), keys, newImage, oldImage, changes, record
+ *     }
+ * where keys and images are unmarshalled (images are undefined when the stream view type leaves them out), "expire"
+ * is a REMOVE done by TTL, and changes is the diffImages result of a MODIFY with both images.
+ * @param record Object
+ * @param options Object
+ *                  parseOptions: Object parseAttribute options used to unmarshall
+ *                  diff: Boolean computes the changes, defaults to true
+ *                  delimiter: String joins the paths of the changes, defaults to "."
+ * @returns {Object}
+ */
+const decodeStreamRecord = (record, options = {}) => {
+  if (!isObject(record) || !isObject(record.dynamodb)) {
+    throw new TypeError('A DynamoDB Streams record has a "dynamodb" object')
+  }
+  let data = record.dynamodb
+  let unmarshall = (image) => image ? unmarshallItem(image, options.parseOptions) : undefined
+  let arn = /:table\/([^/]+)/.exec(record.eventSourceARN || '')
+  let expired = isTtlExpiry(record)
+  let change = {
+    eventId: record.eventID,
+    eventName: record.eventName,
+    type: expired ? 'expire' : (record.eventName || '').toLowerCase(),
+    tableName: arn ? arn[1] : undefined,
+    sequenceNumber: data.SequenceNumber,
+    createdAt: data.ApproximateCreationDateTime ? new Date(data.ApproximateCreationDateTime * 1000) : undefined,
+    keys: unmarshall(data.Keys),
+    newImage: unmarshall(data.NewImage),
+    oldImage: unmarshall(data.OldImage),
+    changes: undefined,
+    record: record
+  }
+  if (record.eventName === 'MODIFY' && data.OldImage && data.NewImage && options.diff !== false) {
+    change.changes = diffImages(data.OldImage, data.NewImage, options)
+  }
+  return change
+}
+
+/**
+ * Constructs and returns a router for the records of a DynamoDB Streams Lambda event. Every record is decoded
+ * (see decodeStreamRecord) and passed to the handler registered for its entity type, found from
+ *     - the type attribute of the new (or old) image, "entityType" by default
+ *     - a key attribute matched against key templates (see createKeyTemplate) or plain key prefixes
+ * A handler is a function called for every change, or an object of functions by change type: insert, modify,
+ * remove and expire (TTL removals, passed to remove when there's no expire function). Changes of no registered
+ * type go to the "*" handler when there is one, and are skipped otherwise.
+ * Records are handled one at a time in stream order. The first one that fails stops the batch and is reported
+ * in batchItemFailures, so with ReportBatchItemFailures enabled Lambda retries from that record on and the records
+ * before it aren't handled twice.
+ * Example:
+ *     const router = createStreamRouter({keyAttribute: 'PK', templates: {user: 'USER#{id}', order: 'ORDER#{id}'}})
+ *     router.on('user', {insert: sendWelcome, expire: archiveUser})
+ *     router.on('order', (change) => console.log(change.type, change.changes))
+ *     exports.handler = router.handle
+ * @param options Object
+ *                  attribute: String the type attribute, defaults to "entityType"
+ *                  keyAttribute: String the key attribute matched against the templates and prefixes
+ *                  templates: Object key templates (or template strings) by entity type
+ *                  prefixes: Object key prefixes by entity type
+ *                  onError: Function called with (err, change) when a handler fails
+ *                  any decodeStreamRecord option
+ * @returns {{on: Function, typeOf: Function, handle: Function}}
+ */
+const createStreamRouter = (options = {}) => {
+  let attribute = options.attribute || 'entityType'
+  let handlers = {}
+  let templates = Object.keys(options.templates || {}).map((type) => {
+    let template = options.templates[type]
+    return {type: type, template: typeof template === 'string' ? createKeyTemplate(template) : template}
+  })
+  let prefixes = Object.keys(options.prefixes || {}).map((type) => ({type: type, prefix: options.prefixes[type]}))
+  let router = {
+    /**
+     * Registers the handler of an entity type, "*" for changes of no registered type, returns the router
+     */
+    on: (type, handler) => {
+      if (typeof handler !== 'function' && !isObject(handler)) {
+        throw new TypeError(`The handler of ${type} must be a function or an object of functions by change type`)
+      }
+      handlers[type] = handler
+      return router
+    },
+    /**
+     * Returns the entity type of a decoded change, or undefined
+     */
+    typeOf: (change) => {
+      let image = change.newImage || change.oldImage || change.keys || {}
+      if (typeof image[attribute] === 'string') {
+        return image[attribute]
+      }
+      let key = options.keyAttribute ? (image[options.keyAttribute] || (change.keys || {})[options.keyAttribute]) : undefined
+      if (typeof key !== 'string') {
+        return undefined
+      }
+      let match = templates.find((t) => t.template.matches(key)) || prefixes.find((p) => key.startsWith(p.prefix))
+      return match ? match.type : undefined
+    },
+    /**
+     * Handles the records of a Lambda event, resolves to {batchItemFailures: [{itemIdentifier}]}
+     */
+    handle: async (event, context) => {
+      let records = (event && event.Records) || []
+      for (let i = 0; i < records.length; i++) {
+        let change
+        try {
+          change = decodeStreamRecord(records[i], options)
+          let type = router.typeOf(change)
+          let handler = handlers.hasOwnProperty(type) ? handlers[type] : handlers['*']
+          if (isObject(handler)) {
+            handler = handler[change.type] || (change.type === 'expire' ? handler.remove : undefined)
+          }
+          if (typeof handler === 'function') {
+            await handler(change, context)
+          }
+        } catch (err) {
+          if (typeof options.onError === 'function') {
+            options.onError(err, change)
+          } else {
+            console.error(err)
+          }
+          let data = records[i].dynamodb || {}
+          return {batchItemFailures: [{itemIdentifier: data.SequenceNumber || records[i].eventID}]}
+        }
+      }
+      return {batchItemFailures: []}
+    }
+  }
+  return router
+}
+
+exports.diffImages = diffImages
+exports.isTtlExpiry = isTtlExpiry
+exports.decodeStreamRecord = decodeStreamRecord
+exports.createStreamRouter = createStreamRouter
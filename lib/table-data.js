@@ -0,0 +1,538 @@
+const fs = require('fs')
+const zlib = require('zlib')
+const {StringDecoder} = require('string_decoder')
+const {addObjectProperty, isArray, isAttributeMap, isObject, parseAttribute} = require('./attributes')
+const {batchWrite} = require('./batch-write')
+const {isDocumentClient, marshallItem, toPlainSets, unmarshallItem} = require('./client')
+const {attributeAt, decodeItem, encodeItem} = require('./dynamodb-json')
+const {ItemSizeExceededError, ValidationError} = require('./errors')
+const {scanPages} = require('./pagination')
+
+/**
+ * The formats exportTable writes and importTable reads:
+ *     dynamodb-json  one {"Item": {...}} object per line, the format of the DynamoDB S3 export. Lossless: binary
+ *                    values are base 64 encoded and sets keep their type.
+ *     ndjson         one plain JSON object per line. Sets become arrays and binary values base 64 strings, so they
+ *                    are imported back as lists and strings.
+ *     csv            a header row of nested attribute paths ("stats.moons", "tags[0]"), then one row per item.
+ *                    Types are inferred on import, see importTable.
+ */
+const TABLE_DATA_FORMATS = ['dynamodb-json', 'ndjson', 'csv']
+
+/**
+ * Returns the format of an export or import: the "format" option, "csv" for .csv (or .csv.gz) files, or "dynamodb-json"
+ * @param target String or stream
+ * @param options Object
+ * @returns {String}
+ */
+const formatOf = (target, options) => {
+  let format = options.format ||
+    (typeof target === 'string' && /\.csv(\.gz)?$/i.test(target) ? 'csv' : 'dynamodb-json')
+  if (!TABLE_DATA_FORMATS.includes(format)) {
+    throw new TypeError(`Unknown format ${format}, use ${TABLE_DATA_FORMATS.join(', ')}`)
+  }
+  return format
+}
+
+/**
+ * Converts an attribute into a value JSON can hold: sets become arrays and binary values base 64 strings
+ * @param attribute Object
+ * @param parseOptions Object parseAttribute options used for numbers
+ * @returns {*}
+ */
+const toJsonValue = (attribute, parseOptions = {}) => {
+  let attributeKeyCode = Object.keys(attribute)[0]
+  let value = attribute[attributeKeyCode]
+  switch (attributeKeyCode) {
+    case 'B':
+      return parseAttribute(attribute).toString('base64')
+    case 'BS':
+      return parseAttribute(attribute).map((b) => b.toString('base64'))
+    case 'M':
+      let mapValue = {}
+      Object.keys(value).map((k) => addObjectProperty(mapValue, k, toJsonValue(value[k], parseOptions)))
+      return mapValue
+    case 'L':
+      return value.map((e) => toJsonValue(e, parseOptions))
+  }
+  return parseAttribute(attribute, {numbers: parseOptions.numbers})
+}
+
+/**
+ * Returns the text of a CSV cell: strings and numbers as they are, binary values base 64 encoded, sets, empty maps and
+ * empty lists as JSON, and nothing for NULL and missing attributes
+ * @param attribute Object or undefined
+ * @returns {String}
+ */
+const toCsvCell = (attribute) => {
+  if (attribute === undefined || attribute.NULL) {
+    return ''
+  }
+  let text = attribute.S !== undefined ? attribute.S
+    : attribute.N !== undefined ? attribute.N
+      : attribute.BOOL !== undefined ? String(attribute.BOOL)
+        : attribute.B !== undefined ? toJsonValue(attribute)
+          : JSON.stringify(toJsonValue(attribute))
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Splits a CSV record into its fields, returns null when the text ends inside a quoted field (the record goes on
+ * on the next line)
+ * @param text String
+ * @returns {Array} or null
+ */
+const parseCsvRecord = (text) => {
+  let fields = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    let c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        field += c
+      }
+    } else if (c === '"') {
+      quoted = true
+    } else if (c === ',') {
+      fields.push(field)
+      field = ''
+    } else {
+      field += c
+    }
+  }
+  if (quoted) {
+    return null
+  }
+  fields.push(field)
+  return fields
+}
+
+/**
+ * Infers the value of a CSV cell: numbers, true, false, null, and JSON arrays and objects are parsed, anything else
+ * stays a string
+ * @param text String
+ * @returns {*}
+ */
+const inferCsvValue = (text) => {
+  if (/^-?(0|[1-9]\d{0,14})(\.\d+)?([eE][+-]?\d+)?$/.test(text) || ['true', 'false', 'null'].includes(text) ||
+    /^\[[\s\S]*\]$|^\{[\s\S]*\}$/.test(text)) {
+    try {
+      return JSON.parse(text)
+    } catch (err) {
+      return text
+    }
+  }
+  return text
+}
+
+/**
+ * Returns the CSV column paths of an attribute, the paths of its leaves down through nested maps and lists, with
+ * map keys as strings and list indexes as numbers. Empty maps and lists are leaves.
+ * @param attribute Object
+ * @param path Array
+ * @returns {Array}
+ */
+const columnPaths = (attribute, path = []) => {
+  if (attribute.M && Object.keys(attribute.M).length > 0) {
+    return [].concat(...Object.keys(attribute.M).map((k) => columnPaths(attribute.M[k], path.concat(k))))
+  }
+  if (attribute.L && attribute.L.length > 0) {
+    return [].concat(...attribute.L.map((e, i) => columnPaths(e, path.concat(i))))
+  }
+  return [path]
+}
+
+/**
+ * Returns the CSV header of a column path: map keys joined by the delimiter and list indexes in brackets,
+ * e.g. "stats.moons", "tags[0]" or "scores.2024"
+ * @param path Array
+ * @param delimiter String
+ * @returns {String}
+ */
+const formatColumn = (path, delimiter) => path
+  .map((s, i) => typeof s === 'number' ? `[${s}]` : `${i > 0 ? delimiter : ''}${s}`)
+  .join('')
+
+/**
+ * Parses a CSV header (see formatColumn) into a column path, where only bracketed segments are list indexes
+ * @param column String
+ * @param delimiter String
+ * @returns {Array}
+ */
+const parseColumn = (column, delimiter) => {
+  let path = []
+  column.split(delimiter).map((part) => {
+    let match = /^([\s\S]*?)((?:\[\d+\])*)$/.exec(part)
+    if (match[1] !== '' || match[2] === '') {
+      path.push(match[1])
+    }
+    (match[2].match(/\d+/g) || []).map((i) => path.push(Number.parseInt(i)))
+  })
+  return path
+}
+
+/**
+ * Sets the value at the path of a regular object, creating arrays for list index (number) segments and objects
+ * otherwise
+ * @param o Object
+ * @param path Array
+ * @param value {*}
+ * @returns {Object}
+ */
+const setValueAtPath = (o, path, value) => {
+  let parent = o
+  path.slice(0, -1).map((segment, i) => {
+    if (!isObject(parent[segment]) && !isArray(parent[segment])) {
+      parent[segment] = typeof path[i + 1] === 'number' ? [] : {}
+    }
+    parent = parent[segment]
+  })
+  parent[path[path.length - 1]] = value
+  return o
+}
+
+/**
+ * Replaces the Set objects of an unmarshalled item with the client's own set type when it has one (AWS SDK v2)
+ * @param value {*}
+ * @param client AWS.DynamoDB.DocumentClient
+ * @returns {*}
+ */
+const toClientSets = (value, client) => {
+  if (value instanceof Set) {
+    return typeof client.createSet === 'function' ? client.createSet(Array.from(value)) : value
+  }
+  if (isArray(value)) {
+    return value.map((e) => toClientSets(e, client))
+  }
+  if (isObject(value) && !Buffer.isBuffer(value) && Object.getPrototypeOf(value) === Object.prototype) {
+    let o = {}
+    Object.keys(value).map((k) => addObjectProperty(o, k, toClientSets(value[k], client)))
+    return o
+  }
+  return value
+}
+
+/**
+ * Opens a file (gzipped when its name ends with .gz) or takes a writable stream, and returns a writer that buffers
+ * text and waits for the stream to drain. Streams that are passed in are left open.
+ * @param destination String or stream.Writable
+ * @returns {{write: Function, close: Function}}
+ */
+const openOutput = (destination) => {
+  let file = typeof destination === 'string'
+  let stream = file ? fs.createWriteStream(destination) : destination
+  if (!stream || typeof stream.write !== 'function') {
+    throw new TypeError('Export to a file path or a writable stream')
+  }
+  let output = stream
+  if (file && /\.gz$/i.test(destination)) {
+    output = zlib.createGzip()
+    output.pipe(stream)
+  }
+  let failure
+  let onError = (err) => { failure = failure || err }
+  output.on('error', onError)
+  stream.on('error', onError)
+  let buffered = ''
+  let flush = () => {
+    let text = buffered
+    buffered = ''
+    if (failure) {
+      return Promise.reject(failure)
+    }
+    if (text.length === 0 || output.write(text)) {
+      return Promise.resolve()
+    }
+    return new Promise((resolve, reject) => {
+      let done = (err) => {
+        output.removeListener('drain', done)
+        output.removeListener('error', done)
+        return err ? reject(err) : resolve()
+      }
+      output.once('drain', done)
+      output.once('error', done)
+    })
+  }
+  return {
+    write: (text) => {
+      buffered += text
+      return buffered.length >= 65536 ? flush() : Promise.resolve()
+    },
+    close: () => flush().then(() => new Promise((resolve, reject) => {
+      if (!file) {
+        output.removeListener('error', onError)
+        stream.removeListener('error', onError)
+        return resolve()
+      }
+      stream.once('error', reject)
+      stream.once('finish', resolve)
+      output.end()
+    }))
+  }
+}
+
+/**
+ * Yields the lines of a file (gunzipped when its name ends with .gz), a readable stream or any async iterable of
+ * strings or Buffers as {line, text}, where line counts from 1
+ * @param source String or stream.Readable
+ */
+const readLines = async function * (source) {
+  let input = typeof source === 'string' ? fs.createReadStream(source) : source
+  if (!input || typeof input[Symbol.asyncIterator] !== 'function') {
+    throw new TypeError('Import from a file path, a readable stream or an async iterable')
+  }
+  if (typeof source === 'string' && /\.gz$/i.test(source)) {
+    let gunzip = zlib.createGunzip()
+    input.on('error', (err) => gunzip.destroy(err))
+    input = input.pipe(gunzip)
+  }
+  let decoder = new StringDecoder('utf8')
+  let rest = ''
+  let line = 0
+  for await (let chunk of input) {
+    let lines = (rest + (typeof chunk === 'string' ? chunk : decoder.write(chunk))).split('\n')
+    rest = lines.pop()
+    for (let text of lines) {
+      line++
+      yield {line: line, text: (line === 1 ? text.replace(/^\uFEFF/, '') : text).replace(/\r$/, '')}
+    }
+  }
+  rest += decoder.end()
+  if (rest.length > 0) {
+    line++
+    yield {line: line, text: (line === 1 ? rest.replace(/^\uFEFF/, '') : rest).replace(/\r$/, '')}
+  }
+}
+
+/**
+ * Yields the records of a CSV source as {line, lastLine, fields}, where line is the line the record starts on and
+ * lastLine the one it ends on. Quoted fields can span lines.
+ * @param source String or stream.Readable
+ */
+const readCsvRecords = async function * (source) {
+  let pending
+  for await (let l of readLines(source)) {
+    let record = pending ? {line: pending.line, text: `${pending.text}\n${l.text}`} : l
+    let fields = parseCsvRecord(record.text)
+    pending = fields ? undefined : record
+    if (fields && record.text.length > 0) {
+      yield {line: record.line, lastLine: l.line, fields: fields}
+    }
+  }
+  if (pending) {
+    yield {line: pending.line, lastLine: pending.line, error: new SyntaxError('Unterminated quoted field')}
+  }
+}
+
+/**
+ * Scans a table and writes its items to a file or a writable stream, one page at a time, in one of the formats of
+ * TABLE_DATA_FORMATS. Files whose name ends with .gz are gzipped.
+ * CSV columns are the leaf paths of the items, with map keys joined by the delimiter and list indexes in brackets
+ * ("stats.moons", "tags[0]"). Unless the "columns" option lists them, the table is scanned twice: once to collect
+ * the columns, and once to write the rows.
+ * Example:
+ *     exportTable(client, 'planets', 'planets.json.gz').then((result) => console.log(`${result.items} items`))
+ *     exportTable(client, 'planets', process.stdout, {format: 'csv', columns: ['id', 'stats.moons', 'tags[0]']})
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param tableName String
+ * @param destination String a file path, or a writable stream
+ * @param options Object
+ *                  format: String "dynamodb-json", "ndjson" or "csv", defaults to "csv" for .csv files and
+ *                          "dynamodb-json" otherwise
+ *                  params: Object more scan parameters, e.g. a FilterExpression or an IndexName
+ *                  pageSize, limit, totalSegments, concurrency: see scanPages
+ *                  columns: Array CSV column paths, as headers or arrays of property names and list indexes
+ *                  delimiter: String joins the segments of CSV column paths, defaults to "."
+ *                  parseOptions: Object parseAttribute options used for the numbers of NDJSON items
+ *                  onProgress: Function called after every page with {items}
+ * @returns {Promise} resolves to {format, items, columns}
+ */
+const exportTable = async (client, tableName, destination, options = {}) => {
+  let format = formatOf(destination, options)
+  let delimiter = options.delimiter || '.'
+  let documentClient = isDocumentClient(client)
+  let pages = () => scanPages(client, Object.assign({}, options.params, {TableName: tableName}), {
+    pageSize: options.pageSize,
+    limit: options.limit,
+    totalSegments: options.totalSegments,
+    concurrency: options.concurrency,
+    unmarshall: false
+  })
+  let toAttributeMap = (item) => documentClient ? marshallItem(toPlainSets(item), {emptyStrings: 'keep'}) : item
+  let columns
+  if (format === 'csv') {
+    if (options.columns) {
+      columns = options.columns.map((c) => isArray(c) ? c : parseColumn(c, delimiter))
+    } else {
+      let seen = new Set()
+      columns = []
+      for await (let page of pages()) {
+        page.items.map((item) => columnPaths({M: toAttributeMap(item)}).map((path) => {
+          let column = formatColumn(path, delimiter)
+          if (!seen.has(column)) {
+            seen.add(column)
+            columns.push(path)
+          }
+        }))
+      }
+    }
+  }
+  let formatItem = (item) => {
+    switch (format) {
+      case 'dynamodb-json':
+        return JSON.stringify({Item: encodeItem(item)})
+      case 'ndjson':
+        return JSON.stringify(toJsonValue({M: item}, options.parseOptions))
+      default:
+        return columns.map((path) => toCsvCell(attributeAt(item, path.map(String)))).join(',')
+    }
+  }
+  let output = openOutput(destination)
+  let result = {format: format, items: 0, columns: columns ? columns.map((path) => formatColumn(path, delimiter)) : undefined}
+  try {
+    if (format === 'csv') {
+      await output.write(result.columns.map((c) => toCsvCell({S: c})).join(',') + '\n')
+    }
+    for await (let page of pages()) {
+      for (let item of page.items) {
+        await output.write(formatItem(toAttributeMap(item)) + '\n')
+      }
+      result.items += page.items.length
+      if (typeof options.onProgress === 'function') {
+        options.onProgress({items: result.items})
+      }
+    }
+  } finally {
+    await output.close()
+  }
+  return result
+}
+
+/**
+ * Reads items from a file or a readable stream, in one of the formats of TABLE_DATA_FORMATS, and writes them to a table
+ * with batchWrite, "batchSize" items at a time so the source is never held in memory. Files whose name ends with .gz
+ * are gunzipped. Lines that can't be read, and items that can't be written, are reported in "failed" with their
+ * line number, and the import goes on.
+ * CSV cells are typed by inference unless the "inferTypes" option is false: numbers, true, false, null and JSON
+ * arrays and objects are parsed, empty cells are left out, and list indexes in the headers ("tags[0]") create lists,
+ * while other segments, made of digits or not, create maps. Use DynamoDB JSON for an exact copy.
+ * Example:
+ *     importTable(client, 'planets', 'planets.json.gz').then((result) => {
+ *       result.failed.map((f) => console.error(`line ${f.line}: ${f.error.message}`))
+ *     })
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param tableName String
+ * @param source String a file path, or a readable stream (any async iterable of strings or Buffers)
+ * @param options Object
+ *                  format: String "dynamodb-json", "ndjson" or "csv", defaults to "csv" for .csv files and
+ *                          "dynamodb-json" otherwise
+ *                  batchSize: Number items passed to each batchWrite call, defaults to 500
+ *                  delimiter: String splits CSV column paths, defaults to "."
+ *                  inferTypes: Boolean infers the types of CSV cells, defaults to true
+ *                  attributeOptions: Object createAttribute options used for NDJSON and CSV items
+ *                  onProgress: Function called after every batch with {lines, imported, failed}
+ *                  any batchWrite option
+ * @returns {Promise} resolves to {format, lines, imported, failed: [{line, error}], batches, retries}
+ */
+const importTable = async (client, tableName, source, options = {}) => {
+  let format = formatOf(source, options)
+  let delimiter = options.delimiter || '.'
+  let documentClient = isDocumentClient(client)
+  let result = {format: format, lines: 0, imported: 0, failed: [], batches: 0, retries: 0}
+  let pending = []
+  let columns
+  let toItem = (record) => {
+    let item
+    switch (format) {
+      case 'dynamodb-json':
+        let parsed = JSON.parse(record.text)
+        if (!isObject(parsed) || !isObject(parsed.Item)) {
+          throw new TypeError('DynamoDB JSON lines take the form {"Item": {...}}')
+        }
+        item = decodeItem(parsed.Item)
+        break
+      case 'ndjson':
+        let o = JSON.parse(record.text)
+        if (!isObject(o) || isArray(o)) {
+          throw new TypeError('NDJSON lines must be objects')
+        }
+        item = marshallItem(o, options.attributeOptions)
+        break
+      default:
+        let plain = {}
+        columns.map((path, i) => {
+          let text = record.fields[i]
+          if (text !== undefined && text !== '') {
+            setValueAtPath(plain, path, options.inferTypes === false ? text : inferCsvValue(text))
+          }
+        })
+        item = marshallItem(plain, options.attributeOptions)
+    }
+    if (!isAttributeMap(item)) {
+      throw new TypeError('The item has no attributes')
+    }
+    return documentClient ? toClientSets(unmarshallItem(item, {sets: 'set'}), client) : item
+  }
+  let write = async (entries) => {
+    let lines = new Map(entries.map((e) => [e.item, e.line]))
+    let response = await batchWrite(client, addObjectProperty({}, tableName, entries.map((e) => ({put: e.item}))), options)
+    result.imported += response.processed
+    result.batches += response.batches
+    result.retries += response.retries
+    return response.failed.map((f) => ({line: lines.get(f.request.PutRequest.Item), item: f.request.PutRequest.Item, error: f.error}))
+  }
+  let flush = async () => {
+    let failed = await write(pending)
+    pending = []
+    // DynamoDB rejects a whole batch for one invalid item, the items of rejected batches are written one at a time
+    // so that only the invalid ones are reported
+    let rejected = failed.filter((f) => f.error instanceof ValidationError && !(f.error instanceof ItemSizeExceededError))
+    if (rejected.length > 1) {
+      failed = failed.filter((f) => !rejected.includes(f))
+      for (let f of rejected) {
+        failed.push(...await write([f]))
+      }
+    }
+    failed.map((f) => result.failed.push({line: f.line, error: f.error}))
+    if (typeof options.onProgress === 'function') {
+      options.onProgress({lines: result.lines, imported: result.imported, failed: result.failed.length})
+    }
+  }
+  let records = format === 'csv' ? readCsvRecords(source) : readLines(source)
+  for await (let record of records) {
+    result.lines = record.lastLine || record.line
+    if (format !== 'csv' && record.text.trim().length === 0) {
+      continue
+    }
+    try {
+      if (record.error) {
+        throw record.error
+      }
+      if (format === 'csv' && !columns) {
+        columns = record.fields.map((c) => parseColumn(c, delimiter))
+        continue
+      }
+      pending.push({line: record.line, item: toItem(record)})
+    } catch (err) {
+      result.failed.push({line: record.line, error: err})
+      continue
+    }
+    if (pending.length >= (options.batchSize || 500)) {
+      await flush()
+    }
+  }
+  if (pending.length > 0) {
+    await flush()
+  }
+  return result
+}
+
+exports.TABLE_DATA_FORMATS = TABLE_DATA_FORMATS
+exports.exportTable = exportTable
+exports.importTable = importTable
@@ -0,0 +1,381 @@
+const {addObjectProperty} = require('./attributes')
+const {callClient} = require('./client')
+const {sleep} = require('./backoff')
+
+const DEFAULT_INTERVAL = 1000
+const DEFAULT_TIMEOUT = 10 * 60 * 1000
+
+/**
+ * Returns a key attribute as {name, type} from its name or {name, type} definition, type defaults to "S"
+ * @param key String|Object
+ * @returns {Object} or undefined
+ */
+const keyAttribute = (key) => {
+  if (!key) {
+    return undefined
+  }
+  return typeof key === 'string' ? {name: key, type: 'S'} : {name: key.name, type: key.type || 'S'}
+}
+
+/**
+ * Returns the KeySchema of a partition key and an optional sort key
+ */
+const keySchema = (partitionKey, sortKey) => {
+  return [{AttributeName: partitionKey.name, KeyType: 'HASH'}]
+    .concat(sortKey ? [{AttributeName: sortKey.name, KeyType: 'RANGE'}] : [])
+}
+
+/**
+ * Returns the Projection of an index projection: "ALL", "KEYS_ONLY" or an array of non-key attribute names
+ */
+const projection = (p) => {
+  if (Array.isArray(p)) {
+    return {ProjectionType: 'INCLUDE', NonKeyAttributes: p.slice()}
+  }
+  return {ProjectionType: p || 'ALL'}
+}
+
+/**
+ * Returns the ProvisionedThroughput of a {read, write} throughput
+ */
+const provisionedThroughput = (throughput = {}) => ({
+  ReadCapacityUnits: throughput.read || 5,
+  WriteCapacityUnits: throughput.write || 5
+})
+
+/**
+ * Converts a declarative table definition into CreateTable parameters.
+ * The definition takes the same keys and indexes as createModel (a model works as well), plus:
+ *     billingMode: String "PAY_PER_REQUEST" (default) or "PROVISIONED"
+ *     throughput: Object {read, write} capacity units of a provisioned table, and of its global indexes unless
+ *                 an index has its own throughput
+ *     stream: String the StreamViewType of the table stream, e.g. "NEW_AND_OLD_IMAGES"
+ * Example:
+ *     createTableParams({
+ *       tableName: 'planets',
+ *       partitionKey: 'system',
+ *       sortKey: {name: 'diameter', type: 'N'},
+ *       indexes: {byType: {partitionKey: 'type', projection: ['name']}}
+ *     })
+ * @param definition Object
+ * @returns {Object}
+ */
+const createTableParams = (definition) => {
+  if (!definition || !definition.tableName || !definition.partitionKey) {
+    throw new TypeError('A table definition needs a tableName and a partitionKey')
+  }
+  let partitionKey = keyAttribute(definition.partitionKey)
+  let sortKey = keyAttribute(definition.sortKey)
+  let provisioned = definition.billingMode === 'PROVISIONED'
+  let attributes = new Map()
+  let addAttribute = (a) => {
+    if (a) {
+      if (attributes.has(a.name) && attributes.get(a.name) !== a.type) {
+        throw new TypeError(`Attribute ${a.name} is declared as both ${attributes.get(a.name)} and ${a.type}`)
+      }
+      attributes.set(a.name, a.type)
+    }
+  }
+  addAttribute(partitionKey)
+  addAttribute(sortKey)
+  let globalIndexes = []
+  let localIndexes = []
+  Object.keys(definition.indexes || {}).map((name) => {
+    let index = definition.indexes[name]
+    let indexSortKey = keyAttribute(index.sortKey)
+    addAttribute(indexSortKey)
+    if (index.local) {
+      localIndexes.push({
+        IndexName: name,
+        KeySchema: keySchema(partitionKey, indexSortKey),
+        Projection: projection(index.projection)
+      })
+      return
+    }
+    let indexPartitionKey = keyAttribute(index.partitionKey)
+    addAttribute(indexPartitionKey)
+    globalIndexes.push(Object.assign({
+      IndexName: name,
+      KeySchema: keySchema(indexPartitionKey, indexSortKey),
+      Projection: projection(index.projection)
+    }, provisioned ? {ProvisionedThroughput: provisionedThroughput(index.throughput || definition.throughput)} : {}))
+  })
+  let params = {
+    TableName: definition.tableName,
+    AttributeDefinitions: Array.from(attributes.entries()).map((e) => ({AttributeName: e[0], AttributeType: e[1]})),
+    KeySchema: keySchema(partitionKey, sortKey),
+    BillingMode: provisioned ? 'PROVISIONED' : 'PAY_PER_REQUEST'
+  }
+  if (provisioned) {
+    params.ProvisionedThroughput = provisionedThroughput(definition.throughput)
+  }
+  if (globalIndexes.length > 0) {
+    params.GlobalSecondaryIndexes = globalIndexes
+  }
+  if (localIndexes.length > 0) {
+    params.LocalSecondaryIndexes = localIndexes
+  }
+  if (definition.stream) {
+    params.StreamSpecification = {StreamEnabled: true, StreamViewType: definition.stream}
+  }
+  return params
+}
+
+/**
+ * Resolves to the table description, or null when the table doesn't exist
+ * @param db AWS.DynamoDB
+ * @param tableName String
+ * @returns {Promise}
+ */
+const describeTable = (db, tableName) => {
+  return callClient(db, 'describeTable', {TableName: tableName})
+    .then((response) => response.Table)
+    .catch((err) => {
+      if ((err.code || err.name) === 'ResourceNotFoundException') {
+        return null
+      }
+      throw err
+    })
+}
+
+/**
+ * Describes the table every "interval" milliseconds until isDone returns true for the description (null once the
+ * table is gone), and rejects with a TableWaitTimeout error after "timeout" milliseconds
+ * @param db AWS.DynamoDB
+ * @param tableName String
+ * @param isDone Function
+ * @param waitingFor String used in the timeout message
+ * @param options Object {interval, timeout}
+ * @returns {Promise} resolves to the last description
+ */
+const pollTable = async (db, tableName, isDone, waitingFor, options = {}) => {
+  let interval = typeof options.interval === 'number' ? options.interval : DEFAULT_INTERVAL
+  let timeout = typeof options.timeout === 'number' ? options.timeout : DEFAULT_TIMEOUT
+  let deadline = Date.now() + timeout
+  while (true) {
+    let table = await describeTable(db, tableName)
+    if (isDone(table)) {
+      return table
+    }
+    if (Date.now() + interval > deadline) {
+      let err = new Error(`Timed out after ${timeout} ms waiting for table ${tableName} to be ${waitingFor}`)
+      err.code = 'TableWaitTimeout'
+      err.tableName = tableName
+      throw err
+    }
+    await sleep(interval)
+  }
+}
+
+/**
+ * Returns true when the table and all of its global indexes are ACTIVE and no index is backfilling
+ */
+const isActive = (table) => {
+  return table !== null && table.TableStatus === 'ACTIVE' &&
+    (table.GlobalSecondaryIndexes || []).every((index) => index.IndexStatus === 'ACTIVE' && !index.Backfilling)
+}
+
+/**
+ * Waits until the table and all of its global indexes are ACTIVE, including indexes that are still backfilling.
+ * Rejects when the table doesn't exist (unless options.allowMissing is set, for tables that were just created),
+ * on API errors and on timeout.
+ * @param db AWS.DynamoDB
+ * @param tableName String
+ * @param options Object
+ *                  interval: Number milliseconds between polls, defaults to 1000
+ *                  timeout: Number milliseconds, defaults to 10 minutes
+ * @returns {Promise} resolves to the table description
+ */
+const waitForTableActive = (db, tableName, options = {}) => {
+  return pollTable(db, tableName, (table) => {
+    if (table === null && !options.allowMissing) {
+      let err = new Error(`Table ${tableName} does not exist`)
+      err.code = 'ResourceNotFoundException'
+      throw err
+    }
+    return isActive(table)
+  }, 'active', options)
+}
+
+/**
+ * Waits until the table doesn't exist anymore
+ * @param db AWS.DynamoDB
+ * @param tableName String
+ * @param options Object see waitForTableActive
+ * @returns {Promise}
+ */
+const waitForTableDeleted = (db, tableName, options = {}) => {
+  return pollTable(db, tableName, (table) => table === null, 'deleted', options).then(() => undefined)
+}
+
+/**
+ * Creates the table of a declarative definition (see createTableParams) unless it exists, and waits until it's
+ * active. Enables TTL when the definition has a "ttl" attribute, like createModel definitions. An existing table is
+ * left as it is, even when it differs from the definition, migrateTable applies such changes.
+ * @param db AWS.DynamoDB
+ * @param definition Object
+ * @param options Object see waitForTableActive
+ * @returns {Promise} resolves to {created: Boolean, table: Object}
+ */
+const createTable = (db, definition, options = {}) => {
+  let params = createTableParams(definition)
+  let ttl = typeof definition.ttl === 'string' ? definition.ttl : definition.ttl && definition.ttl.attribute
+  return describeTable(db, params.TableName)
+    .then((existing) => {
+      if (existing) {
+        return false
+      }
+      return callClient(db, 'createTable', params).then(() => true).catch((err) => {
+        // another process created the table in the meantime
+        if ((err.code || err.name) === 'ResourceInUseException') {
+          return false
+        }
+        throw err
+      })
+    })
+    .then((created) => waitForTableActive(db, params.TableName, Object.assign({}, options, {allowMissing: true}))
+      .then((table) => ttl ? enableTtl(db, params.TableName, ttl).then(() => table) : table)
+      .then((table) => ({created: created, table: table})))
+}
+
+/**
+ * Calls UpdateTable with the passed parameters and waits until the table and its indexes are active again
+ * @param db AWS.DynamoDB
+ * @param params Object UpdateTable parameters
+ * @param options Object see waitForTableActive
+ * @returns {Promise} resolves to the table description
+ */
+const updateTable = (db, params, options = {}) => {
+  return callClient(db, 'updateTable', params).then(() => waitForTableActive(db, params.TableName, options))
+}
+
+/**
+ * Deletes the table and waits until it's gone, tables that don't exist are ignored
+ * @param db AWS.DynamoDB
+ * @param tableName String
+ * @param options Object see waitForTableActive
+ * @returns {Promise} resolves to {deleted: Boolean}
+ */
+const deleteTable = (db, tableName, options = {}) => {
+  return callClient(db, 'deleteTable', {TableName: tableName})
+    .then(() => true)
+    .catch((err) => {
+      if ((err.code || err.name) === 'ResourceNotFoundException') {
+        return false
+      }
+      throw err
+    })
+    .then((deleted) => waitForTableDeleted(db, tableName, options).then(() => ({deleted: deleted})))
+}
+
+/**
+ * Adds a global secondary index to the table and waits until it's active and done backfilling. Indexes that
+ * already exist are left as they are.
+ * @param db AWS.DynamoDB
+ * @param tableName String
+ * @param indexName String
+ * @param index Object {partitionKey, sortKey, projection, throughput}, see createTableParams
+ * @param options Object see waitForTableActive
+ * @returns {Promise} resolves to the table description
+ */
+const createIndex = (db, tableName, indexName, index, options = {}) => {
+  return waitForTableActive(db, tableName, options).then((table) => {
+    if ((table.GlobalSecondaryIndexes || []).some((i) => i.IndexName === indexName)) {
+      return table
+    }
+    // on-demand tables report a provisioned throughput of 0
+    let provisioned = !!table.ProvisionedThroughput && table.ProvisionedThroughput.ReadCapacityUnits > 0
+    let params = createTableParams({
+      tableName: tableName,
+      partitionKey: index.partitionKey,
+      indexes: addObjectProperty({}, indexName, index),
+      billingMode: provisioned ? 'PROVISIONED' : 'PAY_PER_REQUEST',
+      throughput: index.throughput
+    })
+    return updateTable(db, {
+      TableName: tableName,
+      AttributeDefinitions: params.AttributeDefinitions,
+      GlobalSecondaryIndexUpdates: [{Create: params.GlobalSecondaryIndexes[0]}]
+    }, options)
+  })
+}
+
+/**
+ * Removes a global secondary index from the table and waits until it's gone
+ * @param db AWS.DynamoDB
+ * @param tableName String
+ * @param indexName String
+ * @param options Object see waitForTableActive
+ * @returns {Promise} resolves to the table description
+ */
+const deleteIndex = (db, tableName, indexName, options = {}) => {
+  return waitForTableActive(db, tableName, options).then((table) => {
+    if (!(table.GlobalSecondaryIndexes || []).some((i) => i.IndexName === indexName)) {
+      return table
+    }
+    return callClient(db, 'updateTable', {
+      TableName: tableName,
+      GlobalSecondaryIndexUpdates: [{Delete: {IndexName: indexName}}]
+    }).then(() => pollTable(db, tableName, (t) => {
+      return isActive(t) && !(t.GlobalSecondaryIndexes || []).some((i) => i.IndexName === indexName)
+    }, `without index ${indexName}`, options))
+  })
+}
+
+/**
+ * Enables TTL on the attribute, does nothing when it's already enabled on it
+ * @param db AWS.DynamoDB
+ * @param tableName String
+ * @param attributeName String
+ * @returns {Promise} resolves to the TimeToLiveDescription
+ */
+const enableTtl = (db, tableName, attributeName) => {
+  return callClient(db, 'describeTimeToLive', {TableName: tableName}).then((response) => {
+    let description = response.TimeToLiveDescription || {}
+    if (['ENABLED', 'ENABLING'].includes(description.TimeToLiveStatus) && description.AttributeName === attributeName) {
+      return description
+    }
+    return callClient(db, 'updateTimeToLive', {
+      TableName: tableName,
+      TimeToLiveSpecification: {Enabled: true, AttributeName: attributeName}
+    }).then((updated) => updated.TimeToLiveSpecification)
+  })
+}
+
+/**
+ * Enables the table stream with the passed view type and waits until the table is active, does nothing when the
+ * stream is already enabled with that view type. Rejects when it's enabled with another one, DynamoDB needs the
+ * stream to be disabled first.
+ * @param db AWS.DynamoDB
+ * @param tableName String
+ * @param viewType String defaults to "NEW_AND_OLD_IMAGES"
+ * @param options Object see waitForTableActive
+ * @returns {Promise} resolves to the table description, with the stream ARN as LatestStreamArn
+ */
+const enableStream = (db, tableName, viewType = 'NEW_AND_OLD_IMAGES', options = {}) => {
+  return waitForTableActive(db, tableName, options).then((table) => {
+    let stream = table.StreamSpecification || {}
+    if (stream.StreamEnabled) {
+      if (stream.StreamViewType === viewType) {
+        return table
+      }
+      throw new TypeError(`The stream of ${tableName} is enabled with ${stream.StreamViewType}, disable it before switching to ${viewType}`)
+    }
+    return updateTable(db, {
+      TableName: tableName,
+      StreamSpecification: {StreamEnabled: true, StreamViewType: viewType}
+    }, options)
+  })
+}
+
+exports.createTableParams = createTableParams
+exports.describeTable = describeTable
+exports.waitForTableActive = waitForTableActive
+exports.waitForTableDeleted = waitForTableDeleted
+exports.createTable = createTable
+exports.updateTable = updateTable
+exports.deleteTable = deleteTable
+exports.createIndex = createIndex
+exports.deleteIndex = deleteIndex
+exports.enableTtl = enableTtl
+exports.enableStream = enableStream
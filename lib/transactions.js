@@ -0,0 +1,250 @@
+const crypto = require('crypto')
+const {calculateItemSize, isObject} = require('./attributes')
+const {callOperation, isDocumentClient, marshallItem, unmarshallItem} = require('./client')
+const {buildCondition, isCondition, mergeExpressionParams} = require('./condition-expression')
+const {createExpressionAttributes} = require('./expression-attributes')
+const {getCancellationReasons} = require('./errors')
+const {buildProjection} = require('./projection-expression')
+
+const TRANSACTION_LIMIT = 100
+const TRANSACTION_SIZE_LIMIT = 4 * 1024 * 1024
+
+/**
+ * Returns the placeholder prefix that starts with the passed one and isn't the start of any placeholder in use,
+ * so the placeholders of a registry never collide with those of built parameters
+ * @param prefix String
+ * @param used Array placeholders of built parameters
+ * @returns {String}
+ */
+const unusedPrefix = (prefix, used) => {
+  let candidate = prefix
+  while (used.some((p) => p.startsWith(candidate))) {
+    candidate += 'a'
+  }
+  return candidate
+}
+
+/**
+ * Adds the expressions of an update (a createUpdateExpression builder or built parameters) and a condition
+ * (a condition built with the conditions functions or built parameters) to the passed operation parameters.
+ * Builders get placeholders that don't collide with those of built parameters, and a TypeError is thrown when
+ * built parameters use the same placeholder for different names or values (see mergeExpressionParams).
+ * @param params Object
+ * @param update Object
+ * @param condition Object
+ * @param marshall Boolean
+ * @returns {Object}
+ */
+const addExpressions = (params, update, condition, marshall) => {
+  let built = [update, condition].filter((p) => p && typeof p.build !== 'function' && !isCondition(p))
+  let used = (key) => [].concat(...built.map((p) => Object.keys(p[key] || {})))
+  let attributes = createExpressionAttributes({
+    namePrefix: unusedPrefix('#n', used('ExpressionAttributeNames')),
+    valuePrefix: unusedPrefix(':v', used('ExpressionAttributeValues')),
+    marshall: marshall
+  })
+  let expressions = {}
+  if (update) {
+    expressions.UpdateExpression = typeof update.build === 'function'
+      ? update.build({attributes: attributes}).UpdateExpression
+      : update.UpdateExpression
+  }
+  if (condition) {
+    expressions.ConditionExpression = isCondition(condition)
+      ? buildCondition(condition, {attributes: attributes}).ConditionExpression
+      : condition.ConditionExpression
+  }
+  let placeholders = built.map((p) => ({
+    ExpressionAttributeNames: p.ExpressionAttributeNames,
+    ExpressionAttributeValues: p.ExpressionAttributeValues
+  }))
+  return Object.assign(params, mergeExpressionParams(expressions, ...placeholders, attributes.toParams()))
+}
+
+/**
+ * Constructs and returns a TransactWriteItems builder. Operations take regular objects, marshalled for the
+ * low-level client when the transaction is written. Every function except build() and write() returns the builder.
+ * Example:
+ *     createTransaction()
+ *       .put('orders', {id: 'o-1', total: 12}, {condition: conditions.attributeNotExists('id')})
+ *       .update('stock', {sku: 'tea'}, createUpdateExpression().decrement('count'), {condition: conditions.gt('count', 0)})
+ *       .conditionCheck('customers', {id: 'c-9'}, conditions.eq('status', 'active'))
+ *       .clientRequestToken()
+ *       .write(client)
+ * @param options Object
+ *                  keys: Object key attribute names by table name, used to check that put operations don't touch
+ *                        an item another operation touches, e.g. {orders: ['id']}. They're taken from the keys of
+ *                        the other operations on a table otherwise, and needed when a table only has several puts.
+ *                  attributeOptions: Object createAttribute options used when marshalling
+ * @returns {Object}
+ */
+const createTransaction = (options = {}) => {
+  let operations = []
+  let token
+  let add = (operation) => {
+    operations.push(operation)
+    return transaction
+  }
+  let transaction = {
+    /**
+     * Put an item, options: {condition, returnValuesOnConditionCheckFailure}
+     */
+    put: (tableName, item, operationOptions = {}) => add(Object.assign({type: 'Put', tableName: tableName, item: item}, operationOptions)),
+    /**
+     * Update an item with a createUpdateExpression builder (or built parameters),
+     * options: {condition, returnValuesOnConditionCheckFailure}
+     */
+    update: (tableName, key, update, operationOptions = {}) => add(Object.assign({type: 'Update', tableName: tableName, key: key, update: update}, operationOptions)),
+    /**
+     * Delete an item, options: {condition, returnValuesOnConditionCheckFailure}
+     */
+    delete: (tableName, key, operationOptions = {}) => add(Object.assign({type: 'Delete', tableName: tableName, key: key}, operationOptions)),
+    /**
+     * Check a condition on an item without changing it
+     */
+    conditionCheck: (tableName, key, condition, operationOptions = {}) => add(Object.assign({type: 'ConditionCheck', tableName: tableName, key: key, condition: condition}, operationOptions)),
+    /**
+     * Makes the transaction idempotent for 10 minutes, a token is generated when none is passed
+     */
+    clientRequestToken: (value) => {
+      token = value || crypto.randomBytes(18).toString('hex')
+      return transaction
+    },
+    /**
+     * Returns the operations as {type, tableName, key}, in TransactItems order
+     */
+    operations: () => operations.map((o) => ({type: o.type, tableName: o.tableName, key: o.key || o.item})),
+    /**
+     * Returns the TransactWriteItems parameters, throws a RangeError when the transaction has more than 100
+     * operations or 4 MB of items and expression values, and a TypeError when two operations touch the same item
+     * or the key names of a table with several puts are unknown
+     * @param buildOptions Object
+     *                       marshall: Boolean marshall items, keys and values for the low-level client
+     */
+    build: (buildOptions = {}) => {
+      let marshall = buildOptions.marshall === true
+      if (operations.length === 0 || operations.length > TRANSACTION_LIMIT) {
+        throw new RangeError(`A transaction takes between 1 and ${TRANSACTION_LIMIT} operations, not ${operations.length}`)
+      }
+      let keyNames = Object.assign({}, options.keys)
+      operations.filter((o) => o.key).map((o) => {
+        keyNames[o.tableName] = keyNames[o.tableName] || Object.keys(o.key)
+      })
+      let seen = new Set()
+      operations.map((o) => {
+        let names = o.key ? Object.keys(o.key).sort() : (keyNames[o.tableName] || []).slice().sort()
+        if (names.length === 0) {
+          // a put is the only operation on its table, or its key names are needed to compare it with the others
+          if (operations.some((other) => other !== o && other.tableName === o.tableName)) {
+            throw new TypeError(`Pass the key attribute names of ${o.tableName} with the keys option to put more than one item in it`)
+          }
+          return
+        }
+        let source = o.key || o.item
+        let id = JSON.stringify([o.tableName, names.map((n) => [n, source[n]])])
+        if (seen.has(id)) {
+          throw new TypeError(`A transaction can't include more than one operation on the same item: ${id}`)
+        }
+        seen.add(id)
+      })
+      let convert = (o) => marshall ? marshallItem(o, options.attributeOptions) : o
+      let transactItems = operations.map((o) => {
+        let params = {TableName: o.tableName}
+        if (o.item) {
+          params.Item = convert(o.item)
+        } else {
+          params.Key = convert(o.key)
+        }
+        addExpressions(params, o.update, o.condition, marshall)
+        if (o.returnValuesOnConditionCheckFailure) {
+          params.ReturnValuesOnConditionCheckFailure = o.returnValuesOnConditionCheckFailure
+        }
+        let transactItem = {}
+        transactItem[o.type] = params
+        return transactItem
+      })
+      let size = transactItems.reduce((total, transactItem) => {
+        let params = transactItem[Object.keys(transactItem)[0]]
+        return total + calculateItemSize(params.Item || params.Key, {marshalled: marshall}).bytes +
+          (params.ExpressionAttributeValues ? calculateItemSize(params.ExpressionAttributeValues, {marshalled: marshall}).bytes : 0)
+      }, 0)
+      if (size > TRANSACTION_SIZE_LIMIT) {
+        throw new RangeError(`The items and values of a transaction can't exceed ${TRANSACTION_SIZE_LIMIT} bytes, these take ${size} bytes`)
+      }
+      let params = {TransactItems: transactItems}
+      if (token) {
+        params.ClientRequestToken = token
+      }
+      return params
+    },
+    /**
+     * Sends the transaction with transactWrite (DocumentClient) or transactWriteItems (low-level client).
+     * When DynamoDB cancels the transaction the error gets a "cancellations" property: one
+     * {index, operation: {type, tableName, key}, code, message, item} entry for every operation that caused it.
+     * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+     * @returns {Promise}
+     */
+    write: (client) => {
+      let params
+      try {
+        params = transaction.build({marshall: !isDocumentClient(client)})
+      } catch (err) {
+        return Promise.reject(err)
+      }
+      return callOperation(client, 'transactWrite', params).catch((err) => {
+        if ((err.code || err.name) === 'TransactionCanceledException') {
+          let described = transaction.operations()
+          err.cancellations = getCancellationReasons(err)
+            .map((reason, i) => ({index: i, operation: described[i], code: reason.Code, message: reason.Message, item: reason.Item}))
+            .filter((c) => c.code && c.code !== 'None')
+        }
+        throw err
+      })
+    }
+  }
+  if (options.clientRequestToken) {
+    transaction.clientRequestToken(typeof options.clientRequestToken === 'string' ? options.clientRequestToken : undefined)
+  }
+  return transaction
+}
+
+/**
+ * Reads up to 100 items in one transaction with transactGet (DocumentClient) or transactGetItems (low-level client).
+ * Items come back in request order, with null for keys that have no item, unmarshalled for the low-level client.
+ * Example:
+ *     transactGet(client, [
+ *       {tableName: 'orders', key: {id: 'o-1'}},
+ *       {tableName: 'customers', key: {id: 'c-9'}, projection: ['id', 'status']}
+ *     ])
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param gets Array {tableName, key, projection}
+ * @param options Object
+ *                  attributeOptions: Object createAttribute options used to marshall keys
+ *                  parseOptions: Object parseAttribute options used to unmarshall items
+ * @returns {Promise} resolves to an array of items (or null)
+ */
+const transactGet = (client, gets, options = {}) => {
+  if (!Array.isArray(gets) || gets.length === 0 || gets.length > TRANSACTION_LIMIT) {
+    return Promise.reject(new RangeError(`A transaction takes between 1 and ${TRANSACTION_LIMIT} operations`))
+  }
+  let documentClient = isDocumentClient(client)
+  let transactItems = gets.map((g) => {
+    let params = {TableName: g.tableName, Key: documentClient ? g.key : marshallItem(g.key, options.attributeOptions)}
+    if (g.projection) {
+      Object.assign(params, buildProjection(g.projection))
+    }
+    return {Get: params}
+  })
+  return callOperation(client, 'transactGet', {TransactItems: transactItems}).then((response) => {
+    return (response.Responses || []).map((r) => {
+      if (!isObject(r) || !r.Item) {
+        return null
+      }
+      return documentClient ? r.Item : unmarshallItem(r.Item, options.parseOptions)
+    })
+  })
+}
+
+exports.TRANSACTION_LIMIT = TRANSACTION_LIMIT
+exports.createTransaction = createTransaction
+exports.transactGet = transactGet
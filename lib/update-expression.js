@@ -0,0 +1,219 @@
+const {isArray, isObject} = require('./attributes')
+const {attributeName, createExpressionAttributes, parsePath, pathsOverlap} = require('./expression-attributes')
+
+const CLAUSES = ['SET', 'REMOVE', 'ADD', 'DELETE']
+
+/**
+ * Returns a boolean value that is true if the passed value is an object literal (not an array, Date, Buffer, etc.)
+ * @param o {*}
+ * @returns {boolean}
+ */
+const isPlainObject = (o) => {
+  return isObject(o) && (Object.getPrototypeOf(o) === Object.prototype || Object.getPrototypeOf(o) === null)
+}
+
+/**
+ * Compares two values the way DynamoDB would see them once stored
+ * @param a {*}
+ * @param b {*}
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => {
+  if (a === b) {
+    return true
+  }
+  if (!isObject(a) || !isObject(b)) {
+    return typeof a === 'bigint' || typeof b === 'bigint' ? a.toString() === b.toString() : false
+  }
+  if (ArrayBuffer.isView(a) && ArrayBuffer.isView(b)) {
+    return Buffer.from(a.buffer, a.byteOffset, a.byteLength).equals(Buffer.from(b.buffer, b.byteOffset, b.byteLength))
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime()
+  }
+  if (a instanceof Set && b instanceof Set) {
+    let bValues = Array.from(b)
+    return a.size === b.size && Array.from(a).every((e) => bValues.some((f) => isEqual(e, f)))
+  }
+  if (a instanceof Map && b instanceof Map) {
+    return a.size === b.size && Array.from(a.keys()).every((k) => b.has(k) && isEqual(a.get(k), b.get(k)))
+  }
+  if (isArray(a) && isArray(b)) {
+    return a.length === b.length && a.every((e, i) => isEqual(e, b[i]))
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    let keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every((k) => b.hasOwnProperty(k) && isEqual(a[k], b[k]))
+  }
+  return false
+}
+
+/**
+ * Constructs and returns an UpdateExpression builder. Every action function returns the builder, so the calls can
+ * be chained:
+ *     createUpdateExpression()
+ *       .set('profile.name', 'Rick')
+ *       .increment('visits')
+ *       .remove('employees[5].firstName')
+ *       .build()
+ *
+ *     returns:
+ *     {
+ *       UpdateExpression: 'SET #n0.#n1 = :v0, #n2 = if_not_exists(#n2, :v1) + :v2 REMOVE #n3[5].#n4',
+ *       ExpressionAttributeNames: {'#n0': 'profile', '#n1': 'name', '#n2': 'visits', '#n3': 'employees', '#n4': 'firstName'},
+ *       ExpressionAttributeValues: {':v0': 'Rick', ':v1': 0, ':v2': 1}
+ *     }
+ * Paths take the forms described in parsePath.
+ * @param options Object
+ *                  marshall: Boolean converts values with createAttribute, for the low-level AWS.DynamoDB client
+ *                  attributeOptions: Object createAttribute options used when marshalling
+ *                  delimiter: String delimiting character for string paths, defaults to "."
+ * @returns {Object}
+ */
+const createUpdateExpression = (options = {}) => createBuilder(options, [])
+
+/**
+ * Constructs the builder of createUpdateExpression around a list of actions
+ * @param options Object see createUpdateExpression
+ * @param actions Array
+ * @returns {Object}
+ */
+const createBuilder = (options, actions) => {
+  let addAction = (clause, path, render) => {
+    let segments = parsePath(path, options.delimiter)
+    // arrays are rendered as they were passed, so segments marked with attributeName stay attribute names
+    actions.push({clause: clause, path: isArray(path) ? path : segments, segments: segments, render: render})
+    return builder
+  }
+  let builder = {
+    /**
+     * SET path = value
+     */
+    set: (path, value) => addAction('SET', path, (a, p) => `${p} = ${a.value(value)}`),
+    /**
+     * SET path = if_not_exists(path, value), only sets the value when the attribute doesn't exist yet
+     */
+    setIfNotExists: (path, value) => addAction('SET', path, (a, p) => `${p} = if_not_exists(${p}, ${a.value(value)})`),
+    /**
+     * SET path = list_append(path, values), creating the list when it doesn't exist yet
+     */
+    appendToList: (path, values) => addAction('SET', path, (a, p) => {
+      return `${p} = list_append(if_not_exists(${p}, ${a.value([])}), ${a.value(values)})`
+    }),
+    /**
+     * SET path = list_append(values, path), creating the list when it doesn't exist yet
+     */
+    prependToList: (path, values) => addAction('SET', path, (a, p) => {
+      return `${p} = list_append(${a.value(values)}, if_not_exists(${p}, ${a.value([])}))`
+    }),
+    /**
+     * SET path = path + amount, starting from 0 when the attribute doesn't exist yet
+     */
+    increment: (path, amount = 1) => addAction('SET', path, (a, p) => {
+      return `${p} = if_not_exists(${p}, ${a.value(0)}) + ${a.value(amount)}`
+    }),
+    /**
+     * SET path = path - amount, starting from 0 when the attribute doesn't exist yet
+     */
+    decrement: (path, amount = 1) => addAction('SET', path, (a, p) => {
+      return `${p} = if_not_exists(${p}, ${a.value(0)}) - ${a.value(amount)}`
+    }),
+    /**
+     * REMOVE path
+     */
+    remove: (path) => addAction('REMOVE', path, (a, p) => p),
+    /**
+     * ADD path value, adds to a number or adds elements to a set
+     */
+    add: (path, value) => addAction('ADD', path, (a, p) => `${p} ${a.value(value)}`),
+    /**
+     * DELETE path value, removes elements from a set
+     */
+    delete: (path, value) => addAction('DELETE', path, (a, p) => `${p} ${a.value(value)}`),
+    /**
+     * Returns a boolean value that is true if no actions were added
+     */
+    isEmpty: () => actions.length === 0,
+    /**
+     * Returns a new builder holding the same actions, so more actions can be added without changing this one
+     */
+    copy: () => createBuilder(options, actions.slice()),
+    /**
+     * Returns the UpdateExpression with its ExpressionAttributeNames and ExpressionAttributeValues.
+     * Pass an expression attributes registry (see createExpressionAttributes) to share placeholders with
+     * other expressions of the same API call.
+     * Throws a TypeError when no actions were added or two actions use overlapping paths.
+     */
+    build: (buildOptions = {}) => {
+      if (actions.length === 0) {
+        throw new TypeError('An UpdateExpression needs at least one action')
+      }
+      actions.map((action, i) => actions.slice(i + 1).map((other) => {
+        if (pathsOverlap(action.segments, other.segments)) {
+          throw new TypeError(`Update paths ${action.segments.join('.')} and ${other.segments.join('.')} overlap`)
+        }
+      }))
+      let attributes = buildOptions.attributes || createExpressionAttributes(options)
+      let expression = CLAUSES
+        .map((clause) => {
+          let rendered = actions
+            .filter((action) => action.clause === clause)
+            .map((action) => action.render(attributes, attributes.path(action.path)))
+          return rendered.length > 0 ? `${clause} ${rendered.join(', ')}` : ''
+        })
+        .filter((e) => e.length > 0)
+        .join(' ')
+      return Object.assign({UpdateExpression: expression}, buildOptions.attributes ? {} : attributes.toParams())
+    }
+  }
+  return builder
+}
+
+/**
+ * Constructs and returns an UpdateExpression builder (see createUpdateExpression) holding the actions that turn
+ * the first version of an object into the second: new and changed attributes are SET, missing ones are REMOVEd.
+ * Maps present in both versions are compared attribute by attribute, lists and sets are replaced as a whole.
+ * Object keys are passed to the builder as attribute names (see attributeName), also when they are made of digits.
+ * @param before Object
+ * @param after Object
+ * @param options Object
+ *                  ignore: Array top-level attribute names to leave alone, such as the table key attributes
+ *                  nested: Boolean compare maps attribute by attribute, default true
+ *                  any createUpdateExpression option
+ * @returns {Object}
+ */
+const createUpdateExpressionFromDiff = (before, after, options = {}) => {
+  let ignore = options.ignore || []
+  let builder = createUpdateExpression(options)
+  let diff = (previous, current, path) => {
+    Object.keys(current).map((k) => {
+      let segments = path.concat(attributeName(k))
+      if (current[k] === undefined) {
+        if (previous.hasOwnProperty(k) && previous[k] !== undefined) {
+          builder.remove(segments)
+        }
+      } else if (!previous.hasOwnProperty(k) || previous[k] === undefined) {
+        builder.set(segments, current[k])
+      } else if (options.nested !== false && isPlainObject(previous[k]) && isPlainObject(current[k])) {
+        diff(previous[k], current[k], segments)
+      } else if (!isEqual(previous[k], current[k])) {
+        builder.set(segments, current[k])
+      }
+    })
+    Object.keys(previous)
+      .filter((k) => !current.hasOwnProperty(k) && previous[k] !== undefined)
+      .map((k) => builder.remove(path.concat(attributeName(k))))
+  }
+  let without = (o) => {
+    let copy = Object.assign({}, o)
+    ignore.map((k) => delete copy[k])
+    return copy
+  }
+  diff(without(before), without(after), [])
+  return builder
+}
+
+exports.isPlainObject = isPlainObject
+exports.isEqual = isEqual
+exports.createUpdateExpression = createUpdateExpression
+exports.createUpdateExpressionFromDiff = createUpdateExpressionFromDiff
@@ -0,0 +1,169 @@
+const {addObjectProperty, isAttributeMap} = require('./attributes')
+const {callOperation, isDocumentClient, marshallItem, unmarshallItem} = require('./client')
+const {and, attributeNotExists, buildCondition, eq, mergeExpressionParams} = require('./condition-expression')
+const {createExpressionAttributes} = require('./expression-attributes')
+
+/**
+ * The error a versioned write rejects with when the stored item has another version than the one that was read
+ */
+class VersionConflictError extends Error {
+  /**
+   * @param message String
+   * @param details Object {tableName, key, expected, actual}, actual is undefined when the item doesn't exist
+   * @param cause Error the ConditionalCheckFailedException
+   */
+  constructor (message, details = {}, cause) {
+    super(message)
+    this.name = 'VersionConflictError'
+    this.code = 'VersionConflict'
+    this.tableName = details.tableName
+    this.key = details.key
+    this.expected = details.expected
+    this.actual = details.actual
+    this.cause = cause
+  }
+}
+
+/**
+ * Constructs and returns put, update and delete functions that use optimistic locking on a version attribute:
+ *     - writes increment the version and only succeed when the stored version is still the one that was read
+ *     - items without a version are new and only succeed when no item with the same key exists
+ *     - a failed version check rejects with a VersionConflictError carrying the expected and actual versions
+ * Each function takes the usual call parameters (TableName, Item/Key, and optionally an UpdateExpression or
+ * ConditionExpression with its placeholders) and the options
+ *     condition: a condition built with the conditions functions, added to the version check
+ *     expectedVersion: Number the version that was read (update and delete)
+ * Example:
+ *     const versioned = createVersioning(client, {keys: ['id']})
+ *     versioned.put({TableName: 'planets', Item: planet})
+ *       .then((response) => console.log(`saved version ${response.version}`))
+ *       .catch((err) => {
+ *         if (err instanceof VersionConflictError) {
+ *           console.log(`expected version ${err.expected}, found ${err.actual}`)
+ *         }
+ *       })
+ * @param client AWS.DynamoDB or AWS.DynamoDB.DocumentClient
+ * @param options Object
+ *                  keys: Array the key attribute names of the table
+ *                  versionAttribute: String defaults to "version"
+ *                  fetchActualVersion: Boolean read the stored version after a failed check, defaults to true
+ *                  attributeOptions: Object createAttribute options used to marshall for the low-level client
+ * @returns {{put: Function, update: Function, delete: Function}}
+ */
+const createVersioning = (client, options = {}) => {
+  let versionAttribute = options.versionAttribute || 'version'
+  let keys = options.keys || []
+  let marshall = !isDocumentClient(client)
+  let toPlain = (o) => marshall && isAttributeMap(o) ? unmarshallItem(o) : o
+  let toCall = (o) => marshall ? marshallItem(o, options.attributeOptions) : o
+  if (keys.length === 0) {
+    throw new TypeError('createVersioning needs the key attribute names of the table')
+  }
+  let placeholders = (params) => ({
+    ExpressionAttributeNames: params.ExpressionAttributeNames,
+    ExpressionAttributeValues: params.ExpressionAttributeValues
+  })
+  let versionCondition = (expected) => expected === undefined ? attributeNotExists(keys[0]) : eq(versionAttribute, expected)
+  let withConditions = (params, conditions) => {
+    conditions = conditions.filter((c) => c)
+    if (conditions.length === 0) {
+      return params
+    }
+    let built = buildCondition(and(conditions), {namePrefix: '#ver', valuePrefix: ':ver', marshall: marshall})
+    let merged = mergeExpressionParams(placeholders(params), placeholders(built))
+    let result = Object.assign({}, params, merged, {
+      ConditionExpression: params.ConditionExpression
+        ? `(${params.ConditionExpression}) AND (${built.ConditionExpression})`
+        : built.ConditionExpression
+    })
+    Object.keys(result).filter((k) => result[k] === undefined).map((k) => delete result[k])
+    return result
+  }
+  let send = (operation, params, key, expected, versioned = true) => {
+    return callOperation(client, operation, params).catch((err) => {
+      if ((err.code || err.name) !== 'ConditionalCheckFailedException' || !versioned || options.fetchActualVersion === false) {
+        throw err
+      }
+      let actualItem = err.Item
+        ? Promise.resolve(toPlain(err.Item))
+        : callOperation(client, 'get', {
+          TableName: params.TableName,
+          Key: toCall(key),
+          ConsistentRead: true
+        }).then((response) => response.Item ? toPlain(response.Item) : undefined)
+      return actualItem.then((item) => {
+        let actual = item ? item[versionAttribute] : undefined
+        if (actual === expected && !(expected === undefined && item)) {
+          throw err
+        }
+        throw new VersionConflictError(
+          `${params.TableName} item ${JSON.stringify(key)} has version ${actual}, expected ${expected === undefined ? 'no item' : expected}`,
+          {tableName: params.TableName, key: key, expected: expected, actual: actual},
+          err
+        )
+      })
+    })
+  }
+  let keyOf = (item) => {
+    let key = {}
+    keys.map((k) => addObjectProperty(key, k, item[k]))
+    return key
+  }
+  return {
+    /**
+     * Puts params.Item with its version incremented
+     * @returns {Promise} resolves to the response with the new version as its "version" property
+     */
+    put: (params, callOptions = {}) => {
+      let item = toPlain(params.Item)
+      let expected = item[versionAttribute]
+      let version = (expected || 0) + 1
+      let newItem = Object.assign({}, item)
+      addObjectProperty(newItem, versionAttribute, version)
+      let callParams = withConditions(Object.assign({}, params, {Item: toCall(newItem)}), [callOptions.condition, versionCondition(expected)])
+      return send('put', callParams, keyOf(item), expected).then((response) => Object.assign({version: version}, response))
+    },
+    /**
+     * Updates the item at params.Key with params.UpdateExpression (or the "update" option, a createUpdateExpression
+     * builder) and increments its version
+     * @returns {Promise} resolves to the response with the new version as its "version" property
+     */
+    update: (params, callOptions = {}) => {
+      let expected = callOptions.expectedVersion
+      let version = (expected || 0) + 1
+      let update = params
+      if (callOptions.update) {
+        let updateAttributes = createExpressionAttributes({marshall: marshall})
+        update = Object.assign(callOptions.update.build({attributes: updateAttributes}), updateAttributes.toParams())
+      }
+      let attributes = createExpressionAttributes({namePrefix: '#vu', valuePrefix: ':vu', marshall: marshall})
+      let setVersion = `${attributes.name(versionAttribute)} = ${attributes.value(version)}`
+      let expression = update.UpdateExpression || ''
+      expression = /\bSET\b/i.test(expression)
+        ? expression.replace(/\bSET\b/i, `SET ${setVersion},`)
+        : `SET ${setVersion} ${expression}`.trim()
+      // the placeholders of params (used by its ConditionExpression) are kept next to the ones of the builder
+      let merged = mergeExpressionParams(
+        update === params ? {} : placeholders(params),
+        placeholders(update),
+        attributes.toParams()
+      )
+      let callParams = withConditions(Object.assign({}, params, merged, {UpdateExpression: expression}), [callOptions.condition, versionCondition(expected)])
+      return send('update', callParams, toPlain(params.Key), expected).then((response) => Object.assign({version: version}, response))
+    },
+    /**
+     * Deletes the item at params.Key when its version is still the expectedVersion option, without the option
+     * the version isn't checked
+     * @returns {Promise}
+     */
+    delete: (params, callOptions = {}) => {
+      let expected = callOptions.expectedVersion
+      let versioned = expected !== undefined
+      let callParams = withConditions(params, [callOptions.condition, versioned ? versionCondition(expected) : undefined])
+      return send('delete', callParams, toPlain(params.Key), expected, versioned)
+    }
+  }
+}
+
+exports.VersionConflictError = VersionConflictError
+exports.createVersioning = createVersioning
@@ -0,0 +1,60 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {buildCondition, conditions, createExpressionAttributes, mergeExpressionParams} = require('../index')
+
+const {and, or, attributeNotExists, beginsWith, eq, gt, size} = conditions
+
+test('buildCondition renders nested conditions', () => {
+  assert.deepStrictEqual(buildCondition(and(attributeNotExists('id'), or(gt(size('tags'), 2), beginsWith('sk', 'ORDER#')))), {
+    ConditionExpression: '(attribute_not_exists(#c0)) AND ((size(#c1) > :c0) OR (begins_with(#c2, :c1)))',
+    ExpressionAttributeNames: {'#c0': 'id', '#c1': 'tags', '#c2': 'sk'},
+    ExpressionAttributeValues: {':c0': 2, ':c1': 'ORDER#'}
+  })
+})
+
+test('key conditions and filters built separately can be merged', () => {
+  assert.deepStrictEqual(mergeExpressionParams(
+    {TableName: 'orders'},
+    buildCondition(eq('customer', 'c-9'), {expression: 'KeyConditionExpression'}),
+    buildCondition(gt('total', 100), {expression: 'FilterExpression'})
+  ), {
+    TableName: 'orders',
+    KeyConditionExpression: '#k0 = :k0',
+    FilterExpression: '#f0 > :f0',
+    ExpressionAttributeNames: {'#k0': 'customer', '#f0': 'total'},
+    ExpressionAttributeValues: {':k0': 'c-9', ':f0': 100}
+  })
+})
+
+test('buildCondition adds its placeholders to a shared registry', () => {
+  const attributes = createExpressionAttributes()
+  const params = Object.assign(
+    buildCondition(eq('customer', 'c-9'), {expression: 'KeyConditionExpression', attributes}),
+    buildCondition(eq('customer', 'c-9'), {expression: 'FilterExpression', attributes}),
+    attributes.toParams()
+  )
+  assert.deepStrictEqual(params, {
+    KeyConditionExpression: '#n0 = :v0',
+    FilterExpression: '#n0 = :v1',
+    ExpressionAttributeNames: {'#n0': 'customer'},
+    ExpressionAttributeValues: {':v0': 'c-9', ':v1': 'c-9'}
+  })
+})
+
+test('mergeExpressionParams compares placeholder values as attributes', () => {
+  const merge = (a, b) => mergeExpressionParams({ExpressionAttributeValues: {':v': a}}, {ExpressionAttributeValues: {':v': b}})
+  assert.deepStrictEqual(merge(10n, 10n), {ExpressionAttributeValues: {':v': 10n}})
+  assert.throws(() => merge(10n, 11n), TypeError)
+  assert.doesNotThrow(() => merge(new Set(['a', 'b']), new Set(['b', 'a'])))
+  assert.throws(() => merge(new Set(['a']), new Set(['b'])), TypeError)
+  assert.doesNotThrow(() => merge({NS: ['1', '2']}, {NS: ['2', '1']}))
+  assert.throws(() => merge({N: '1'}, {S: '1'}), TypeError)
+})
+
+test('mergeExpressionParams rejects clashing placeholders', () => {
+  assert.throws(() => mergeExpressionParams(buildCondition(eq('a', 1)), {
+    UpdateExpression: 'SET #c0 = :v0',
+    ExpressionAttributeNames: {'#c0': 'b'},
+    ExpressionAttributeValues: {':v0': 1}
+  }), TypeError)
+})
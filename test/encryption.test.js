@@ -0,0 +1,94 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const crypto = require('crypto')
+const {
+  createItemProtector,
+  createLocalKeyProvider,
+  createMemoryDynamoDB,
+  createTableParams,
+  ItemIntegrityError
+} = require('../index')
+
+const oldKey = crypto.randomBytes(32)
+const newKey = crypto.randomBytes(32)
+
+const createProtector = (keyProvider, options = {}) => createItemProtector(Object.assign({
+  tableName: 'customers',
+  keys: ['id'],
+  encrypt: ['ssn', 'address.street'],
+  keyProvider: keyProvider || createLocalKeyProvider({main: newKey})
+}, options))
+
+const customer = {id: 'c-1', name: 'Rick', ssn: '123-45-6789', address: {street: 'Main St', city: 'Seattle'}, tags: new Set(['a', 'b'])}
+
+// unmarshall returns sets as arrays by default
+const unmarshalled = Object.assign({}, customer, {tags: ['a', 'b']})
+
+const createDynamo = () => createMemoryDynamoDB({tables: [createTableParams({tableName: 'customers', partitionKey: 'id'})]})
+
+// the shape the AWS SDK v2 DocumentClient reads sets in
+const toV2Sets = (item) => {
+  const copy = Object.assign({}, item)
+  Object.keys(copy).filter((k) => copy[k] instanceof Set).map((k) => {
+    copy[k] = {wrapperName: 'Set', values: Array.from(copy[k]), type: 'String'}
+  })
+  return copy
+}
+
+test('protected items round trip through the low-level client and the DocumentClient', async () => {
+  const dynamo = createDynamo()
+  const protector = createProtector()
+  const stored = await protector.marshall(customer)
+  assert.ok(stored.ssn.B && stored.address.M.street.B)
+  assert.deepStrictEqual(stored.address.M.city, {S: 'Seattle'})
+  await dynamo.db.putItem({TableName: 'customers', Item: stored}).promise()
+
+  const low = await dynamo.db.getItem({TableName: 'customers', Key: {id: {S: 'c-1'}}}).promise()
+  assert.deepStrictEqual(await protector.unmarshall(low.Item), unmarshalled)
+  const read = await dynamo.client.get({TableName: 'customers', Key: {id: 'c-1'}}).promise()
+  assert.deepStrictEqual(await protector.unmarshall(read.Item), unmarshalled)
+  assert.deepStrictEqual(await protector.unmarshall(toV2Sets(read.Item)), unmarshalled)
+})
+
+test('changed, removed and swapped attributes are detected', async () => {
+  const protector = createProtector()
+  const stored = await protector.marshall(customer)
+  const other = await protector.marshall(Object.assign({}, customer, {id: 'c-2', ssn: '987-65-4321'}))
+  const rejects = (item) => assert.rejects(protector.unmarshall(item), ItemIntegrityError)
+
+  await rejects(Object.assign({}, stored, {name: {S: 'Morty'}}))
+  const removed = Object.assign({}, stored)
+  delete removed.name
+  await rejects(removed)
+  await rejects(Object.assign({}, stored, {ssn: other.ssn}))
+  await rejects(Object.assign({}, stored, {ssn: stored.address.M.street, address: {M: {street: stored.ssn, city: {S: 'Seattle'}}}}))
+  await rejects(Object.assign({}, stored, {ssn: {S: '123-45-6789'}}))
+})
+
+test('a ciphertext moved to another attribute fails to decrypt', async () => {
+  const protector = createProtector()
+  const stored = await protector.marshall(customer)
+  // re-signing the item with the moved ciphertexts leaves only the encryption to catch the move
+  const moved = Object.assign({}, customer, {address: {street: 'x', city: 'Seattle'}})
+  const resigned = await protector.marshall(moved)
+  resigned.address.M.street = stored.ssn
+  await assert.rejects(protector.unmarshall(resigned), ItemIntegrityError)
+})
+
+test('items written with an older key are read after the key is rotated', async () => {
+  const before = createProtector(createLocalKeyProvider({old: oldKey}))
+  const stored = await before.marshall(customer)
+  const after = createProtector(createLocalKeyProvider({old: oldKey, main: newKey}, {keyId: 'main'}))
+  assert.deepStrictEqual(await after.unmarshall(stored), unmarshalled)
+  assert.strictEqual((await after.marshall(customer)).__encryption.M.keyId.S, 'main')
+  await assert.rejects(createProtector(createLocalKeyProvider({main: newKey})).unmarshall(stored), ItemIntegrityError)
+})
+
+test('unsigned items are only returned with allowUnsigned', async () => {
+  const plain = {id: {S: 'c-1'}, name: {S: 'Rick'}}
+  await assert.rejects(createProtector().unmarshall(plain), ItemIntegrityError)
+  assert.deepStrictEqual(await createProtector(undefined, {allowUnsigned: true}).unmarshall(plain), {id: 'c-1', name: 'Rick'})
+  const stored = await createProtector().marshall(customer)
+  delete stored.__signature
+  await assert.rejects(createProtector(undefined, {allowUnsigned: true}).unmarshall(stored), ItemIntegrityError)
+})
@@ -0,0 +1,41 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {
+  classifyError,
+  errorStatusCode,
+  isRetryableError,
+  ItemSizeExceededError,
+  LimitExceededError,
+  ThrottlingError,
+  ValidationError
+} = require('../index')
+
+const awsError = (code, message = code) => Object.assign(new Error(message), {code: code, retryable: false})
+
+test('classifyError keeps throttling retryable and the item size limit apart', () => {
+  const throttled = classifyError(awsError('ProvisionedThroughputExceededException'))
+  assert.ok(throttled instanceof ThrottlingError)
+  assert.strictEqual(throttled.code, 'ProvisionedThroughputExceededException')
+  assert.strictEqual(isRetryableError(throttled), true)
+
+  const tooLarge = classifyError(awsError('ValidationException', 'Item size has exceeded the maximum allowed size'))
+  assert.ok(tooLarge instanceof ItemSizeExceededError)
+  assert.strictEqual(errorStatusCode(tooLarge), 413)
+})
+
+test('an item collection over the size limit is a ValidationError rather than an item over the size limit', () => {
+  const error = classifyError(awsError('ItemCollectionSizeLimitExceededException'))
+  assert.ok(error instanceof ValidationError)
+  assert.ok(!(error instanceof ItemSizeExceededError))
+  assert.strictEqual(error.code, 'ItemCollectionSizeLimitExceededException')
+  assert.strictEqual(error.retryable, false)
+  assert.strictEqual(errorStatusCode(error), 400)
+})
+
+test('LimitExceededException is not retried', () => {
+  const error = classifyError(awsError('LimitExceededException'))
+  assert.ok(error instanceof LimitExceededError)
+  assert.ok(!(error instanceof ThrottlingError))
+  assert.strictEqual(isRetryableError(error), false)
+  assert.strictEqual(errorStatusCode(error), 400)
+})
@@ -0,0 +1,45 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {applyUpdateExpression, evaluateCondition, filterItems} = require('../index')
+
+test('evaluateCondition compares nested paths, sizes and functions', () => {
+  assert.strictEqual(evaluateCondition('attribute_exists(#id) AND size(tags) > :n', {id: 'abc', tags: ['a', 'b', 'c']}, {
+    ExpressionAttributeNames: {'#id': 'id'},
+    ExpressionAttributeValues: {':n': 2}
+  }), true)
+  assert.strictEqual(evaluateCondition('person.employees[1] = :e', {person: {employees: ['a', 'b']}}, {
+    ExpressionAttributeValues: {':e': 'b'}
+  }), true)
+  assert.throws(() => evaluateCondition('#a = :b', {}, {ExpressionAttributeValues: {':b': 1}}), ReferenceError)
+})
+
+test('evaluateCondition takes ExpressionAttributeNames as they are', () => {
+  const values = {ExpressionAttributeValues: {':v': 5}}
+  assert.strictEqual(evaluateCondition('#m.#y = :v', {m: {'2024': 5}}, Object.assign({
+    ExpressionAttributeNames: {'#m': 'm', '#y': '2024'}
+  }, values)), true)
+  assert.strictEqual(evaluateCondition('#y = :v', {'2024': 5}, Object.assign({
+    ExpressionAttributeNames: {'#y': '2024'}
+  }, values)), true)
+  assert.strictEqual(evaluateCondition('#n = :v', {'a[1]': 5, 'a.b': 5}, Object.assign({
+    ExpressionAttributeNames: {'#n': 'a[1]'}
+  }, values)), true)
+  assert.strictEqual(evaluateCondition('#n = :v', {'a.b': 5}, Object.assign({
+    ExpressionAttributeNames: {'#n': 'a.b'}
+  }, values)), true)
+})
+
+test('filterItems keeps the matching items', () => {
+  const items = [{id: 'a', n: 1}, {id: 'b', n: 3}]
+  assert.deepStrictEqual(filterItems(items, 'n > :n', {ExpressionAttributeValues: {':n': 2}}), [{id: 'b', n: 3}])
+})
+
+test('applyUpdateExpression updates numeric map keys as names', () => {
+  assert.deepStrictEqual(applyUpdateExpression('SET #s.#y = #s.#y + :one REMOVE draft', {
+    scores: {'2024': 1},
+    draft: true
+  }, {
+    ExpressionAttributeNames: {'#s': 'scores', '#y': '2024'},
+    ExpressionAttributeValues: {':one': 1}
+  }), {scores: {'2024': 2}})
+})
@@ -0,0 +1,201 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {
+  batchGet,
+  batchWrite,
+  conditions,
+  createMemoryDynamoDB,
+  createRetryBudget,
+  createTableParams,
+  createTransaction,
+  createUpdateExpression,
+  createVersioning,
+  insertMultiObject,
+  queryItems,
+  scanPage,
+  transactGet,
+  VersionConflictError,
+  waitForTable,
+  waitForTableActive
+} = require('../index')
+
+const planets = [
+  {name: 'mercury', moons: 0},
+  {name: 'venus', moons: 0},
+  {name: 'earth', moons: 1},
+  {name: 'mars', moons: 2}
+]
+
+const createDynamo = () => createMemoryDynamoDB({
+  tables: [
+    createTableParams({tableName: 'planets', partitionKey: 'id'}),
+    createTableParams({tableName: 'moons', partitionKey: 'planet', sortKey: 'name'})
+  ]
+})
+
+const byId = (items) => items.slice().sort((a, b) => a.id < b.id ? -1 : 1)
+
+test('waitForTable and insertMultiObject write every item in batches', async () => {
+  const dynamo = createDynamo()
+  const data = planets.map((planet) => Object.assign({}, planet))
+  const response = await new Promise((resolve, reject) => {
+    waitForTable(dynamo.db, dynamo.client, 'planets', 'tableExists', data, (client, tableName, tableData) => {
+      insertMultiObject(client, tableName, tableData, 0, 3, (err, result) => err ? reject(err) : resolve(result))
+    })
+  })
+  assert.strictEqual(response.statusCode, 200)
+  assert.deepStrictEqual(byId(dynamo.items('planets')), byId(planets.map((planet) => Object.assign({id: planet.name, version: 1}, planet))))
+})
+
+test('insertMultiObject responds with a 501 when the batch fails', async () => {
+  const dynamo = createDynamo()
+  const response = await new Promise((resolve) => {
+    insertMultiObject(dynamo.client, 'unknown', [{name: 'pluto'}], 0, 25, (err, result) => resolve(result))
+  })
+  assert.strictEqual(response.statusCode, 501)
+})
+
+test('waitForTableActive resolves to the table description', async () => {
+  const dynamo = createDynamo()
+  const table = await waitForTableActive(dynamo.db, 'planets', {interval: 1})
+  assert.strictEqual(table.TableName, 'planets')
+  assert.strictEqual(table.TableStatus, 'ACTIVE')
+})
+
+test('batchWrite retries unprocessed requests and batchGet reads them back in key order', async () => {
+  const dynamo = createDynamo()
+  let calls = 0
+  dynamo.throttle((operation) => operation === 'batchWriteItem' && calls++ === 0 ? 2 : false)
+  const items = Array.from({length: 30}, (v, i) => ({id: `p${i}`, index: i}))
+  const result = await batchWrite(dynamo.client, {planets: items.map((item) => ({put: item}))}, {baseDelay: 1})
+  assert.strictEqual(result.processed, 30)
+  assert.deepStrictEqual(result.failed, [])
+  assert.ok(result.retries > 0)
+
+  const read = await batchGet(dynamo.db, {planets: [{id: 'p3'}, {id: 'pluto'}, {id: 'p1'}]})
+  assert.deepStrictEqual(read, {planets: [{id: 'p3', index: 3}, null, {id: 'p1', index: 1}]})
+})
+
+test('batchWrite takes the retries of unprocessed requests from a shared budget', async () => {
+  const dynamo = createDynamo()
+  dynamo.throttle((operation) => operation === 'batchWriteItem' ? 2 : false)
+  const budget = createRetryBudget({capacity: 10, retryCost: 5, successRefill: 0})
+  const items = Array.from({length: 5}, (v, i) => ({id: `p${i}`}))
+  const result = await batchWrite(dynamo.client, {planets: items.map((item) => ({put: item}))}, {baseDelay: 1, budget: budget})
+  assert.strictEqual(result.retries, 2)
+  assert.strictEqual(result.processed, 3)
+  assert.deepStrictEqual(result.failed.map((f) => f.error.message), ['Still unprocessed after 2 retries', 'Still unprocessed after 2 retries'])
+  assert.strictEqual(budget.available(), 0)
+})
+
+test('batchGet takes the retries of unprocessed keys from a shared budget', async () => {
+  const dynamo = createDynamo()
+  await batchWrite(dynamo.client, {planets: [{put: {id: 'mars'}}, {put: {id: 'venus'}}]})
+  dynamo.throttle((operation) => operation === 'batchGetItem' ? 1 : false)
+  const budget = createRetryBudget({capacity: 5, retryCost: 5, successRefill: 0})
+  await assert.rejects(batchGet(dynamo.db, {planets: [{id: 'mars'}, {id: 'venus'}]}, {baseDelay: 1, budget: budget}),
+    {message: '1 keys still unprocessed after 1 retries'})
+  assert.strictEqual(budget.available(), 0)
+})
+
+test('queryItems and scanPage follow LastEvaluatedKey', async () => {
+  const dynamo = createDynamo()
+  const moons = ['deimos', 'phobos'].map((name) => ({planet: 'mars', name}))
+    .concat([{planet: 'earth', name: 'moon'}])
+  await batchWrite(dynamo.client, {moons: moons.map((item) => ({put: item}))})
+
+  const params = {
+    TableName: 'moons',
+    KeyConditionExpression: '#p = :p',
+    ExpressionAttributeNames: {'#p': 'planet'},
+    ExpressionAttributeValues: {':p': 'mars'}
+  }
+  const names = []
+  for await (let item of queryItems(dynamo.client, params, {pageSize: 1})) {
+    names.push(item.name)
+  }
+  assert.deepStrictEqual(names, ['deimos', 'phobos'])
+
+  const first = await scanPage(dynamo.client, {TableName: 'moons'}, {limit: 2})
+  assert.strictEqual(first.items.length, 2)
+  const second = await scanPage(dynamo.client, {TableName: 'moons'}, {limit: 2, cursor: first.cursor})
+  assert.strictEqual(second.items.length, 1)
+  assert.strictEqual(second.cursor, null)
+})
+
+test('createTransaction writes atomically and reports cancellations', async () => {
+  const dynamo = createDynamo()
+  await createTransaction()
+    .put('planets', {id: 'earth', moons: 1})
+    .put('moons', {planet: 'earth', name: 'moon'}, {condition: conditions.attributeNotExists('name')})
+    .write(dynamo.client)
+  assert.deepStrictEqual(await transactGet(dynamo.client, [
+    {tableName: 'planets', key: {id: 'earth'}},
+    {tableName: 'planets', key: {id: 'pluto'}}
+  ]), [{id: 'earth', moons: 1}, null])
+
+  await assert.rejects(createTransaction()
+    .update('planets', {id: 'earth'}, createUpdateExpression().increment('moons'))
+    .put('moons', {planet: 'earth', name: 'moon'}, {condition: conditions.attributeNotExists('name')})
+    .write(dynamo.client), (err) => {
+    assert.strictEqual(err.cancellations.length, 1)
+    assert.strictEqual(err.cancellations[0].index, 1)
+    return true
+  })
+  assert.deepStrictEqual(dynamo.items('planets'), [{id: 'earth', moons: 1}])
+})
+
+test('createVersioning rejects writes based on a stale version', async () => {
+  const dynamo = createDynamo()
+  const versioned = createVersioning(dynamo.client, {keys: ['id']})
+  await versioned.put({TableName: 'planets', Item: {id: 'earth', moons: 1}})
+  const response = await versioned.update(
+    {TableName: 'planets', Key: {id: 'earth'}},
+    {expectedVersion: 1, update: createUpdateExpression().set('moons', 2)}
+  )
+  assert.strictEqual(response.version, 2)
+  await assert.rejects(versioned.update(
+    {TableName: 'planets', Key: {id: 'earth'}},
+    {expectedVersion: 1, update: createUpdateExpression().set('moons', 3)}
+  ), (err) => err instanceof VersionConflictError && err.actual === 2)
+})
+
+test('the memory DB rejects failed conditions with ConditionalCheckFailedException', async () => {
+  const dynamo = createDynamo()
+  await dynamo.client.put({TableName: 'planets', Item: {id: 'earth'}}).promise()
+  await assert.rejects(dynamo.client.put({
+    TableName: 'planets',
+    Item: {id: 'earth'},
+    ConditionExpression: 'attribute_not_exists(id)'
+  }).promise(), {code: 'ConditionalCheckFailedException'})
+})
+
+test('the memory DB resolves names made of digits in conditions, filters and updates', async () => {
+  const dynamo = createDynamo()
+  const names = {'#s': 'scores', '#y': '2024'}
+  await dynamo.client.put({TableName: 'planets', Item: {id: 'earth', scores: {'2024': 1}}}).promise()
+  await dynamo.client.update({
+    TableName: 'planets',
+    Key: {id: 'earth'},
+    UpdateExpression: 'SET #s.#y = :v',
+    ConditionExpression: '#s.#y = :o',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: {':v': 2, ':o': 1}
+  }).promise()
+  assert.deepStrictEqual(dynamo.items('planets'), [{id: 'earth', scores: {'2024': 2}}])
+
+  const response = await dynamo.client.scan({
+    TableName: 'planets',
+    FilterExpression: '#s.#y = :v',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: {':v': 2}
+  }).promise()
+  assert.strictEqual(response.Count, 1)
+  await assert.rejects(dynamo.client.delete({
+    TableName: 'planets',
+    Key: {id: 'earth'},
+    ConditionExpression: '#s.#y = :v',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: {':v': 1}
+  }).promise(), {code: 'ConditionalCheckFailedException'})
+})
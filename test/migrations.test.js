@@ -0,0 +1,34 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {createMemoryBlobStore, createMemoryDynamoDB, createTableParams, runMigrations} = require('../index')
+
+const table = {tableName: 'planets', partitionKey: 'id'}
+
+const createDynamo = async () => {
+  const dynamo = createMemoryDynamoDB({tables: [createTableParams(table)]})
+  await dynamo.client.put({TableName: 'planets', Item: {id: 'earth', moons: 1}}).promise()
+  await dynamo.client.put({TableName: 'planets', Item: {id: 'luna', type: 'moon'}}).promise()
+  return dynamo
+}
+
+const migrations = [
+  {version: 1, description: 'count visits', transform: (item) => Object.assign({}, item, {visits: (item.visits || 0) + 1})},
+  {version: 2, description: 'drop moons', transform: (item) => item.type === 'moon' ? null : undefined}
+]
+
+test('runMigrations applies every version once', async () => {
+  const dynamo = await createDynamo()
+  const store = createMemoryBlobStore()
+  const results = await runMigrations(dynamo.client, table, migrations, {store, pageSize: 1})
+  assert.deepStrictEqual(results.map((r) => [r.version, r.updated, r.deleted]), [[1, 2, 0], [2, 0, 1]])
+  assert.deepStrictEqual(await runMigrations(dynamo.client, table, migrations, {store}), [])
+  assert.deepStrictEqual(dynamo.items('planets'), [{id: 'earth', moons: 1, visits: 1}])
+})
+
+test('runMigrations needs a checkpoint store unless it is a dry run', async () => {
+  const dynamo = await createDynamo()
+  await assert.rejects(runMigrations(dynamo.client, table, migrations), TypeError)
+  const results = await runMigrations(dynamo.client, table, migrations, {dryRun: true})
+  assert.deepStrictEqual(results.map((r) => r.version), [1, 2])
+  assert.strictEqual(dynamo.items('planets').length, 2)
+})
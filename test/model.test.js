@@ -0,0 +1,51 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {createMemoryDynamoDB, createModel, createSchema, createTableParams, createUpdateExpression} = require('../index')
+
+const createPlanets = (definition) => {
+  const dynamo = createMemoryDynamoDB({
+    tables: [createTableParams({tableName: 'planets', partitionKey: 'system', sortKey: 'name'})]
+  })
+  const planets = createModel(dynamo.client, Object.assign({
+    tableName: 'planets',
+    partitionKey: 'system',
+    sortKey: 'name',
+    schema: {system: 'S', name: 'S', moons: 'N'}
+  }, definition))
+  return {dynamo, planets}
+}
+
+test('createModel puts, reads and queries items', async () => {
+  const {planets} = createPlanets()
+  await planets.put({system: 'sol', name: 'mars', moons: 2})
+  await planets.put({system: 'sol', name: 'earth', moons: 1})
+  assert.deepStrictEqual(await planets.get({system: 'sol', name: 'mars'}), {system: 'sol', name: 'mars', moons: 2})
+  assert.strictEqual(await planets.get({system: 'sol', name: 'pluto'}), null)
+  const page = await planets.query({system: 'sol'})
+  assert.deepStrictEqual(page.items.map((item) => item.name), ['earth', 'mars'])
+})
+
+test('update sets and removes top-level attributes whose names look like paths', async () => {
+  const {dynamo, planets} = createPlanets({
+    schema: createSchema({system: 'S', name: 'S', moons: 'N'}, {keys: ['system', 'name'], unknownAttributes: 'allow'})
+  })
+  await planets.put({system: 'sol', name: 'mars', moons: 2, draft: true})
+  const updated = await planets.update({system: 'sol', name: 'mars'}, {'2024': 5, 'a[1]': 'x', 'a.b': 'y', draft: undefined})
+  assert.deepStrictEqual(updated, {system: 'sol', name: 'mars', moons: 2, '2024': 5, 'a[1]': 'x', 'a.b': 'y'})
+  assert.deepStrictEqual(dynamo.items('planets'), [updated])
+})
+
+test('update adds the timestamp and TTL actions to a copy of a passed builder', async () => {
+  const {planets} = createPlanets({timestamps: true, ttl: 'expiresAt'})
+  await planets.put({system: 'sol', name: 'mars', moons: 2})
+  const builder = createUpdateExpression().increment('moons')
+  const updated = await planets.update({system: 'sol', name: 'mars'}, builder, {ttl: 60})
+  assert.strictEqual(updated.moons, 3)
+  assert.strictEqual(typeof updated.updatedAt, 'string')
+  assert.ok(updated.expiresAt > Date.now() / 1000)
+  const built = builder.build()
+  assert.deepStrictEqual(Object.values(built.ExpressionAttributeNames), ['moons'])
+
+  const again = await planets.update({system: 'sol', name: 'mars'}, builder)
+  assert.strictEqual(again.moons, 4)
+})
@@ -0,0 +1,26 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {applyProjection, buildProjection} = require('../index')
+
+test('buildProjection names every segment', () => {
+  assert.deepStrictEqual(buildProjection(['id', 'person.employees[5].firstName']), {
+    ProjectionExpression: '#p0, #p1.#p2[5].#p3',
+    ExpressionAttributeNames: {'#p0': 'id', '#p1': 'person', '#p2': 'employees', '#p3': 'firstName'}
+  })
+  assert.throws(() => buildProjection(['a', 'a.b']), TypeError)
+})
+
+test('applyProjection keeps the projected paths and compacts lists', () => {
+  const item = {id: 'abc', person: {name: 'Rick', employees: ['a', 'b', 'c']}}
+  assert.deepStrictEqual(applyProjection(item, ['id', 'person.employees[2]']), {id: 'abc', person: {employees: ['c']}})
+  assert.deepStrictEqual(applyProjection({id: {S: 'abc'}, n: {N: '1'}}, ['n']), {n: {N: '1'}})
+})
+
+test('applyProjection takes ExpressionAttributeNames as they are', () => {
+  assert.deepStrictEqual(applyProjection({m: {'2024': 1, x: 2}}, '#m.#y', {
+    ExpressionAttributeNames: {'#m': 'm', '#y': '2024'}
+  }), {m: {'2024': 1}})
+  assert.deepStrictEqual(applyProjection({'2024': 1, 'a.b': 2, x: 3}, '#y, #d', {
+    ExpressionAttributeNames: {'#y': '2024', '#d': 'a.b'}
+  }), {'2024': 1, 'a.b': 2})
+})
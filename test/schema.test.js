@@ -0,0 +1,38 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {createSchema} = require('../index')
+
+test('validate converts plain values and reports every error with its path', () => {
+  const planets = createSchema({
+    id: 'S',
+    diameter: {type: 'N', required: true},
+    moons: {type: 'L', items: {type: 'M', attributes: {name: {type: 'S', required: true}}}}
+  }, {keys: ['id']})
+  assert.deepStrictEqual(planets.validate({id: 'mars', diameter: '6779', moons: [{}]}), {
+    valid: false,
+    errors: [{path: 'moons.0.name', message: 'is required'}]
+  })
+  assert.deepStrictEqual(planets.validate({id: 'mars', diameter: 6779}), {valid: true, errors: []})
+  assert.deepStrictEqual(planets.validate({diameter: null}).errors, [
+    {path: 'id', message: 'is required'},
+    {path: 'diameter', message: 'is required'}
+  ])
+})
+
+test('a required NULL attribute accepts null', () => {
+  const schema = createSchema({id: 'S', n: {type: 'NULL', required: true}})
+  assert.deepStrictEqual(schema.validate({id: 'a', n: null}), {valid: true, errors: []})
+  assert.deepStrictEqual(schema.validate({id: {S: 'a'}, n: {NULL: true}}, {marshalled: true}).errors, [])
+  assert.deepStrictEqual(schema.validate({id: 'a'}).errors, [{path: 'n', message: 'is required'}])
+  assert.deepStrictEqual(schema.validate({id: 'a', n: 0}).errors, [{path: 'n', message: 'must be null'}])
+})
+
+test('values that cannot be stored in an attribute of type any are reported as errors', () => {
+  const schema = createSchema({id: 'S', v: 'any'})
+  const result = schema.validate({id: 'a', v: new Set()})
+  assert.strictEqual(result.valid, false)
+  assert.strictEqual(result.errors.length, 1)
+  assert.strictEqual(result.errors[0].path, 'v')
+  assert.match(result.errors[0].message, /empty sets/)
+  assert.deepStrictEqual(schema.validate({id: 'a', v: new Set(['x'])}).errors, [])
+})
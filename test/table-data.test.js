@@ -0,0 +1,62 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {createMemoryDynamoDB, createTableParams, exportTable, importTable} = require('../index')
+
+const createDynamo = () => createMemoryDynamoDB({tables: [createTableParams({tableName: 'planets', partitionKey: 'id'})]})
+
+const withDirectory = async (run) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamodb-utils-'))
+  try {
+    await run(directory)
+  } finally {
+    fs.rmSync(directory, {recursive: true, force: true})
+  }
+}
+
+const planet = {
+  id: 'earth',
+  stats: {moons: 1, radius: 6371},
+  scores: {'2023': 4, '2024': 5},
+  tags: ['blue', ['wet', 'warm']],
+  codes: new Set(['a', 'b'])
+}
+
+test('a DynamoDB JSON export imports back unchanged', () => withDirectory(async (directory) => {
+  const source = createDynamo()
+  await source.client.put({TableName: 'planets', Item: planet}).promise()
+  const file = path.join(directory, 'planets.json.gz')
+  assert.strictEqual((await exportTable(source.db, 'planets', file)).items, 1)
+  const target = createDynamo()
+  const result = await importTable(target.db, 'planets', file)
+  assert.strictEqual(result.imported, 1)
+  assert.deepStrictEqual(target.items('planets', true), source.items('planets', true))
+}))
+
+test('CSV headers mark list indexes, so maps with keys made of digits stay maps', () => withDirectory(async (directory) => {
+  const source = createDynamo()
+  await source.client.put({TableName: 'planets', Item: Object.assign({}, planet, {codes: undefined})}).promise()
+  const file = path.join(directory, 'planets.csv')
+  const exported = await exportTable(source.client, 'planets', file)
+  assert.deepStrictEqual(exported.columns,
+    ['id', 'stats.moons', 'stats.radius', 'scores.2023', 'scores.2024', 'tags[0]', 'tags[1][0]', 'tags[1][1]'])
+  const target = createDynamo()
+  await importTable(target.client, 'planets', file)
+  assert.deepStrictEqual(target.items('planets'), [{
+    id: 'earth',
+    stats: {moons: 1, radius: 6371},
+    scores: {'2023': 4, '2024': 5},
+    tags: ['blue', ['wet', 'warm']]
+  }])
+}))
+
+test('importTable reports the lines it can\'t read and imports the rest', () => withDirectory(async (directory) => {
+  const file = path.join(directory, 'planets.ndjson')
+  fs.writeFileSync(file, '{"id": "earth"}\nnot json\n{"id": "mars"}\n')
+  const target = createDynamo()
+  const result = await importTable(target.client, 'planets', file, {format: 'ndjson'})
+  assert.strictEqual(result.imported, 2)
+  assert.deepStrictEqual(result.failed.map((f) => f.line), [2])
+}))
@@ -0,0 +1,71 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {
+  buildCondition,
+  conditions,
+  createMemoryDynamoDB,
+  createTableParams,
+  createTransaction,
+  createUpdateExpression
+} = require('../index')
+
+const createDynamo = () => createMemoryDynamoDB({tables: [createTableParams({tableName: 'stock', partitionKey: 'sku'})]})
+
+test('a built update and a condition helper get placeholders of their own', async () => {
+  const dynamo = createDynamo()
+  await dynamo.client.put({TableName: 'stock', Item: {sku: 'tea', a: 0, b: 2}}).promise()
+  const transaction = createTransaction()
+    .update('stock', {sku: 'tea'}, createUpdateExpression().set('a', 1).build(), {condition: conditions.eq('b', 2)})
+  const update = transaction.build().TransactItems[0].Update
+  assert.deepStrictEqual(update.ExpressionAttributeNames, {'#n0': 'a', '#na0': 'b'})
+  await transaction.write(dynamo.client)
+  assert.deepStrictEqual(dynamo.items('stock'), [{sku: 'tea', a: 1, b: 2}])
+})
+
+test('an update builder and a built condition are combined', async () => {
+  const dynamo = createDynamo()
+  await dynamo.client.put({TableName: 'stock', Item: {sku: 'tea', count: 1}}).promise()
+  await createTransaction()
+    .update('stock', {sku: 'tea'}, createUpdateExpression().decrement('count'), {
+      condition: buildCondition(conditions.gt('count', 0))
+    })
+    .write(dynamo.client)
+  assert.deepStrictEqual(dynamo.items('stock'), [{sku: 'tea', count: 0}])
+})
+
+test('built parameters that use a placeholder for different names are rejected', () => {
+  assert.throws(() => createTransaction()
+    .update('stock', {sku: 'tea'}, createUpdateExpression().set('a', 1).build(), {
+      condition: {ConditionExpression: '#n0 = :c0', ExpressionAttributeNames: {'#n0': 'b'}, ExpressionAttributeValues: {':c0': 2}}
+    })
+    .build(), TypeError)
+})
+
+test('puts are compared with the key names of the keys option or of the other operations on their table', () => {
+  assert.throws(() => createTransaction()
+    .put('stock', {sku: 'tea', count: 1})
+    .put('stock', {sku: 'tea', count: 2})
+    .build(), /keys option/)
+  assert.throws(() => createTransaction({keys: {stock: ['sku']}})
+    .put('stock', {sku: 'tea', count: 1})
+    .put('stock', {sku: 'tea', count: 2})
+    .build(), /same item/)
+  assert.throws(() => createTransaction()
+    .put('stock', {sku: 'tea', count: 1})
+    .delete('stock', {sku: 'tea'})
+    .build(), /same item/)
+  assert.strictEqual(createTransaction({keys: {stock: ['sku']}})
+    .put('stock', {sku: 'tea', count: 1})
+    .put('stock', {sku: 'coffee', count: 2})
+    .build().TransactItems.length, 2)
+})
+
+test('the values of updates and conditions count towards the 4 MB limit', () => {
+  const text = 'x'.repeat(300 * 1024)
+  const transaction = createTransaction()
+  for (let i = 0; i < 14; i++) {
+    transaction.update('stock', {sku: `s${i}`}, createUpdateExpression().set('text', text))
+  }
+  assert.throws(() => transaction.build(), RangeError)
+  assert.throws(() => transaction.build({marshall: true}), RangeError)
+})
@@ -0,0 +1,49 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {attributeName, createUpdateExpression, createUpdateExpressionFromDiff, parsePath} = require('../index')
+
+test('createUpdateExpression names every segment and keeps list indexes', () => {
+  assert.deepStrictEqual(createUpdateExpression()
+    .set('profile.name', 'Rick')
+    .increment('visits')
+    .remove('employees[5].firstName')
+    .build(), {
+    UpdateExpression: 'SET #n0.#n1 = :v0, #n2 = if_not_exists(#n2, :v1) + :v2 REMOVE #n3[5].#n4',
+    ExpressionAttributeNames: {'#n0': 'profile', '#n1': 'name', '#n2': 'visits', '#n3': 'employees', '#n4': 'firstName'},
+    ExpressionAttributeValues: {':v0': 'Rick', ':v1': 0, ':v2': 1}
+  })
+  assert.throws(() => createUpdateExpression().set('a', 1).remove('a.b').build(), TypeError)
+})
+
+test('attributeName keeps segments made of digits as attribute names', () => {
+  assert.deepStrictEqual(parsePath(['scores', attributeName('2024'), '1']), ['scores', '2024', 1])
+  assert.deepStrictEqual(parsePath([attributeName('a.b[1]')]), ['a.b[1]'])
+  assert.deepStrictEqual(createUpdateExpression().set(['scores', attributeName('2024')], 1).build(), {
+    UpdateExpression: 'SET #n0.#n1 = :v0',
+    ExpressionAttributeNames: {'#n0': 'scores', '#n1': '2024'},
+    ExpressionAttributeValues: {':v0': 1}
+  })
+})
+
+test('createUpdateExpressionFromDiff sets changed and removes missing attributes', () => {
+  assert.deepStrictEqual(createUpdateExpressionFromDiff(
+    {id: 'abc', name: 'Rick', profile: {age: 70, city: 'Seattle'}, draft: true},
+    {id: 'abc', name: 'Rick', profile: {age: 71, city: 'Seattle'}},
+    {ignore: ['id']}
+  ).build(), {
+    UpdateExpression: 'SET #n0.#n1 = :v0 REMOVE #n2',
+    ExpressionAttributeNames: {'#n0': 'profile', '#n1': 'age', '#n2': 'draft'},
+    ExpressionAttributeValues: {':v0': 71}
+  })
+})
+
+test('createUpdateExpressionFromDiff takes map keys made of digits as attribute names', () => {
+  assert.deepStrictEqual(createUpdateExpressionFromDiff(
+    {scores: {'2024': 1, '2023': 4}},
+    {scores: {'2024': 2}, '123': 'x'}
+  ).build(), {
+    UpdateExpression: 'SET #n0 = :v0, #n1.#n2 = :v1 REMOVE #n1.#n3',
+    ExpressionAttributeNames: {'#n0': '123', '#n1': 'scores', '#n2': '2024', '#n3': '2023'},
+    ExpressionAttributeValues: {':v0': 'x', ':v1': 2}
+  })
+})
@@ -0,0 +1,69 @@
+const {test} = require('node:test')
+const assert = require('node:assert')
+const {
+  conditions,
+  createMemoryDynamoDB,
+  createTableParams,
+  createUpdateExpression,
+  createVersioning,
+  VersionConflictError
+} = require('../index')
+
+const createDynamo = () => createMemoryDynamoDB({
+  tables: [createTableParams({tableName: 'planets', partitionKey: 'id'})]
+})
+
+test('put writes version 1 for new items and rejects a second new item with the same key', async () => {
+  const dynamo = createDynamo()
+  const versioned = createVersioning(dynamo.client, {keys: ['id']})
+  const response = await versioned.put({TableName: 'planets', Item: {id: 'mars', moons: 2}})
+  assert.strictEqual(response.version, 1)
+  await assert.rejects(versioned.put({TableName: 'planets', Item: {id: 'mars', moons: 3}}),
+    (err) => err instanceof VersionConflictError && err.expected === undefined && err.actual === 1)
+  assert.strictEqual((await versioned.put({TableName: 'planets', Item: {id: 'mars', moons: 3, version: 1}})).version, 2)
+  assert.deepStrictEqual(dynamo.items('planets'), [{id: 'mars', moons: 3, version: 2}])
+})
+
+test('update keeps the placeholders of params.ConditionExpression next to an update builder', async () => {
+  const dynamo = createDynamo()
+  const versioned = createVersioning(dynamo.client, {keys: ['id']})
+  await versioned.put({TableName: 'planets', Item: {id: 'mars', status: 'draft', moons: 2}})
+  const params = {
+    TableName: 'planets',
+    Key: {id: 'mars'},
+    ConditionExpression: '#s = :s',
+    ExpressionAttributeNames: {'#s': 'status'},
+    ExpressionAttributeValues: {':s': 'draft'}
+  }
+  const response = await versioned.update(params, {expectedVersion: 1, update: createUpdateExpression().set('status', 'published')})
+  assert.strictEqual(response.version, 2)
+  assert.deepStrictEqual(dynamo.items('planets'), [{id: 'mars', status: 'published', moons: 2, version: 2}])
+  await assert.rejects(versioned.update(params, {expectedVersion: 2, update: createUpdateExpression().increment('moons')}),
+    {code: 'ConditionalCheckFailedException'})
+})
+
+test('update takes an UpdateExpression from params and the condition option', async () => {
+  const dynamo = createDynamo()
+  const versioned = createVersioning(dynamo.client, {keys: ['id']})
+  await versioned.put({TableName: 'planets', Item: {id: 'mars', moons: 2}})
+  await versioned.update({
+    TableName: 'planets',
+    Key: {id: 'mars'},
+    UpdateExpression: 'SET #m = #m + :one',
+    ExpressionAttributeNames: {'#m': 'moons'},
+    ExpressionAttributeValues: {':one': 1}
+  }, {expectedVersion: 1, condition: conditions.lt('moons', 5)})
+  assert.deepStrictEqual(dynamo.items('planets'), [{id: 'mars', moons: 3, version: 2}])
+})
+
+test('delete checks the expected version only when it is passed', async () => {
+  const dynamo = createDynamo()
+  const versioned = createVersioning(dynamo.client, {keys: ['id']})
+  await versioned.put({TableName: 'planets', Item: {id: 'mars'}})
+  await versioned.put({TableName: 'planets', Item: {id: 'venus'}})
+  await assert.rejects(versioned.delete({TableName: 'planets', Key: {id: 'mars'}}, {expectedVersion: 2}),
+    (err) => err instanceof VersionConflictError && err.expected === 2 && err.actual === 1)
+  await versioned.delete({TableName: 'planets', Key: {id: 'mars'}}, {expectedVersion: 1})
+  await versioned.delete({TableName: 'planets', Key: {id: 'venus'}})
+  assert.deepStrictEqual(dynamo.items('planets'), [])
+})